@@ -61,7 +61,7 @@ const App = () => {
                   <span className="font-medium">Upload your file</span> - Drag and drop or select an image or video file with a watermark.
                 </li>
                 <li className="text-gray-700">
-                  <span className="font-medium">Select the watermark area</span> - Use your mouse to draw a rectangle around the watermark region.
+                  <span className="font-medium">Select the watermark area</span> - Use your mouse to draw a rectangle around each watermark region.
                 </li>
                 <li className="text-gray-700">
                   <span className="font-medium">Process the file</span> - Click "Remove Watermark" and wait for the processing to complete.
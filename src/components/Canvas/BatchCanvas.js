@@ -0,0 +1,356 @@
+import React, { useRef, useEffect, useState } from "react";
+import BatchProcessor from "../../utils/batchProcessor";
+import { DEFAULT_STRATEGY_ID, getStrategy } from "../../utils/strategies";
+import { getDefaultImageExportSettings } from "../../utils/imageExport";
+import { toRelativeRegion, resolveRegionTemplate } from "../../utils/regionTemplate";
+import { createPreset } from "../../utils/presetStore";
+import StrategyPicker from "./StrategyPicker";
+import ImageExportPanel from "./ImageExportPanel";
+import PresetPicker from "./PresetPicker";
+
+const MIN_REGION_SIZE = 10; // Regions must be larger than this (in image pixels) on both sides
+
+const STATUS_LABELS = {
+  pending: "Waiting",
+  processing: "Processing...",
+  done: "Done",
+  failed: "Failed"
+};
+
+// Batch editor: one template of regions, drawn on any of the images and stored relative to the image size,
+// is applied to every image in the queue. The results are handed to the parent as a single ZIP.
+const BatchCanvas = ({ files, onProcessingComplete, onError }) => {
+  const canvasRef = useRef(null);
+  const nextRegionIdRef = useRef(1);
+  const [batchProcessor] = useState(() => new BatchProcessor());
+
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [previewImage, setPreviewImage] = useState(null); // Original ImageData of the selected item
+  const [displayedImageData, setDisplayedImageData] = useState(null); // Preview with the template applied
+  const [templateRegions, setTemplateRegions] = useState([]); // { id, x, y, width, height } as fractions of the image size
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [draftRegion, setDraftRegion] = useState(null); // Region being dragged out, in image pixels
+  const [startPos, setStartPos] = useState(null);
+  const [strategy, setStrategy] = useState(DEFAULT_STRATEGY_ID);
+  const [removalOptions, setRemovalOptions] = useState({});
+  const [exportSettings, setExportSettings] = useState(() => getDefaultImageExportSettings(files[0]));
+  const [itemStates, setItemStates] = useState([]); // { status, message } per file
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  // Reset the queue for a new set of files
+  useEffect(() => {
+    setSelectedIndex(0);
+    setItemStates(files.map(() => ({ status: "pending", message: null })));
+    setExportSettings(getDefaultImageExportSettings(files[0]));
+  }, [files]);
+
+  // Load the item being previewed
+  useEffect(() => {
+    const file = files[selectedIndex];
+    if (!file) return;
+
+    let isStale = false;
+    setPreviewImage(null);
+    batchProcessor.imageProcessor.loadImage(file)
+      .then(({ imageData }) => {
+        if (!isStale) setPreviewImage(imageData);
+      })
+      .catch((error) => {
+        console.error("Error loading batch preview:", error);
+        if (!isStale) onError(`Failed to load ${file.name} for preview.`);
+      });
+    return () => {
+      isStale = true;
+    };
+  }, [files, selectedIndex, batchProcessor, onError]);
+
+  // Preview the template on the selected item
+  useEffect(() => {
+    if (!previewImage) {
+      setDisplayedImageData(null);
+      return;
+    }
+    const regions = resolveRegionTemplate(templateRegions, previewImage.width, previewImage.height);
+    if (regions.length === 0) {
+      setDisplayedImageData(previewImage);
+      return;
+    }
+
+    let isStale = false;
+    batchProcessor.imageProcessor.removeWatermarkAsync(previewImage, regions, { ...removalOptions, strategy }, { channel: "batch-preview" })
+      .then((previewData) => {
+        if (!isStale) setDisplayedImageData(previewData);
+      })
+      .catch((error) => {
+        if (isStale || error.superseded) return;
+        console.error("Error generating batch preview:", error);
+        setDisplayedImageData(previewImage);
+      });
+    return () => {
+      isStale = true;
+    };
+  }, [previewImage, templateRegions, strategy, removalOptions, batchProcessor]);
+
+  // Draw the preview with the template regions (and the one being drawn) outlined
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !displayedImageData) return;
+
+    const ctx = canvas.getContext("2d");
+    if (canvas.width !== displayedImageData.width || canvas.height !== displayedImageData.height) {
+      canvas.width = displayedImageData.width;
+      canvas.height = displayedImageData.height;
+    }
+    ctx.putImageData(displayedImageData, 0, 0);
+
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = "#FF0000";
+    resolveRegionTemplate(templateRegions, canvas.width, canvas.height).forEach((region) => {
+      ctx.strokeRect(region.x, region.y, region.width, region.height);
+    });
+    if (draftRegion) {
+      ctx.fillStyle = "rgba(255, 0, 0, 0.1)";
+      ctx.fillRect(draftRegion.x, draftRegion.y, draftRegion.width, draftRegion.height);
+      ctx.strokeRect(draftRegion.x, draftRegion.y, draftRegion.width, draftRegion.height);
+    }
+  }, [displayedImageData, templateRegions, draftRegion]);
+
+  // Convert a mouse event to image pixel coordinates
+  const getCanvasPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = canvas.width / rect.width;
+    const scaleY = canvas.height / rect.height;
+    return {
+      x: Math.min(canvas.width, Math.max(0, (e.clientX - rect.left) * scaleX)),
+      y: Math.min(canvas.height, Math.max(0, (e.clientY - rect.top) * scaleY))
+    };
+  };
+
+  const handleStartSelection = (e) => {
+    if (!selectionMode || !previewImage || isProcessing) return;
+    const point = getCanvasPoint(e);
+    setStartPos(point);
+    setDraftRegion({ x: Math.round(point.x), y: Math.round(point.y), width: 0, height: 0 });
+  };
+
+  const handleUpdateSelection = (e) => {
+    if (!startPos) return;
+    const current = getCanvasPoint(e);
+    // Whole pixels only, so the processor indexes the pixel buffer with integers
+    const x = Math.round(Math.min(startPos.x, current.x));
+    const y = Math.round(Math.min(startPos.y, current.y));
+    setDraftRegion({
+      x,
+      y,
+      width: Math.round(Math.max(startPos.x, current.x)) - x,
+      height: Math.round(Math.max(startPos.y, current.y)) - y
+    });
+  };
+
+  const handleEndSelection = () => {
+    if (!startPos) return;
+    setStartPos(null);
+    if (draftRegion && draftRegion.width > MIN_REGION_SIZE && draftRegion.height > MIN_REGION_SIZE) {
+      const region = toRelativeRegion(draftRegion, previewImage.width, previewImage.height);
+      setTemplateRegions((current) => [...current, { id: nextRegionIdRef.current++, ...region }]);
+      setSelectionMode(false);
+    }
+    setDraftRegion(null);
+  };
+
+  const deleteRegion = (id) => {
+    setTemplateRegions((current) => current.filter((region) => region.id !== id));
+  };
+
+  // Presets already hold relative regions, which is what the template is made of
+  const applyPreset = (preset) => {
+    setTemplateRegions(preset.regions.map((region) => ({ id: nextRegionIdRef.current++, ...region })));
+    setSelectionMode(false);
+    setDraftRegion(null);
+    const presetStrategy = getStrategy(preset.strategy);
+    // Logo removal needs the logo, which presets don't hold and only the image editor can place;
+    // rebuilding from nearby frames only works on video
+    const unavailable = presetStrategy.needsLogo || presetStrategy.needsFrames;
+    setStrategy(unavailable ? DEFAULT_STRATEGY_ID : presetStrategy.id);
+    setRemovalOptions(unavailable ? {} : preset.options || {});
+  };
+
+  // createPreset takes pixel regions, so the template is passed as regions of a 1x1 image
+  const buildPreset = (name) => (
+    templateRegions.length > 0 ? createPreset(name, templateRegions, 1, 1, strategy, removalOptions) : null
+  );
+
+  const updateItemState = (index, state) => {
+    setItemStates((current) => current.map((item, i) => (i === index ? state : item)));
+  };
+
+  const processQueue = async () => {
+    if (templateRegions.length === 0) {
+      onError("Please draw at least one region for the batch first.");
+      return;
+    }
+
+    setIsProcessing(true);
+    setItemStates(files.map(() => ({ status: "pending", message: null })));
+    try {
+      const results = await batchProcessor.processAll(
+        files,
+        templateRegions,
+        { ...removalOptions, strategy },
+        exportSettings,
+        {
+          onItemStart: (index) => updateItemState(index, { status: "processing", message: null }),
+          onItemDone: (index, result) => updateItemState(index, { status: result.status, message: result.error || result.notice })
+        }
+      );
+
+      const failedCount = results.filter((result) => result.status === "failed").length;
+      if (failedCount === results.length) {
+        throw new Error("None of the images could be processed. See the list for details.");
+      }
+      const zipBlob = await batchProcessor.createZip(results);
+      const notice = failedCount > 0
+        ? `${failedCount} of ${results.length} images could not be processed. The ZIP's report.csv lists what went wrong.`
+        : null;
+      onProcessingComplete(zipBlob, notice);
+    } catch (error) {
+      console.error("Error processing batch:", error);
+      onError("Failed to process the batch. " + error.message);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const doneCount = itemStates.filter((item) => item.status === "done" || item.status === "failed").length;
+
+  return (
+    <div className="w-full">
+      <div className="relative border border-gray-300 rounded-lg overflow-hidden mx-auto max-w-full w-fit">
+        <canvas
+          ref={canvasRef}
+          className="block max-w-full h-auto bg-gray-100"
+          onMouseDown={handleStartSelection}
+          onMouseMove={handleUpdateSelection}
+          onMouseUp={handleEndSelection}
+          onMouseLeave={handleEndSelection}
+          style={{ cursor: selectionMode ? "crosshair" : "default" }}
+        />
+        {!previewImage && (
+          <div className="p-10 text-center text-gray-600">Loading preview...</div>
+        )}
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-3 items-center">
+        <button
+          onClick={() => {
+            setSelectionMode(!selectionMode);
+            setDraftRegion(null);
+          }}
+          disabled={!previewImage || isProcessing}
+          className={`px-4 py-2 rounded-md text-white transition-colors ${
+            selectionMode
+              ? "bg-red-500 hover:bg-red-600"
+              : "bg-blue-500 hover:bg-blue-600"
+          } ${(!previewImage || isProcessing) ? "opacity-50 cursor-not-allowed" : ""}`}
+        >
+          {selectionMode ? "Cancel Selection" : templateRegions.length > 0 ? "Add Another Region" : "Select Region to Blur"}
+        </button>
+
+        <button
+          onClick={processQueue}
+          disabled={isProcessing || templateRegions.length === 0 || selectionMode}
+          className={`px-4 py-2 rounded-md text-white transition-colors bg-green-500 hover:bg-green-600
+          ${(isProcessing || templateRegions.length === 0 || selectionMode) ? "opacity-50 cursor-not-allowed" : ""}`}
+        >
+          {isProcessing ? `Processing ${doneCount}/${files.length}...` : `${getStrategy(strategy).actionLabel} to ${files.length} Images`}
+        </button>
+
+        <StrategyPicker
+          strategy={strategy}
+          options={removalOptions}
+          onStrategyChange={setStrategy}
+          onOptionsChange={setRemovalOptions}
+          disabled={isProcessing}
+        />
+      </div>
+
+      <div className="mt-3">
+        <PresetPicker
+          onApply={applyPreset}
+          buildPreset={buildPreset}
+          canSave={templateRegions.length > 0}
+          onError={onError}
+          disabled={isProcessing}
+        />
+      </div>
+
+      <div className="mt-3">
+        <ImageExportPanel
+          settings={exportSettings}
+          onChange={setExportSettings}
+          hasMetadata
+          disabled={isProcessing}
+        />
+      </div>
+
+      {templateRegions.length > 0 && (
+        <ul className="mt-4 space-y-1 text-sm text-gray-600">
+          {templateRegions.map((region, index) => (
+            <li key={region.id} className="flex items-center justify-between gap-2 px-3 py-1 rounded-md hover:bg-gray-50">
+              <span>
+                Region {index + 1}: {(region.x * 100).toFixed(1)}%, {(region.y * 100).toFixed(1)}% ({(region.width * 100).toFixed(1)}% x {(region.height * 100).toFixed(1)}% of the image)
+              </span>
+              <button
+                type="button"
+                onClick={() => deleteRegion(region.id)}
+                disabled={isProcessing}
+                className="px-2 text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selectionMode && (
+        <div className="mt-2 bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded-md">
+          <p className="text-sm text-yellow-700">
+            Click and drag on the image to add a region. Regions are stored relative to the image size, so they land on the same spot in every image of the batch.
+          </p>
+        </div>
+      )}
+
+      <div className="mt-4">
+        <h3 className="font-medium text-gray-700 mb-2">Queue ({files.length} images)</h3>
+        <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-md text-sm">
+          {files.map((file, index) => {
+            const item = itemStates[index] || { status: "pending", message: null };
+            return (
+              <li
+                key={`${file.name}-${index}`}
+                onClick={() => setSelectedIndex(index)}
+                className={`flex items-center justify-between gap-3 px-3 py-2 cursor-pointer ${
+                  index === selectedIndex ? "bg-blue-50 text-blue-700" : "hover:bg-gray-50 text-gray-700"
+                }`}
+              >
+                <span className="truncate">{file.name}</span>
+                <span
+                  className={`flex-shrink-0 ${
+                    item.status === "failed" ? "text-red-600" : item.status === "done" ? "text-green-600" : "text-gray-500"
+                  }`}
+                  title={item.message || undefined}
+                >
+                  {STATUS_LABELS[item.status]}{item.message ? `: ${item.message}` : ""}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default BatchCanvas;
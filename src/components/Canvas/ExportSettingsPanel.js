@@ -0,0 +1,96 @@
+import React from "react";
+import {
+  VIDEO_CONTAINERS,
+  VIDEO_BITRATES,
+  VIDEO_RESOLUTIONS,
+  getCodecsForContainer,
+  getOutputSize,
+  describeExportFormat
+} from "../../utils/videoExport";
+
+// Output format of the processed video: container, codec, bitrate and resolution.
+// supported is null while the browser's support for the settings is being checked.
+const ExportSettingsPanel = ({ settings, onChange, sourceWidth, sourceHeight, supported, disabled }) => {
+  const codecs = getCodecsForContainer(settings.container);
+  const resolutions = VIDEO_RESOLUTIONS.filter((entry) => entry.value === 0 || entry.value < sourceHeight);
+  const outputSize = sourceWidth > 0 ? getOutputSize(settings, sourceWidth, sourceHeight) : null;
+
+  const handleContainerChange = (container) => {
+    const containerCodecs = getCodecsForContainer(container);
+    // Keep the codec if the new container can hold it
+    const codec = containerCodecs.some((entry) => entry.value === settings.codec) ? settings.codec : containerCodecs[0].value;
+    onChange({ ...settings, container, codec });
+  };
+
+  const selectClassName = "border border-gray-300 rounded-md px-2 py-1 bg-white";
+
+  return (
+    <div className="text-sm text-gray-700">
+      <div className="flex flex-wrap gap-3 items-center">
+        <span className="font-medium">Export:</span>
+        <label className="flex items-center gap-2">
+          Format:
+          <select
+            value={settings.container}
+            onChange={(e) => handleContainerChange(e.target.value)}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {VIDEO_CONTAINERS.map((entry) => (
+              <option key={entry.value} value={entry.value}>{entry.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Codec:
+          <select
+            value={settings.codec}
+            onChange={(e) => onChange({ ...settings, codec: e.target.value })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {codecs.map((entry) => (
+              <option key={entry.value} value={entry.value}>{entry.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Bitrate:
+          <select
+            value={settings.bitrate}
+            onChange={(e) => onChange({ ...settings, bitrate: Number(e.target.value) })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {VIDEO_BITRATES.map((entry) => (
+              <option key={entry.value} value={entry.value}>{entry.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Resolution:
+          <select
+            value={settings.resolution}
+            onChange={(e) => onChange({ ...settings, resolution: Number(e.target.value) })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {resolutions.map((entry) => (
+              <option key={entry.value} value={entry.value}>{entry.label}</option>
+            ))}
+          </select>
+        </label>
+        {outputSize && (
+          <span className="text-gray-500">{outputSize.width}x{outputSize.height}px</span>
+        )}
+      </div>
+      {supported === false && (
+        <p className="mt-2 text-red-600">
+          This browser can't export {describeExportFormat(settings)} video{outputSize ? ` at ${outputSize.width}x${outputSize.height}` : ""}. Please choose another format, codec or resolution.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ExportSettingsPanel;
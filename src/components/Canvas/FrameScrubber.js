@@ -0,0 +1,97 @@
+import React from "react";
+import { findKeyframe } from "../../utils/keyframes";
+
+// Time as m:ss.cc
+export const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds - minutes * 60;
+  return `${minutes}:${rest.toFixed(2).padStart(5, "0")}`;
+};
+
+// Marker colours: purple for keyframes set by hand, green or amber by confidence for tracked ones
+const markerClassName = (keyframe, isCurrent) => {
+  if (keyframe.confidence === undefined) {
+    return isCurrent ? "bg-purple-600 border-purple-700" : "bg-white border-purple-600";
+  }
+  if (keyframe.confidence >= 0.8) {
+    return isCurrent ? "bg-green-600 border-green-700" : "bg-green-300 border-green-500";
+  }
+  return isCurrent ? "bg-amber-600 border-amber-700" : "bg-amber-300 border-amber-500";
+};
+
+// Seek bar above the video preview: pick the frame to draw the region on (and preview the removal on),
+// a frame at a time with the step buttons. Keyframes (see utils/keyframes.js) are marked on it, and the
+// trimmed range ({ start, end } in seconds, or null) is shaded.
+const FrameScrubber = ({ duration, currentTime, frameRate, keyframes, range, onSeek, disabled }) => {
+  const frameDuration = 1 / frameRate;
+  // The last frame starts one frame before the end; seeking to the very end shows nothing
+  const lastFrameTime = Math.max(0, duration - frameDuration);
+  const frameIndex = Math.round(currentTime * frameRate);
+  const frameCount = Math.max(1, Math.round(duration * frameRate));
+  const currentKeyframe = findKeyframe(keyframes, currentTime);
+  const position = (time) => `${lastFrameTime > 0 ? (Math.min(time, lastFrameTime) / lastFrameTime) * 100 : 0}%`;
+  const stepTo = (index) => onSeek(Math.min(lastFrameTime, Math.max(0, index * frameDuration)));
+
+  const buttonClassName = "px-2 py-1 rounded-md border border-gray-300 bg-white hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+  const isDisabled = disabled || !duration;
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-700">
+      <button type="button" onClick={() => stepTo(0)} disabled={isDisabled || frameIndex === 0} title="First frame" className={buttonClassName}>
+        |&lt;
+      </button>
+      <button type="button" onClick={() => stepTo(frameIndex - 1)} disabled={isDisabled || frameIndex === 0} title="Previous frame" className={buttonClassName}>
+        &lt;
+      </button>
+      <button type="button" onClick={() => stepTo(frameIndex + 1)} disabled={isDisabled || currentTime >= lastFrameTime} title="Next frame" className={buttonClassName}>
+        &gt;
+      </button>
+      <div className="relative flex-1">
+        <input
+          type="range"
+          min="0"
+          max={lastFrameTime}
+          step={frameDuration}
+          value={Math.min(currentTime, lastFrameTime)}
+          onChange={(e) => onSeek(Number(e.target.value))}
+          disabled={isDisabled}
+          className="w-full"
+        />
+        {range && (
+          <div className="relative h-1.5 bg-gray-200 rounded-full">
+            <div
+              className="absolute h-full bg-blue-400 rounded-full"
+              style={{ left: position(range.start), right: `calc(100% - ${position(range.end)})` }}
+            />
+          </div>
+        )}
+        {/* Keyframe markers; clicking one jumps to it */}
+        {keyframes.length > 0 && (
+          <div className="relative h-4">
+            {keyframes.map((keyframe) => (
+              <button
+                key={keyframe.time}
+                type="button"
+                onClick={() => onSeek(keyframe.time)}
+                disabled={disabled}
+                title={keyframe.confidence === undefined
+                  ? `Keyframe at ${formatTime(keyframe.time)}`
+                  : `Tracked at ${formatTime(keyframe.time)}, ${Math.round(keyframe.confidence * 100)}% confidence`}
+                className={`absolute top-0 w-3 h-3 -ml-1.5 rotate-45 border ${markerClassName(keyframe, keyframe === currentKeyframe)}`}
+                style={{ left: position(keyframe.time) }}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+      <span className="font-mono whitespace-nowrap">
+        {formatTime(currentTime)} / {formatTime(duration)}
+      </span>
+      <span className="text-gray-500 whitespace-nowrap">
+        Frame {Math.min(frameIndex, frameCount - 1) + 1} of {frameCount}
+      </span>
+    </div>
+  );
+};
+
+export default FrameScrubber;
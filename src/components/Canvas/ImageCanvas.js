@@ -1,15 +1,91 @@
-import React, { useRef, useEffect, useState } from "react";
+import React, { useRef, useEffect, useState, useMemo } from "react";
 import ImageProcessor from "../../utils/imageProcessor";
+import { DEFAULT_STRATEGY_ID, getStrategy } from "../../utils/strategies";
+import StrategyPicker from "./StrategyPicker";
+import ImageExportPanel from "./ImageExportPanel";
+import PresetPicker from "./PresetPicker";
+import LogoControls from "./LogoControls";
+import MaskBrushControls, { renderMaskOverlay, drawBrushSegment } from "./MaskBrushControls";
+import { createMask, cloneMask, isMaskEmpty, paintStroke, resizeMask, resolveRemovalTarget } from "../../utils/mask";
+import EditHistory from "../../utils/editHistory";
+import { getDefaultImageExportSettings } from "../../utils/imageExport";
+import { hasImageMetadata } from "../../utils/imageMetadata";
+import { createPreset } from "../../utils/presetStore";
+import { resolveRegionTemplate, fromRelativeRegion } from "../../utils/regionTemplate";
+import { detectWatermarkInFiles, MIN_DETECTION_IMAGES } from "../../utils/watermarkDetection";
+import { alignLogo, estimateLogoOpacity } from "../../utils/logoUnblend";
+import { suggestWatermarkRegions } from "../../utils/regionSuggestion";
 
-const ImageCanvas = ({ imageFile, onProcessingComplete, onError }) => {
+const MIN_REGION_SIZE = 10; // Regions must be larger than this (in image pixels) on both sides
+
+const isValidRegion = (region) => region && region.width > MIN_REGION_SIZE && region.height > MIN_REGION_SIZE;
+
+// Grow a box that is too small to be a region around its centre, keeping it inside the image
+const toValidRegion = (box, imageWidth, imageHeight) => {
+  const width = Math.min(imageWidth, Math.max(box.width, MIN_REGION_SIZE + 1));
+  const height = Math.min(imageHeight, Math.max(box.height, MIN_REGION_SIZE + 1));
+  return {
+    x: Math.min(imageWidth - width, Math.max(0, Math.round(box.x - (width - box.width) / 2))),
+    y: Math.min(imageHeight - height, Math.max(0, Math.round(box.y - (height - box.height) / 2))),
+    width,
+    height
+  };
+};
+
+// With a logo strategy, the placed logo's rectangle is part of the selection and the logo goes into the options
+const withLogoRegion = (regions, strategy, logo) => (
+  logo && getStrategy(strategy).needsLogo
+    ? [...regions, { x: logo.x, y: logo.y, width: logo.image.width, height: logo.image.height }]
+    : regions
+);
+const getRemovalOptions = (strategy, options, logo) => ({
+  ...options,
+  strategy,
+  ...(logo && getStrategy(strategy).needsLogo ? { logo: { image: logo.image, x: logo.x, y: logo.y } } : {})
+});
+
+const ImageCanvas = ({ imageFile, onProcessingComplete, onResultCleared, onError }) => {
   const canvasRef = useRef(null);
+  const maskCanvasRef = useRef(null); // Overlay showing the painted brush mask
+  const brushMaskRef = useRef(null); // Per-pixel brush mask, painted in place
+  const lastPaintPointRef = useRef(null);
+  const nextRegionIdRef = useRef(1);
+  const historyRef = useRef(new EditHistory()); // Undo/redo stack of edits to this image
+  const maskBeforeStrokeRef = useRef(null); // Brush mask as it was when the current stroke started
+  const moveStateRef = useRef(null); // { id, start, regions } while dragging an existing region
+  const shortcutHandlersRef = useRef({}); // Latest undo/redo handlers for the keyboard listener
+  const sourceMetadataRef = useRef(null); // EXIF/XMP of the loaded file, written back when preserved
+  const detectInputRef = useRef(null); // Hidden picker for the images auto-detection compares against
+  const logoMoveRef = useRef(null); // { start, origin } while dragging the logo
   const [originalImage, setOriginalImage] = useState(null); // Stores the original unmodified ImageData
+  const [workingImage, setWorkingImage] = useState(null); // Image edits build on: the original plus every applied removal
   const [displayedImageData, setDisplayedImageData] = useState(null); // ImageData currently shown on canvas
-  const [selectionMode, setSelectionMode] = useState(false);
-  const [selection, setSelection] = useState({ x: 0, y: 0, width: 0, height: 0 });
+  const [selectionMode, setSelectionMode] = useState(false); // True while drawing a new region
+  const [regions, setRegions] = useState([]); // Committed regions: { id, x, y, width, height } in image pixels
+  const [selectedRegionId, setSelectedRegionId] = useState(null);
+  const [draftRegion, setDraftRegion] = useState(null); // Region currently being dragged out
   const [isDragging, setIsDragging] = useState(false);
   const [startPos, setStartPos] = useState({ x: 0, y: 0 });
   const [isProcessing, setIsProcessing] = useState(false);
+  const [processingProgress, setProcessingProgress] = useState(0); // Percent of the current apply
+  const [strategy, setStrategy] = useState(DEFAULT_STRATEGY_ID);
+  const [removalOptions, setRemovalOptions] = useState({}); // Tunable parameters of the selected mode
+  const [brushTool, setBrushTool] = useState(null); // null, "brush" or "eraser"
+  const [brushSize, setBrushSize] = useState(24);
+  const [maskCombineMode, setMaskCombineMode] = useState("add"); // How the brush mask combines with the regions
+  const [isPainting, setIsPainting] = useState(false);
+  const [maskVersion, setMaskVersion] = useState(0); // Bumped whenever the brush mask changes
+  const [isMovingRegion, setIsMovingRegion] = useState(false);
+  const [historyLabels, setHistoryLabels] = useState({ undo: null, redo: null }); // Labels of the next undo/redo
+  const [exportSettings, setExportSettings] = useState(() => getDefaultImageExportSettings(imageFile));
+  const [hasSourceMetadata, setHasSourceMetadata] = useState(false);
+  const [detectionProgress, setDetectionProgress] = useState(null); // { done, total } while auto-detecting
+  const [detectedWatermark, setDetectedWatermark] = useState(null); // { bounds, confidence } of the last detection
+  const [logo, setLogo] = useState(null); // Uploaded watermark logo for logo removal: { name, image, x, y }
+  const [isLogoMoveTool, setIsLogoMoveTool] = useState(false); // True while dragging moves the logo
+  const [isMovingLogo, setIsMovingLogo] = useState(false);
+  const [estimatedOpacity, setEstimatedOpacity] = useState(null); // Logo opacity read from the image (0-1)
+  const [suggestions, setSuggestions] = useState([]); // Proposed watermark boxes, best first (see suggestWatermarkRegions)
   const [imageProcessor] = useState(new ImageProcessor());
 
   // Load image when file changes
@@ -17,24 +93,42 @@ const ImageCanvas = ({ imageFile, onProcessingComplete, onError }) => {
     const loadImage = async () => {
       if (!imageFile || !imageProcessor) {
         setOriginalImage(null);
+        setWorkingImage(null);
         setDisplayedImageData(null);
         return;
       }
 
       setIsProcessing(true);
       try {
-        const imageData = await imageProcessor.loadImage(imageFile);
+        const { imageData, metadata } = await imageProcessor.loadImage(imageFile);
+        sourceMetadataRef.current = metadata;
+        setHasSourceMetadata(hasImageMetadata(sourceMetadataRef.current));
+        setExportSettings(getDefaultImageExportSettings(imageFile)); // Match the new file's format
         setOriginalImage(imageData);
+        setWorkingImage(imageData);
         setDisplayedImageData(imageData); // Initially display the original image
+        historyRef.current.clear();
+        setHistoryLabels({ undo: null, redo: null });
         
-        // Reset selection and selection mode for new image
-        setSelection({ x: 0, y: 0, width: 0, height: 0 });
+        // Reset regions, brush mask and selection mode for new image
+        brushMaskRef.current = createMask(imageData.width, imageData.height);
+        setMaskVersion((v) => v + 1);
+        setBrushTool(null);
+        setRegions([]);
+        setSelectedRegionId(null);
+        setDraftRegion(null);
         setSelectionMode(false);
+        setDetectedWatermark(null);
+        setSuggestions([]);
+        setLogo(null);
+        setIsLogoMoveTool(false);
+        setEstimatedOpacity(null);
 
       } catch (error) {
         console.error("Error loading image:", error);
         onError("Failed to load image. Please try a different file.");
         setOriginalImage(null);
+        setWorkingImage(null);
         setDisplayedImageData(null);
       } finally {
         setIsProcessing(false);
@@ -44,35 +138,49 @@ const ImageCanvas = ({ imageFile, onProcessingComplete, onError }) => {
     loadImage();
   }, [imageFile, imageProcessor, onError]);
 
-  // Effect to handle real-time blur preview based on selection
+  // Effect to handle real-time preview of all regions (plus the one being dragged) and the brush mask
   useEffect(() => {
-    if (!originalImage || !imageProcessor) return;
-
-    if (selection.width > 10 && selection.height > 10) {
-      // If a valid selection exists (either being dragged or finalized)
-      if (isDragging || !selectionMode) { 
-        try {
-          // imageProcessor.removeWatermark now applies blur
-          const previewBlurredData = imageProcessor.removeWatermark(originalImage, selection);
-          setDisplayedImageData(previewBlurredData);
-        } catch (err) {
-          console.error("Error generating blur preview:", err);
-          setDisplayedImageData(originalImage); // Fallback on error
-        }
-        return;
-      }
-    }
-    
-    // If no valid selection, or in selection mode but not dragging (i.e. before drag starts), show original
-    // This also handles resetting to original if selection becomes invalid
-    if (displayedImageData !== originalImage) {
-        setDisplayedImageData(originalImage);
+    if (!workingImage || !imageProcessor) return;
+    // Brush strokes are previewed once the stroke ends, the overlay shows them while painting
+    if (isPainting) return;
+    // Strategies too heavy to rerun on every mouse move only preview a moved region once it is dropped
+    const { livePreview } = getStrategy(strategy);
+    if ((isMovingRegion || isMovingLogo) && !livePreview) return;
+
+    // ...and only preview committed regions, not the one being drawn
+    const previewRegions = isDragging && livePreview && isValidRegion(draftRegion)
+      ? [...regions, draftRegion]
+      : regions;
+    const target = resolveRemovalTarget(withLogoRegion(previewRegions, strategy, logo), brushMaskRef.current, maskCombineMode);
+
+    if (!target) {
+      setDisplayedImageData(workingImage);
+      return;
     }
 
-  }, [originalImage, selection, isDragging, selectionMode, imageProcessor, displayedImageData]);
+    // Rendered in the worker pool; a newer preview drops queued work and results that arrive late are ignored
+    let isStale = false;
+    imageProcessor.removeWatermarkAsync(workingImage, target, getRemovalOptions(strategy, removalOptions, logo), { channel: "image-preview" })
+      .then((previewData) => {
+        if (!isStale) setDisplayedImageData(previewData);
+      })
+      .catch((err) => {
+        if (isStale || err.superseded) return;
+        console.error("Error generating preview:", err);
+        setDisplayedImageData(workingImage); // Fallback on error
+      });
+    return () => {
+      isStale = true;
+    };
+  }, [workingImage, regions, draftRegion, isDragging, imageProcessor, strategy, removalOptions, isPainting, isMovingRegion, maskVersion, maskCombineMode, logo, isMovingLogo]);
+
+  // Redraw the brush overlay when the mask is replaced or its colour changes
+  useEffect(() => {
+    if (!isPainting) renderMaskOverlay(maskCanvasRef.current, brushMaskRef.current, maskCombineMode);
+  }, [maskCombineMode, originalImage, isPainting, maskVersion]);
 
 
-  // Draw the displayed image and selection overlay onto the canvas
+  // Draw the displayed image and region overlays onto the canvas
   useEffect(() => {
     if (!canvasRef.current || !displayedImageData) {
       // Clear canvas if no image data
@@ -95,127 +203,539 @@ const ImageCanvas = ({ imageFile, onProcessingComplete, onError }) => {
     
     ctx.putImageData(displayedImageData, 0, 0);
     
-    // Draw selection rectangle if dimensions are valid
-    if (selection.width > 0 && selection.height > 0) {
-      ctx.strokeStyle = "#FF0000"; // Red for selection
-      ctx.lineWidth = 2;
-      ctx.strokeRect(selection.x, selection.y, selection.width, selection.height);
-      
-      // Add a subtle semi-transparent overlay when actively dragging/selecting
-      if (selectionMode && isDragging) { 
-         ctx.fillStyle = "rgba(255, 0, 0, 0.1)"; 
-         ctx.fillRect(selection.x, selection.y, selection.width, selection.height);
+    // Outline every committed region; the selected one is highlighted in blue
+    ctx.lineWidth = 2;
+    ctx.font = "bold 14px sans-serif";
+    regions.forEach((region, index) => {
+      const color = region.id === selectedRegionId ? "#3B82F6" : "#FF0000";
+      ctx.strokeStyle = color;
+      ctx.strokeRect(region.x, region.y, region.width, region.height);
+      ctx.fillStyle = color;
+      ctx.fillText(String(index + 1), region.x + 4, region.y + 16);
+    });
+
+    // Suggested regions not accepted yet, numbered by rank
+    ctx.save();
+    ctx.strokeStyle = "#F97316";
+    ctx.fillStyle = "#F97316";
+    ctx.setLineDash([4, 4]);
+    suggestions.forEach((box, index) => {
+      ctx.strokeRect(box.x, box.y, box.width, box.height);
+      ctx.fillText(`#${index + 1}`, box.x + 4, box.y - 4 > 12 ? box.y - 4 : box.y + box.height + 14);
+    });
+    ctx.restore();
+
+    // Placed logo of logo removal
+    if (logo && getStrategy(strategy).needsLogo) {
+      ctx.save();
+      ctx.strokeStyle = "#9333EA";
+      ctx.setLineDash([6, 4]);
+      ctx.strokeRect(logo.x, logo.y, logo.image.width, logo.image.height);
+      ctx.restore();
+    }
+
+    // Region being dragged out, with a subtle semi-transparent overlay
+    if (draftRegion && draftRegion.width > 0 && draftRegion.height > 0) {
+      ctx.strokeStyle = "#FF0000";
+      ctx.strokeRect(draftRegion.x, draftRegion.y, draftRegion.width, draftRegion.height);
+      ctx.fillStyle = "rgba(255, 0, 0, 0.1)";
+      ctx.fillRect(draftRegion.x, draftRegion.y, draftRegion.width, draftRegion.height);
+    }
+  }, [displayedImageData, regions, selectedRegionId, draftRegion, logo, strategy, suggestions]); // Rerun when display data or overlays change
+
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes. Text fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target instanceof HTMLElement && e.target.matches("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        shortcutHandlersRef.current.undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        shortcutHandlersRef.current.redo();
       }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+
+  // Record an edit on the undo stack. `before` and `after` hold only the state the edit changed.
+  const recordEdit = (type, label, before, after) => {
+    historyRef.current.push(type, label, before, after);
+    updateHistoryLabels();
+  };
+
+  const updateHistoryLabels = () => {
+    const history = historyRef.current;
+    setHistoryLabels({ undo: history.peekUndo()?.label || null, redo: history.peekRedo()?.label || null });
+  };
+
+  // Restore the parts of the editor state held by a history snapshot
+  const restoreSnapshot = async (snapshot) => {
+    if (snapshot.regions) {
+      setRegions(snapshot.regions);
+      setSelectedRegionId(null);
+    }
+    if (snapshot.mask) {
+      brushMaskRef.current = cloneMask(snapshot.mask); // Painting mutates the mask, so never hand out the stored one
+      setMaskVersion((v) => v + 1);
     }
-  }, [displayedImageData, selection, selectionMode, isDragging]); // Rerun when display data or selection changes
+    if (snapshot.image) {
+      setWorkingImage(snapshot.image);
+      await publishResult(snapshot.image);
+    }
+  };
 
+  // Keep the parent's downloadable result in step with the working image (and the export settings)
+  const publishResult = async (image, settings = exportSettings) => {
+    if (image === originalImage) {
+      if (onResultCleared) onResultCleared();
+      return;
+    }
+    try {
+      let notice = null;
+      const processedBlob = await imageProcessor.toBlob(image, settings, sourceMetadataRef.current, (message) => { notice = message; });
+      onProcessingComplete(processedBlob, notice);
+    } catch (error) {
+      console.error("Error converting the processed image:", error);
+      onError("Failed to update the processed image. " + error.message);
+    }
+  };
 
-  // Handle mouse events for selection
-  const handleStartSelection = (e) => {
-    if (!selectionMode || !canvasRef.current || !originalImage) return;
+  // A result that was already produced is re-encoded in the new format
+  const handleExportSettingsChange = (settings) => {
+    setExportSettings(settings);
+    if (workingImage) publishResult(workingImage, settings);
+  };
+
+  const undo = () => {
+    if (isProcessing || isPainting || isDragging || isMovingRegion) return;
+    const entry = historyRef.current.undo();
+    if (!entry) return;
+    updateHistoryLabels();
+    restoreSnapshot(entry.before);
+  };
+
+  const redo = () => {
+    if (isProcessing || isPainting || isDragging || isMovingRegion) return;
+    const entry = historyRef.current.redo();
+    if (!entry) return;
+    updateHistoryLabels();
+    restoreSnapshot(entry.after);
+  };
+
+  shortcutHandlersRef.current = { undo, redo };
 
+
+  // Convert a mouse event to image pixel coordinates
+  const getCanvasPoint = (e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
     const scaleX = canvas.width / rect.width;
     const scaleY = canvas.height / rect.height;
-    
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
+    return {
+      x: Math.min(canvas.width, Math.max(0, (e.clientX - rect.left) * scaleX)),
+      y: Math.min(canvas.height, Math.max(0, (e.clientY - rect.top) * scaleY))
+    };
+  };
+
+  // Paint (or erase) the brush mask from the last point to this one
+  const paintTo = (point) => {
+    const from = lastPaintPointRef.current || point;
+    paintStroke(brushMaskRef.current, from, point, brushSize / 2, brushTool === "eraser" ? 0 : 1);
+    drawBrushSegment(maskCanvasRef.current, from, point, brushSize, brushTool, maskCombineMode);
+    lastPaintPointRef.current = point;
+  };
+
+  // Handle mouse events: paint with the brush, draw a new region in selection mode,
+  // otherwise pick the region under the cursor
+  const handleStartSelection = (e) => {
+    if (!canvasRef.current || !originalImage || isProcessing) return;
+
+    const { x, y } = getCanvasPoint(e);
+
+    if (isLogoMoveTool && logo && getStrategy(strategy).needsLogo) {
+      logoMoveRef.current = { start: { x, y }, origin: { x: logo.x, y: logo.y } };
+      setIsMovingLogo(true);
+      return;
+    }
+
+    if (brushTool) {
+      maskBeforeStrokeRef.current = cloneMask(brushMaskRef.current);
+      setIsPainting(true);
+      lastPaintPointRef.current = null;
+      paintTo({ x, y });
+      return;
+    }
+
+    if (!selectionMode) {
+      // Topmost (most recently added) region under the cursor, or deselect. Dragging it moves it.
+      const hit = [...regions].reverse().find((region) =>
+        x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height
+      );
+      setSelectedRegionId(hit ? hit.id : null);
+      if (hit) {
+        moveStateRef.current = { id: hit.id, start: { x, y }, regions };
+        setIsMovingRegion(true);
+      }
+      return;
+    }
 
     setIsDragging(true);
     setStartPos({ x, y });
-    // Reset selection but keep x,y for current drag start
-    setSelection({ x, y, width: 0, height: 0 }); 
+    setDraftRegion({ x, y, width: 0, height: 0 });
   };
 
   const handleUpdateSelection = (e) => {
+    if (isPainting) {
+      paintTo(getCanvasPoint(e));
+      return;
+    }
+    if (isMovingLogo && logoMoveRef.current) {
+      const { start, origin } = logoMoveRef.current;
+      const { x, y } = getCanvasPoint(e);
+      const canvas = canvasRef.current;
+      setLogo((current) => ({
+        ...current,
+        // Keep the logo inside the image, on whole pixels
+        x: Math.min(canvas.width - current.image.width, Math.max(0, Math.round(origin.x + x - start.x))),
+        y: Math.min(canvas.height - current.image.height, Math.max(0, Math.round(origin.y + y - start.y)))
+      }));
+      return;
+    }
+    if (isMovingRegion && moveStateRef.current) {
+      const { id, start, regions: regionsAtStart } = moveStateRef.current;
+      const { x, y } = getCanvasPoint(e);
+      const canvas = canvasRef.current;
+      setRegions(regionsAtStart.map((region) => region.id !== id ? region : {
+        ...region,
+        // Keep the region inside the image, on whole pixels
+        x: Math.min(canvas.width - region.width, Math.max(0, Math.round(region.x + x - start.x))),
+        y: Math.min(canvas.height - region.height, Math.max(0, Math.round(region.y + y - start.y)))
+      }));
+      return;
+    }
     if (!isDragging || !selectionMode || !canvasRef.current) return;
 
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    
-    const currentX = (e.clientX - rect.left) * scaleX;
-    const currentY = (e.clientY - rect.top) * scaleY;
-
-    setSelection({
-      x: Math.min(startPos.x, currentX),
-      y: Math.min(startPos.y, currentY),
-      width: Math.abs(currentX - startPos.x),
-      height: Math.abs(currentY - startPos.y)
+    const { x: currentX, y: currentY } = getCanvasPoint(e);
+
+    // Whole pixels only, so the processors index the pixel buffer with integers
+    const x = Math.round(Math.min(startPos.x, currentX));
+    const y = Math.round(Math.min(startPos.y, currentY));
+    setDraftRegion({
+      x,
+      y,
+      width: Math.round(Math.max(startPos.x, currentX)) - x,
+      height: Math.round(Math.max(startPos.y, currentY)) - y
     });
   };
 
   const handleEndSelection = () => {
-    if (!selectionMode) return; // Only act if in selection mode
+    if (isPainting) {
+      setIsPainting(false);
+      setMaskVersion((v) => v + 1);
+      lastPaintPointRef.current = null;
+      recordEdit("mask-stroke", brushTool === "eraser" ? "Erase mask" : "Paint mask",
+        { mask: maskBeforeStrokeRef.current }, { mask: cloneMask(brushMaskRef.current) });
+      maskBeforeStrokeRef.current = null;
+      return;
+    }
+    if (isMovingLogo) {
+      logoMoveRef.current = null;
+      setIsMovingLogo(false);
+      setEstimatedOpacity(estimateLogoOpacity(workingImage, logo.image, logo.x, logo.y));
+      return;
+    }
+    if (isMovingRegion) {
+      const { regions: regionsAtStart } = moveStateRef.current;
+      const moved = regions.some((region, index) => region.x !== regionsAtStart[index].x || region.y !== regionsAtStart[index].y);
+      if (moved) recordEdit("move-region", "Move region", { regions: regionsAtStart }, { regions });
+      moveStateRef.current = null;
+      setIsMovingRegion(false);
+      return;
+    }
+    if (!selectionMode || !isDragging) return; // Only act while drawing a region
     
     setIsDragging(false);
-    if (selection.width > 10 && selection.height > 10) {
-      setSelectionMode(false); // Valid selection made, exit selection mode, preview will persist
-    } else {
-      // Invalid or tiny selection, reset it and show original image
-      setSelection({ x: 0, y: 0, width: 0, height: 0 });
-      if (originalImage) {
-        setDisplayedImageData(originalImage);
+    if (isValidRegion(draftRegion)) {
+      // Valid region drawn: add it to the list, select it and exit selection mode
+      const id = nextRegionIdRef.current++;
+      const nextRegions = [...regions, { id, ...draftRegion }];
+      recordEdit("add-region", "Add region", { regions }, { regions: nextRegions });
+      setRegions(nextRegions);
+      setSelectedRegionId(id);
+      setSelectionMode(false);
+    }
+    // Invalid or tiny regions are discarded; the user stays in selection mode to try again
+    setDraftRegion(null);
+  };
+
+  // Replace the regions with a preset's (fitted to this image) and take over its removal settings
+  const applyPreset = (preset) => {
+    if (!workingImage) return;
+    const nextRegions = resolveRegionTemplate(preset.regions, workingImage.width, workingImage.height)
+      .filter(isValidRegion)
+      .map((region) => ({ id: nextRegionIdRef.current++, ...region }));
+    recordEdit("apply-preset", `Apply preset "${preset.name}"`, { regions }, { regions: nextRegions });
+    setRegions(nextRegions);
+    setSelectedRegionId(null);
+    setSelectionMode(false);
+    setDraftRegion(null);
+    const presetStrategy = getStrategy(preset.strategy);
+    // Rebuilding from nearby frames only works on video
+    setStrategy(presetStrategy.needsFrames ? DEFAULT_STRATEGY_ID : presetStrategy.id);
+    setRemovalOptions(presetStrategy.needsFrames ? {} : preset.options || {});
+  };
+
+  // Find the watermark this image shares with the chosen images and pre-fill the brush mask with it,
+  // replacing the current selection. The proposal can then be refined with the brush and eraser.
+  const handleDetectFilesSelected = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = ""; // Allow choosing the same files again
+    if (!originalImage || files.length === 0) return;
+
+    setIsProcessing(true);
+    setDetectionProgress({ done: 0, total: files.length });
+    try {
+      // Compare against the image as loaded: earlier removal passes would weaken the watermark
+      const detection = await detectWatermarkInFiles(imageProcessor, originalImage, files, (done, total) => {
+        setDetectionProgress({ done, total });
+      });
+      if (!detection) {
+        setDetectedWatermark(null);
+        onError("No consistent watermark was found across these images.");
+        return;
+      }
+
+      const mask = resizeMask(detection.mask, originalImage.width, originalImage.height);
+      recordEdit(
+        "auto-detect",
+        "Auto-detect watermark",
+        { regions, mask: cloneMask(brushMaskRef.current) },
+        { regions: [], mask: cloneMask(mask) }
+      );
+      brushMaskRef.current = mask;
+      setMaskVersion((v) => v + 1);
+      setMaskCombineMode("add");
+      setRegions([]);
+      setSelectedRegionId(null);
+      setSelectionMode(false);
+      setDraftRegion(null);
+      setDetectedWatermark({
+        bounds: fromRelativeRegion(detection.bounds, originalImage.width, originalImage.height),
+        confidence: detection.confidence
+      });
+    } catch (error) {
+      console.error("Error detecting watermark:", error);
+      onError("Failed to detect the watermark. " + error.message);
+    } finally {
+      setDetectionProgress(null);
+      setIsProcessing(false);
+    }
+  };
+
+  // Scan the image for likely watermark areas and show them as suggestions to accept
+  const suggestRegions = () => {
+    if (!workingImage) return;
+    const found = suggestWatermarkRegions(workingImage);
+    setSuggestions(found);
+    if (found.length === 0) {
+      onError("No likely watermark areas were found. Please select the region by hand.");
+    }
+  };
+
+  // Turn suggestions into regions, which can then be moved or deleted like drawn ones
+  const acceptSuggestions = (accepted) => {
+    const added = accepted.map((box) => ({
+      id: nextRegionIdRef.current++,
+      ...toValidRegion(box, workingImage.width, workingImage.height)
+    }));
+    const nextRegions = [...regions, ...added];
+    recordEdit("add-region", accepted.length === 1 ? "Accept suggestion" : "Accept suggestions", { regions }, { regions: nextRegions });
+    setRegions(nextRegions);
+    setSelectedRegionId(added[added.length - 1].id);
+    setSuggestions(suggestions.filter((box) => !accepted.includes(box)));
+  };
+
+  // Load the logo for logo removal and place it where it is found in the image (centred if it isn't)
+  const handleLogoSelected = async (file) => {
+    if (!workingImage) return;
+    setIsProcessing(true);
+    try {
+      const { imageData: image } = await imageProcessor.loadImage(file);
+      if (image.width > workingImage.width || image.height > workingImage.height) {
+        onError("The logo is larger than the image. Please upload the logo at the size it appears in the image.");
+        return;
       }
+      const match = alignLogo(workingImage, image);
+      const x = match ? match.x : Math.round((workingImage.width - image.width) / 2);
+      const y = match ? match.y : Math.round((workingImage.height - image.height) / 2);
+      setLogo({ name: file.name, image, x, y });
+      setEstimatedOpacity(estimateLogoOpacity(workingImage, image, x, y));
+      if (!match) onError("The logo could not be found in the image automatically. Drag it into place.");
+    } catch (error) {
+      console.error("Error loading logo:", error);
+      onError("Failed to load the logo. " + error.message);
+    } finally {
+      setIsProcessing(false);
     }
   };
 
-  // Process the image to apply blur
-  const processImage = async () => {
-    if (!originalImage || !selection.width || !selection.height) {
-      onError("Please select a region to blur first.");
+  const autoAlignLogo = () => {
+    if (!logo || !workingImage) return;
+    const match = alignLogo(workingImage, logo.image);
+    if (!match) {
+      onError("The logo could not be found in the image automatically. Drag it into place.");
       return;
     }
-    if (selection.width <= 10 || selection.height <= 10) {
-      onError("The selected region is too small. Please select a larger area.");
+    setLogo({ ...logo, x: match.x, y: match.y });
+    setEstimatedOpacity(estimateLogoOpacity(workingImage, logo.image, match.x, match.y));
+  };
+
+  const removeLogo = () => {
+    setLogo(null);
+    setIsLogoMoveTool(false);
+    setEstimatedOpacity(null);
+  };
+
+  const selectLogoMoveTool = (active) => {
+    setIsLogoMoveTool(active);
+    if (active) {
+      setBrushTool(null);
+      setSelectionMode(false);
+      setIsDragging(false);
+      setDraftRegion(null);
+    }
+  };
+
+  const buildPreset = (name) => (
+    workingImage && regions.length > 0
+      ? createPreset(name, regions, workingImage.width, workingImage.height, strategy, removalOptions)
+      : null
+  );
+
+  const deleteRegion = (id) => {
+    const nextRegions = regions.filter((region) => region.id !== id);
+    recordEdit("delete-region", "Delete region", { regions }, { regions: nextRegions });
+    setRegions(nextRegions);
+    if (selectedRegionId === id) setSelectedRegionId(null);
+  };
+
+  const selectBrushTool = (tool) => {
+    setBrushTool(tool);
+    if (tool) {
+      // Painting, drawing rectangles and moving the logo are separate modes
+      setSelectionMode(false);
+      setIsLogoMoveTool(false);
+      setIsDragging(false);
+      setDraftRegion(null);
+    }
+  };
+
+  const clearMask = () => {
+    if (!originalImage || isMaskEmpty(brushMaskRef.current)) return;
+    const emptyMask = createMask(originalImage.width, originalImage.height);
+    recordEdit("mask-stroke", "Clear mask", { mask: cloneMask(brushMaskRef.current) }, { mask: emptyMask });
+    brushMaskRef.current = cloneMask(emptyMask);
+    setMaskVersion((v) => v + 1);
+  };
+
+  // Process the image, removing every region (and the painted mask) in a single pass.
+  // The result becomes the new working image, so further passes build on it and each can be undone.
+  const processImage = async () => {
+    const target = workingImage && resolveRemovalTarget(withLogoRegion(regions, strategy, logo), brushMaskRef.current, maskCombineMode);
+    if (!target) {
+      onError("Please select a region or paint over the watermark first.");
       return;
     }
 
     setIsProcessing(true);
+    setProcessingProgress(0);
 
     try {
-      // imageProcessor.removeWatermark now applies blur to the selected region
-      const finalProcessedData = imageProcessor.removeWatermark(originalImage, selection);
-      setDisplayedImageData(finalProcessedData); // Update canvas with the final blurred image
+      const finalProcessedData = await imageProcessor.removeWatermarkAsync(
+        workingImage,
+        target,
+        getRemovalOptions(strategy, removalOptions, logo),
+        { onProgress: (p) => setProcessingProgress(Math.round(p * 100)) }
+      );
+      const emptyMask = createMask(workingImage.width, workingImage.height);
+      recordEdit(
+        "apply",
+        `Apply ${getStrategy(strategy).label}`,
+        { image: workingImage, regions, mask: cloneMask(brushMaskRef.current) },
+        { image: finalProcessedData, regions: [], mask: emptyMask }
+      );
+
+      // The applied selection is now baked into the working image
+      setWorkingImage(finalProcessedData);
+      setRegions([]);
+      setSelectedRegionId(null);
+      setDetectedWatermark(null);
+      setSuggestions([]);
+      brushMaskRef.current = cloneMask(emptyMask);
+      setMaskVersion((v) => v + 1);
+      setDisplayedImageData(finalProcessedData); // Update canvas with the final processed image
       
-      const processedBlob = await imageProcessor.toBlob(finalProcessedData);
-      onProcessingComplete(processedBlob);
+      let notice = null;
+      const processedBlob = await imageProcessor.toBlob(finalProcessedData, exportSettings, sourceMetadataRef.current, (message) => { notice = message; });
+      onProcessingComplete(processedBlob, notice);
       
     } catch (error) {
-      console.error("Error processing image (applying blur):", error);
-      onError("Failed to apply blur. " + error.message);
-      if (originalImage) setDisplayedImageData(originalImage); // Revert to original on error
+      console.error("Error processing image (removing watermark):", error);
+      onError("Failed to remove watermark. " + error.message);
+      if (workingImage) setDisplayedImageData(workingImage); // Revert to the last good image on error
     } finally {
       setIsProcessing(false);
     }
   };
 
   const toggleSelectionMode = () => {
-    const newMode = !selectionMode;
-    setSelectionMode(newMode);
-    if (newMode) { // Entering selection mode
-      // Reset selection and revert to original image for new selection
-      setSelection({ x: 0, y: 0, width: 0, height: 0 });
-      if (originalImage) {
-        setDisplayedImageData(originalImage);
-      }
-    }
-    // If exiting selection mode (e.g. by clicking "Cancel Selection"), 
-    // the blur preview effect (if a selection was made) will handle display.
+    // Entering selection mode keeps existing regions; the next drag adds a new one.
+    // Leaving it (e.g. by clicking "Cancel Selection") drops any half-drawn region.
+    setSelectionMode(!selectionMode);
+    setBrushTool(null);
+    setIsLogoMoveTool(false);
+    setIsDragging(false);
+    setDraftRegion(null);
   };
 
+  // Discard every edit and return to the original image. The reset itself can be undone.
   const resetImage = () => {
     if (!originalImage) return;
     
-    setSelection({ x: 0, y: 0, width: 0, height: 0 });
+    const emptyMask = createMask(originalImage.width, originalImage.height);
+    recordEdit(
+      "reset",
+      "Reset image",
+      { image: workingImage, regions, mask: cloneMask(brushMaskRef.current) },
+      { image: originalImage, regions: [], mask: emptyMask }
+    );
+    setWorkingImage(originalImage);
+    setRegions([]);
+    setSelectedRegionId(null);
+    setDetectedWatermark(null);
+    setSuggestions([]);
+    setDraftRegion(null);
+    brushMaskRef.current = cloneMask(emptyMask);
+    setMaskVersion((v) => v + 1);
+    setBrushTool(null);
     setDisplayedImageData(originalImage); // Restore original image to display
     setSelectionMode(false); // Ensure selection mode is off
     setIsProcessing(false);
-    // Parent component should be notified if it needs to clear any downloaded/processed file state
+    if (onResultCleared) onResultCleared(); // Nothing processed left to download
   };
 
+  // Whether the regions and brush mask currently select anything to remove
+  const hasSelection = useMemo(
+    () => Boolean(resolveRemovalTarget(withLogoRegion(regions, strategy, logo), brushMaskRef.current, maskCombineMode)),
+    [regions, maskCombineMode, maskVersion, strategy, logo] // maskVersion tracks changes to the mask ref
+  );
+
   if (!imageFile) {
     return (
       <div className="text-center p-4 text-gray-500">
@@ -244,7 +764,11 @@ const ImageCanvas = ({ imageFile, onProcessingComplete, onError }) => {
           onMouseMove={handleUpdateSelection}
           onMouseUp={handleEndSelection}
           onMouseLeave={handleEndSelection} // End selection if mouse leaves canvas
-          style={{ cursor: selectionMode ? "crosshair" : "default" }}
+          style={{ cursor: selectionMode || brushTool ? "crosshair" : isLogoMoveTool && logo && getStrategy(strategy).needsLogo ? "move" : "default" }}
+        />
+        <canvas
+          ref={maskCanvasRef}
+          className="absolute inset-0 w-full h-full pointer-events-none opacity-40"
         />
         
         {isProcessing && !imageProcessor.loadImage &&  ( // Show general processing spinner, not for initial load
@@ -267,18 +791,18 @@ const ImageCanvas = ({ imageFile, onProcessingComplete, onError }) => {
               : "bg-blue-500 hover:bg-blue-600"
           } ${(!originalImage || isProcessing) ? "opacity-50 cursor-not-allowed" : ""}`}
         >
-          {selectionMode ? "Cancel Selection" : "Select Region to Blur"}
+          {selectionMode ? "Cancel Selection" : regions.length > 0 ? "Add Another Region" : "Select Region to Blur"}
         </button>
         
         <button
           onClick={processImage}
-          disabled={isProcessing || !originalImage || !selection.width || !selection.height || selectionMode}
+          disabled={isProcessing || !originalImage || !hasSelection || selectionMode}
           className={`px-4 py-2 rounded-md text-white transition-colors bg-green-500 hover:bg-green-600
-          ${(isProcessing || !originalImage || !selection.width || !selection.height || selectionMode)
+          ${(isProcessing || !originalImage || !hasSelection || selectionMode)
               ? "opacity-50 cursor-not-allowed"
               : ""}`}
         >
-          {isProcessing ? "Processing..." : "Apply Blur"}
+          {isProcessing ? `Processing... ${processingProgress}%` : getStrategy(strategy).actionLabel}
         </button>
         
         <button
@@ -289,18 +813,210 @@ const ImageCanvas = ({ imageFile, onProcessingComplete, onError }) => {
         >
           Reset Image
         </button>
+
+        <button
+          onClick={undo}
+          disabled={isProcessing || !historyLabels.undo}
+          title={historyLabels.undo ? `Undo: ${historyLabels.undo} (Ctrl+Z)` : "Nothing to undo"}
+          className={`px-4 py-2 rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50 transition-colors
+          ${(isProcessing || !historyLabels.undo) ? "opacity-50 cursor-not-allowed" : ""}`}
+        >
+          Undo
+        </button>
+
+        <button
+          onClick={redo}
+          disabled={isProcessing || !historyLabels.redo}
+          title={historyLabels.redo ? `Redo: ${historyLabels.redo} (Ctrl+Shift+Z)` : "Nothing to redo"}
+          className={`px-4 py-2 rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50 transition-colors
+          ${(isProcessing || !historyLabels.redo) ? "opacity-50 cursor-not-allowed" : ""}`}
+        >
+          Redo
+        </button>
+
+        <button
+          onClick={() => detectInputRef.current.click()}
+          disabled={isProcessing || !originalImage}
+          title={`Choose at least ${MIN_DETECTION_IMAGES - 1} more images with the same watermark`}
+          className={`px-4 py-2 rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50 transition-colors
+          ${(isProcessing || !originalImage) ? "opacity-50 cursor-not-allowed" : ""}`}
+        >
+          {detectionProgress ? `Detecting... ${detectionProgress.done}/${detectionProgress.total}` : "Auto-detect from Images"}
+        </button>
+        <input ref={detectInputRef} type="file" accept="image/*" multiple className="hidden" onChange={handleDetectFilesSelected} />
+
+        <button
+          onClick={suggestRegions}
+          disabled={isProcessing || !workingImage}
+          className={`px-4 py-2 rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50 transition-colors
+          ${(isProcessing || !workingImage) ? "opacity-50 cursor-not-allowed" : ""}`}
+        >
+          Suggest Regions
+        </button>
+
+        <StrategyPicker
+          strategy={strategy}
+          options={removalOptions}
+          onStrategyChange={setStrategy}
+          onOptionsChange={setRemovalOptions}
+          disabled={isProcessing}
+          allowLogo
+        />
+      </div>
+
+      {getStrategy(strategy).needsLogo && (
+        <div className="mt-3">
+          <LogoControls
+            logo={logo}
+            onLogoSelected={handleLogoSelected}
+            onAutoAlign={autoAlignLogo}
+            onRemoveLogo={removeLogo}
+            isMoveTool={isLogoMoveTool}
+            onMoveToolChange={selectLogoMoveTool}
+            estimatedOpacity={estimatedOpacity}
+            disabled={!originalImage || isProcessing}
+          />
+        </div>
+      )}
+
+      <div className="mt-3">
+        <PresetPicker
+          onApply={applyPreset}
+          buildPreset={buildPreset}
+          canSave={regions.length > 0}
+          onError={onError}
+          disabled={!originalImage || isProcessing}
+        />
       </div>
 
-      {selection.width > 0 && selection.height > 0 && (
+      <div className="mt-3">
+        <ImageExportPanel
+          settings={exportSettings}
+          onChange={handleExportSettingsChange}
+          hasMetadata={hasSourceMetadata}
+          disabled={!originalImage || isProcessing}
+        />
+      </div>
+
+      <div className="mt-3">
+        <MaskBrushControls
+          tool={brushTool}
+          onToolChange={selectBrushTool}
+          brushSize={brushSize}
+          onBrushSizeChange={setBrushSize}
+          combineMode={maskCombineMode}
+          onCombineModeChange={setMaskCombineMode}
+          onClearMask={clearMask}
+          disabled={!originalImage || isProcessing}
+        />
+      </div>
+
+      {regions.length > 0 && (
+        <ul className="mt-4 space-y-1 text-sm text-gray-600">
+          {regions.map((region, index) => (
+            <li
+              key={region.id}
+              className={`flex items-center justify-between gap-2 px-3 py-1 rounded-md cursor-pointer ${
+                region.id === selectedRegionId ? "bg-blue-50 text-blue-700" : "hover:bg-gray-50"
+              }`}
+              onClick={() => setSelectedRegionId(region.id)}
+            >
+              <span>
+                Region {index + 1}: {region.x}px, {region.y}px ({region.width}px x {region.height}px)
+              </span>
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  deleteRegion(region.id);
+                }}
+                disabled={isProcessing}
+                className="px-2 text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {suggestions.length > 0 && (
         <div className="mt-4 text-sm text-gray-600">
-          Selected region: {Math.round(selection.x)}px, {Math.round(selection.y)}px ({Math.round(selection.width)}px x {Math.round(selection.height)}px)
+          <div className="flex items-center gap-3 mb-1">
+            <span className="font-medium text-gray-700">Suggested regions:</span>
+            <button
+              type="button"
+              onClick={() => acceptSuggestions(suggestions)}
+              disabled={isProcessing}
+              className="px-2 text-blue-600 hover:text-blue-800"
+            >
+              Accept All
+            </button>
+            <button
+              type="button"
+              onClick={() => setSuggestions([])}
+              disabled={isProcessing}
+              className="px-2 text-gray-500 hover:text-gray-700"
+            >
+              Dismiss
+            </button>
+          </div>
+          <ul className="space-y-1">
+            {suggestions.map((box, index) => (
+              <li key={`${box.x},${box.y},${box.width},${box.height}`} className="flex items-center justify-between gap-2 px-3 py-1 rounded-md bg-orange-50">
+                <span>
+                  #{index + 1}: {box.x}px, {box.y}px ({box.width}px x {box.height}px), {Math.round(box.score * 100)}% likely
+                  {box.reasons.length > 0 && ` (${box.reasons.join(", ")})`}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => acceptSuggestions([box])}
+                  disabled={isProcessing}
+                  className="px-2 text-blue-600 hover:text-blue-800"
+                >
+                  Accept
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {detectedWatermark && (
+        <div className="mt-2 bg-blue-50 border-l-4 border-blue-400 p-3 rounded-md">
+          <p className="text-sm text-blue-700">
+            Watermark detected at {detectedWatermark.bounds.x}px, {detectedWatermark.bounds.y}px
+            ({detectedWatermark.bounds.width}px x {detectedWatermark.bounds.height}px,
+            confidence {Math.round(detectedWatermark.confidence * 100)}%). It has been painted into the mask;
+            touch it up with the brush or eraser before removing it.
+          </p>
         </div>
       )}
 
       {selectionMode && (
         <div className="mt-2 bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded-md">
           <p className="text-sm text-yellow-700">
-            Click and drag on the image to select the area you want to blur.
+            Click and drag on the image to add an area you want to blur. Existing regions are kept.
+          </p>
+        </div>
+      )}
+
+      {brushTool && (
+        <div className="mt-2 bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded-md">
+          <p className="text-sm text-yellow-700">
+            {brushTool === "eraser"
+              ? "Drag over painted areas to erase them from the mask."
+              : maskCombineMode === "subtract"
+                ? "Paint over parts of your rectangles that should be left untouched."
+                : "Paint over the watermark. Only painted pixels (plus any rectangles) are processed."}
+          </p>
+        </div>
+      )}
+
+      {isLogoMoveTool && logo && getStrategy(strategy).needsLogo && (
+        <div className="mt-2 bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded-md">
+          <p className="text-sm text-yellow-700">
+            Drag the logo outline until it sits exactly on the watermark. The opacity is re-estimated when you let go.
           </p>
         </div>
       )}
@@ -0,0 +1,63 @@
+import React from "react";
+import { IMAGE_FORMATS, METADATA_POLICIES, getImageFormat, isImageFormatSupported } from "../../utils/imageExport";
+
+// Output format of the processed image: format, quality of lossy formats and what happens to EXIF/XMP metadata.
+// hasMetadata tells whether the source image has any metadata to keep.
+const ImageExportPanel = ({ settings, onChange, hasMetadata, disabled }) => {
+  const format = getImageFormat(settings.format);
+
+  return (
+    <div className="flex flex-wrap gap-3 items-center text-sm text-gray-700">
+      <span className="font-medium">Export:</span>
+      <label className="flex items-center gap-2">
+        Format:
+        <select
+          value={settings.format}
+          onChange={(e) => onChange({ ...settings, format: e.target.value })}
+          disabled={disabled}
+          className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+        >
+          {IMAGE_FORMATS.map((entry) => {
+            const supported = isImageFormatSupported(entry.value);
+            return (
+              <option key={entry.value} value={entry.value} disabled={!supported}>
+                {supported ? entry.label : `${entry.label} (not supported by this browser)`}
+              </option>
+            );
+          })}
+        </select>
+      </label>
+      {format.lossy && (
+        <label className="flex items-center gap-2">
+          Quality:
+          <input
+            type="range"
+            min={10}
+            max={100}
+            step={1}
+            value={Math.round(settings.quality * 100)}
+            onChange={(e) => onChange({ ...settings, quality: Number(e.target.value) / 100 })}
+            disabled={disabled}
+          />
+          <span className="w-8 text-right">{Math.round(settings.quality * 100)}</span>
+        </label>
+      )}
+      <label className="flex items-center gap-2">
+        Metadata:
+        <select
+          value={settings.metadata}
+          onChange={(e) => onChange({ ...settings, metadata: e.target.value })}
+          disabled={disabled || !hasMetadata}
+          title={hasMetadata ? undefined : "The source image has no EXIF/XMP metadata"}
+          className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+        >
+          {METADATA_POLICIES.map((entry) => (
+            <option key={entry.value} value={entry.value}>{entry.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default ImageExportPanel;
@@ -0,0 +1,113 @@
+import React from "react";
+import { KEYFRAME_INTERPOLATIONS, findKeyframe } from "../../utils/keyframes";
+import { formatTime } from "./FrameScrubber";
+
+// Keyframe controls under the video preview: set the region at keyframes on the frame shown (picked with the
+// FrameScrubber, which marks them) and track it from there. keyframes come from utils/keyframes.js; the
+// region between them is interpolated.
+// While tracking (tracking is "forward" or "backward"), trackingProgress runs from 0 to 1.
+const KeyframeTimeline = ({
+  currentTime,
+  keyframes,
+  onSeek,
+  onSetKeyframe,
+  canSetKeyframe,
+  onRemoveKeyframe,
+  onInterpolationChange,
+  onClearKeyframes,
+  onTrack,
+  onStopTracking,
+  tracking,
+  trackingProgress,
+  disabled
+}) => {
+  const currentKeyframe = findKeyframe(keyframes, currentTime);
+
+  const buttonClassName = "px-3 py-1 rounded-md border border-gray-300 bg-white hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="text-sm text-gray-700">
+      <div className="flex flex-wrap gap-3 items-center">
+        <button type="button" onClick={onSetKeyframe} disabled={disabled || !canSetKeyframe} className={buttonClassName}>
+          {currentKeyframe ? "Update Keyframe" : "Set Keyframe"}
+        </button>
+        <button
+          type="button"
+          onClick={() => onRemoveKeyframe(currentKeyframe.time)}
+          disabled={disabled || !currentKeyframe}
+          className={buttonClassName}
+        >
+          Remove Keyframe
+        </button>
+        <button type="button" onClick={onClearKeyframes} disabled={disabled || keyframes.length === 0} className={buttonClassName}>
+          Clear Keyframes
+        </button>
+        {tracking ? (
+          <button type="button" onClick={onStopTracking} className={`${buttonClassName} text-red-600`}>
+            Stop Tracking ({Math.round(trackingProgress * 100)}%)
+          </button>
+        ) : (
+          <>
+            <button type="button" onClick={() => onTrack("backward")} disabled={disabled || !canSetKeyframe} className={buttonClassName}>
+              Track Backward
+            </button>
+            <button type="button" onClick={() => onTrack("forward")} disabled={disabled || !canSetKeyframe} className={buttonClassName}>
+              Track Forward
+            </button>
+          </>
+        )}
+        <span className="text-gray-500">
+          {keyframes.length === 0
+            ? "Without keyframes the region stays in place for the whole video."
+            : `${keyframes.length} keyframe${keyframes.length === 1 ? "" : "s"}; the region is interpolated in between.`}
+        </span>
+      </div>
+
+      {keyframes.length > 0 && (
+        <ul className="mt-2 space-y-1 text-gray-600 max-h-48 overflow-y-auto">
+          {keyframes.map((keyframe) => (
+            <li
+              key={keyframe.time}
+              className={`flex flex-wrap items-center gap-3 px-3 py-1 rounded-md ${keyframe === currentKeyframe ? "bg-purple-50" : ""}`}
+            >
+              <button type="button" onClick={() => onSeek(keyframe.time)} disabled={disabled} className="font-mono text-purple-700 hover:underline">
+                {formatTime(keyframe.time)}
+              </button>
+              <span>
+                {keyframe.x}px, {keyframe.y}px ({keyframe.width}px x {keyframe.height}px)
+              </span>
+              {keyframe.confidence !== undefined && (
+                <span className={keyframe.confidence >= 0.8 ? "text-green-700" : "text-amber-700"}>
+                  tracked, {Math.round(keyframe.confidence * 100)}% confidence
+                </span>
+              )}
+              <label className="flex items-center gap-1">
+                Then:
+                <select
+                  value={keyframe.interpolation}
+                  onChange={(e) => onInterpolationChange(keyframe.time, e.target.value)}
+                  disabled={disabled}
+                  className="border border-gray-300 rounded-md px-1 py-0.5 bg-white"
+                >
+                  {KEYFRAME_INTERPOLATIONS.map((choice) => (
+                    <option key={choice.value} value={choice.value}>{choice.label}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                type="button"
+                onClick={() => onRemoveKeyframe(keyframe.time)}
+                disabled={disabled}
+                className="px-2 text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default KeyframeTimeline;
@@ -0,0 +1,70 @@
+import React, { useRef } from "react";
+
+// Upload and placement of the watermark logo used by logo removal: choose the PNG, let it be found in the
+// image automatically, or drag it into place with the move tool.
+// logo is { name, image, x, y } once uploaded; estimatedOpacity is the opacity read from the image (0-1).
+const LogoControls = ({
+  logo,
+  onLogoSelected,
+  onAutoAlign,
+  onRemoveLogo,
+  isMoveTool,
+  onMoveToolChange,
+  estimatedOpacity,
+  disabled
+}) => {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow choosing the same file again
+    if (file) onLogoSelected(file);
+  };
+
+  const buttonClass = (active = false) =>
+    `px-3 py-2 rounded-md border transition-colors ${
+      active ? "bg-purple-600 border-purple-600 text-white" : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+    } ${disabled ? "opacity-50 cursor-not-allowed" : ""}`;
+
+  return (
+    <div className="flex flex-wrap gap-3 items-center text-sm text-gray-700">
+      <span className="font-medium">Logo:</span>
+      <button type="button" onClick={() => fileInputRef.current.click()} disabled={disabled} className={buttonClass()}>
+        {logo ? "Replace Logo" : "Upload Logo PNG"}
+      </button>
+      <input ref={fileInputRef} type="file" accept="image/png,image/webp" className="hidden" onChange={handleFileChange} />
+
+      {logo && (
+        <>
+          <span>
+            {logo.name} ({logo.image.width}px x {logo.image.height}px) at {logo.x}px, {logo.y}px
+          </span>
+          <button type="button" onClick={onAutoAlign} disabled={disabled} className={buttonClass()}>
+            Auto-align
+          </button>
+          <button
+            type="button"
+            onClick={() => onMoveToolChange(!isMoveTool)}
+            disabled={disabled}
+            className={buttonClass(isMoveTool)}
+          >
+            Drag Logo
+          </button>
+          {estimatedOpacity !== null && (
+            <span>Estimated opacity: {Math.round(estimatedOpacity * 100)}%</span>
+          )}
+          <button
+            type="button"
+            onClick={onRemoveLogo}
+            disabled={disabled}
+            className={`px-3 py-2 rounded-md text-red-600 hover:bg-red-50 ${disabled ? "opacity-50 cursor-not-allowed" : ""}`}
+          >
+            Remove Logo
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LogoControls;
@@ -0,0 +1,110 @@
+import React from "react";
+import { maskToImageData } from "../../utils/mask";
+
+// Overlay colours for painted pixels: added to the selection, or carved out of the rectangles
+export const MASK_OVERLAY_COLORS = {
+  add: [255, 0, 255, 255],
+  subtract: [0, 160, 255, 255]
+};
+
+// Redraw the whole brush overlay canvas from a mask (used after loading, clearing or switching mode)
+export const renderMaskOverlay = (canvas, mask, combineMode) => {
+  if (!canvas || !mask) return;
+  if (canvas.width !== mask.width || canvas.height !== mask.height) {
+    canvas.width = mask.width;
+    canvas.height = mask.height;
+  }
+  canvas.getContext("2d").putImageData(maskToImageData(mask, MASK_OVERLAY_COLORS[combineMode]), 0, 0);
+};
+
+// Draw one brush segment on the overlay canvas, mirroring paintStroke on the mask
+export const drawBrushSegment = (canvas, from, to, brushSize, tool, combineMode) => {
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  const [r, g, b] = MASK_OVERLAY_COLORS[combineMode];
+  ctx.save();
+  ctx.globalCompositeOperation = tool === "eraser" ? "destination-out" : "source-over";
+  ctx.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+  ctx.lineWidth = brushSize;
+  ctx.lineCap = "round";
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.stroke();
+  ctx.restore();
+};
+
+// Brush / eraser tool buttons, brush size and how the painted mask combines with the rectangles
+const MaskBrushControls = ({
+  tool,
+  onToolChange,
+  brushSize,
+  onBrushSizeChange,
+  combineMode,
+  onCombineModeChange,
+  onClearMask,
+  disabled
+}) => {
+  const toolButtonClass = (active) =>
+    `px-3 py-2 rounded-md border transition-colors ${
+      active ? "bg-purple-600 border-purple-600 text-white" : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+    } ${disabled ? "opacity-50 cursor-not-allowed" : ""}`;
+
+  return (
+    <div className="flex flex-wrap gap-3 items-center text-sm text-gray-700">
+      <button
+        type="button"
+        onClick={() => onToolChange(tool === "brush" ? null : "brush")}
+        disabled={disabled}
+        className={toolButtonClass(tool === "brush")}
+      >
+        Brush
+      </button>
+      <button
+        type="button"
+        onClick={() => onToolChange(tool === "eraser" ? null : "eraser")}
+        disabled={disabled}
+        className={toolButtonClass(tool === "eraser")}
+      >
+        Eraser
+      </button>
+
+      <label className="flex items-center gap-2">
+        Size:
+        <input
+          type="range"
+          min="2"
+          max="200"
+          value={brushSize}
+          onChange={(e) => onBrushSizeChange(Number(e.target.value))}
+          disabled={disabled}
+        />
+        <span className="w-10 text-right">{brushSize}px</span>
+      </label>
+
+      <label className="flex items-center gap-2">
+        Mask:
+        <select
+          value={combineMode}
+          onChange={(e) => onCombineModeChange(e.target.value)}
+          disabled={disabled}
+          className="border border-gray-300 rounded-md px-2 py-2 bg-white"
+        >
+          <option value="add">Add to regions</option>
+          <option value="subtract">Subtract from regions</option>
+        </select>
+      </label>
+
+      <button
+        type="button"
+        onClick={onClearMask}
+        disabled={disabled}
+        className={`px-3 py-2 rounded-md text-red-600 hover:bg-red-50 ${disabled ? "opacity-50 cursor-not-allowed" : ""}`}
+      >
+        Clear Mask
+      </button>
+    </div>
+  );
+};
+
+export default MaskBrushControls;
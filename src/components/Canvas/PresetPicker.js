@@ -0,0 +1,112 @@
+import React, { useRef, useState } from "react";
+import { saveAs } from "file-saver";
+import { loadPresets, savePresets, mergePresets, exportPresetsJson, parsePresetsJson } from "../../utils/presetStore";
+
+// Saved presets of regions and removal settings: apply one to the current file, save the current
+// selection as a new one, and import/export them as JSON.
+// buildPreset(name) returns a preset of the current selection (see createPreset); canSave tells whether
+// there is a selection to save.
+const PresetPicker = ({ onApply, buildPreset, canSave, onError, disabled }) => {
+  const fileInputRef = useRef(null);
+  const [presets, setPresets] = useState(() => loadPresets());
+  const [selectedId, setSelectedId] = useState("");
+  const [newName, setNewName] = useState("");
+
+  const selectedPreset = presets.find((preset) => preset.id === selectedId) || null;
+
+  const storePresets = (nextPresets) => {
+    try {
+      savePresets(nextPresets);
+      setPresets(nextPresets);
+    } catch (error) {
+      onError(error.message);
+    }
+  };
+
+  const handleSave = () => {
+    const name = newName.trim();
+    if (!name) return;
+    const preset = buildPreset(name);
+    if (!preset) {
+      onError("Please select a region before saving a preset.");
+      return;
+    }
+    storePresets(mergePresets(presets, [preset]));
+    setSelectedId(preset.id);
+    setNewName("");
+  };
+
+  const handleDelete = () => {
+    if (!selectedPreset) return;
+    storePresets(presets.filter((preset) => preset.id !== selectedPreset.id));
+    setSelectedId("");
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportPresetsJson(presets)], { type: "application/json" });
+    saveAs(blob, "watermark-presets.json");
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+    try {
+      const imported = parsePresetsJson(await file.text());
+      storePresets(mergePresets(presets, imported));
+    } catch (error) {
+      console.error("Error importing presets:", error);
+      onError(`Failed to import presets. ${error.message}`);
+    }
+  };
+
+  const buttonClassName = "px-3 py-1 rounded-md border border-gray-300 bg-white hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="flex flex-wrap gap-3 items-center text-sm text-gray-700">
+      <span className="font-medium">Presets:</span>
+      <select
+        value={selectedId}
+        onChange={(e) => setSelectedId(e.target.value)}
+        disabled={disabled || presets.length === 0}
+        className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+      >
+        <option value="">{presets.length === 0 ? "No saved presets" : "Choose a preset..."}</option>
+        {presets.map((preset) => (
+          <option key={preset.id} value={preset.id}>{preset.name}</option>
+        ))}
+      </select>
+      <button type="button" onClick={() => onApply(selectedPreset)} disabled={disabled || !selectedPreset} className={buttonClassName}>
+        Apply
+      </button>
+      <button type="button" onClick={handleDelete} disabled={disabled || !selectedPreset} className={buttonClassName}>
+        Delete
+      </button>
+
+      <input
+        type="text"
+        value={newName}
+        onChange={(e) => setNewName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") handleSave();
+        }}
+        placeholder="Preset name"
+        disabled={disabled || !canSave}
+        className="w-36 border border-gray-300 rounded-md px-2 py-1"
+      />
+      <button type="button" onClick={handleSave} disabled={disabled || !canSave || !newName.trim()} className={buttonClassName}>
+        Save Current
+      </button>
+
+      <button type="button" onClick={() => fileInputRef.current.click()} disabled={disabled} className={buttonClassName}>
+        Import
+      </button>
+      <button type="button" onClick={handleExport} disabled={disabled || presets.length === 0} className={buttonClassName}>
+        Export
+      </button>
+      <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+    </div>
+  );
+};
+
+export default PresetPicker;
@@ -0,0 +1,87 @@
+import React from "react";
+import { listStrategies, getStrategy } from "../../utils/strategies";
+
+// Method select (listing every registered removal strategy) plus the tunable parameters of the selected one.
+// Strategies working from an uploaded logo are only listed with allowLogo, those working from nearby video
+// frames only with allowFrames.
+const StrategyPicker = ({ strategy, options, onStrategyChange, onOptionsChange, disabled, allowLogo = false, allowFrames = false }) => {
+  const { params } = getStrategy(strategy);
+
+  const handleParamChange = (param, value) => {
+    const isText = param.input === "color" || param.input === "select";
+    onOptionsChange({ ...options, [param.name]: isText ? value : Number(value) });
+  };
+
+  return (
+    <div className="flex flex-wrap gap-3 items-center text-sm text-gray-700">
+      <label className="flex items-center gap-2">
+        Method:
+        <select
+          value={strategy}
+          onChange={(e) => onStrategyChange(e.target.value)}
+          disabled={disabled}
+          className="border border-gray-300 rounded-md px-2 py-2 bg-white"
+        >
+          {listStrategies().filter((entry) => (allowLogo || !entry.needsLogo) && (allowFrames || !entry.needsFrames)).map((entry) => (
+            <option key={entry.id} value={entry.id}>{entry.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {params.map((param) => {
+        const value = options[param.name] ?? param.defaultValue;
+        return (
+          <label key={param.name} className="flex items-center gap-2">
+            {param.label}:
+            {param.input === "color" ? (
+              <input
+                type="color"
+                value={value}
+                onChange={(e) => handleParamChange(param, e.target.value)}
+                disabled={disabled}
+                className="h-8 w-10 border border-gray-300 rounded-md"
+              />
+            ) : param.input === "select" ? (
+              <select
+                value={value}
+                onChange={(e) => handleParamChange(param, e.target.value)}
+                disabled={disabled}
+                className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+              >
+                {param.choices.map((choice) => (
+                  <option key={choice.value} value={choice.value}>{choice.label}</option>
+                ))}
+              </select>
+            ) : param.input === "number" ? (
+              <input
+                type="number"
+                min={param.min}
+                max={param.max}
+                step={param.step}
+                value={value}
+                onChange={(e) => handleParamChange(param, e.target.value)}
+                disabled={disabled}
+                className="w-20 border border-gray-300 rounded-md px-2 py-1"
+              />
+            ) : (
+              <>
+                <input
+                  type="range"
+                  min={param.min}
+                  max={param.max}
+                  step={param.step}
+                  value={value}
+                  onChange={(e) => handleParamChange(param, e.target.value)}
+                  disabled={disabled}
+                />
+                <span className="w-8 text-right">{value === 0 && param.zeroLabel ? param.zeroLabel : value}</span>
+              </>
+            )}
+          </label>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StrategyPicker;
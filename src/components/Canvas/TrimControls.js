@@ -0,0 +1,62 @@
+import React from "react";
+import { formatTime } from "./FrameScrubber";
+
+const TRIM_MODES = [
+  { value: "clip", label: "Export only this range" },
+  { value: "limit", label: "Remove only in this range, keep the rest" }
+];
+
+// In and out points for processing part of a video, set at the frame shown. trim is
+// { start, end, mode } with start and end in seconds (null for the start or end of the video); the out
+// point includes the frame it was set on. mode is "clip" or "limit" (see VideoProcessor.processVideo).
+const TrimControls = ({ trim, onChange, currentTime, frameRate, duration, disabled }) => {
+  const start = trim.start ?? 0;
+  const end = trim.end ?? duration;
+  const isTrimmed = trim.start !== null || trim.end !== null;
+
+  // Moving one point past the other drops the other
+  const setIn = () => onChange({ ...trim, start: currentTime, end: trim.end !== null && trim.end <= currentTime ? null : trim.end });
+  const setOut = () => {
+    const out = Math.min(duration, currentTime + 1 / frameRate);
+    onChange({ ...trim, end: out, start: trim.start !== null && trim.start >= out ? null : trim.start });
+  };
+
+  const buttonClassName = "px-3 py-1 rounded-md border border-gray-300 bg-white hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="flex flex-wrap gap-3 items-center text-sm text-gray-700">
+      <span className="font-medium">Range:</span>
+      <button type="button" onClick={setIn} disabled={disabled} className={buttonClassName}>
+        Set In
+      </button>
+      <button type="button" onClick={setOut} disabled={disabled} className={buttonClassName}>
+        Set Out
+      </button>
+      <button
+        type="button"
+        onClick={() => onChange({ ...trim, start: null, end: null })}
+        disabled={disabled || !isTrimmed}
+        className={buttonClassName}
+      >
+        Clear Range
+      </button>
+      <span className="font-mono">
+        {isTrimmed
+          ? `${formatTime(start)} - ${formatTime(end)} (${(end - start).toFixed(2)}s)`
+          : "Whole video"}
+      </span>
+      <select
+        value={trim.mode}
+        onChange={(e) => onChange({ ...trim, mode: e.target.value })}
+        disabled={disabled || !isTrimmed}
+        className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+      >
+        {TRIM_MODES.map((choice) => (
+          <option key={choice.value} value={choice.value}>{choice.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TrimControls;
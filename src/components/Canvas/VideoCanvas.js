@@ -1,10 +1,29 @@
-import React, { useRef, useEffect, useState, useCallback } from "react";
-import VideoProcessor from "../../utils/videoProcessor";
+import React, { useRef, useEffect, useState, useMemo } from "react";
+import VideoProcessor, { FALLBACK_FRAME_RATE } from "../../utils/videoProcessor";
+import ProcessingControl from "../../utils/processingControl";
+import { DEFAULT_STRATEGY_ID, getStrategy } from "../../utils/strategies";
+import StrategyPicker from "./StrategyPicker";
+import ExportSettingsPanel from "./ExportSettingsPanel";
+import PresetPicker from "./PresetPicker";
+import MaskBrushControls, { renderMaskOverlay, drawBrushSegment } from "./MaskBrushControls";
+import KeyframeTimeline from "./KeyframeTimeline";
+import FrameScrubber, { formatTime } from "./FrameScrubber";
+import TrimControls from "./TrimControls";
+import { createMask, paintStroke, resolveRemovalTarget, regionsToMask } from "../../utils/mask";
+import { createPreset } from "../../utils/presetStore";
+import { resolveRegionTemplate } from "../../utils/regionTemplate";
+import { DEFAULT_EXPORT_SETTINGS, checkExportSupport } from "../../utils/videoExport";
+import { setKeyframe, removeKeyframe, removeKeyframesBeyond, updateKeyframe, findKeyframe, interpolateRegion } from "../../utils/keyframes";
 
 const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
   const canvasRef = useRef(null);
   const videoRef = useRef(null); // For the hidden video element
   const videoProcessorRef = useRef(new VideoProcessor());
+  const maskCanvasRef = useRef(null); // Overlay showing the painted brush mask
+  const brushMaskRef = useRef(null); // Per-pixel brush mask, painted in place
+  const trackingControllerRef = useRef(null); // AbortController of the running track
+  const processingControlRef = useRef(null); // ProcessingControl of the running processVideo
+  const lastPaintPointRef = useRef(null);
 
   const [previewFrame, setPreviewFrame] = useState(null); // Original first/key frame ImageData
   const [displayedFrameData, setDisplayedFrameData] = useState(null); // ImageData for canvas display (can be blurred preview)
@@ -16,7 +35,24 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
 
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [isPaused, setIsPaused] = useState(false);
+  const [strategy, setStrategy] = useState(DEFAULT_STRATEGY_ID);
+  const [removalOptions, setRemovalOptions] = useState({}); // Tunable parameters of the selected mode
+  const [brushTool, setBrushTool] = useState(null); // null, "brush" or "eraser"
+  const [brushSize, setBrushSize] = useState(24);
+  const [maskCombineMode, setMaskCombineMode] = useState("add"); // How the brush mask combines with the selection
+  const [isPainting, setIsPainting] = useState(false);
+  const [maskVersion, setMaskVersion] = useState(0); // Bumped whenever the brush mask changes
   const [videoMeta, setVideoMeta] = useState({ width: 0, height: 0, duration: 0 });
+  const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS);
+  const [exportSupported, setExportSupported] = useState(null); // null while being checked
+  const [currentTime, setCurrentTime] = useState(0); // Time of the frame shown, in seconds
+  const [frameRate, setFrameRate] = useState(FALLBACK_FRAME_RATE);
+  const [trim, setTrim] = useState({ start: null, end: null, mode: "clip" }); // In/out points (see TrimControls)
+  const [keyframes, setKeyframes] = useState([]); // Region keyframes (see utils/keyframes.js); none for a fixed region
+  const [tracking, setTracking] = useState(null); // Direction of the running track ("forward" or "backward")
+  const [trackingProgress, setTrackingProgress] = useState(0);
+  const [trackingNotice, setTrackingNotice] = useState(null); // Why the last track ended early
 
 
   // Effect 1: Load video file and reset states
@@ -31,11 +67,19 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
       setDisplayedFrameData(null);
       setSelection({ x: 0, y: 0, width: 0, height: 0 });
       setSelectionMode(false);
+      setBrushTool(null);
+      brushMaskRef.current = null;
       setIsProcessing(false);
       setProgress(0);
       setVideoMeta({ width: 0, height: 0, duration: 0 });
+      setCurrentTime(0);
+      setKeyframes([]);
+      setTrackingNotice(null);
+      setTrim({ start: null, end: null, mode: "clip" });
 
       return () => {
+        if (trackingControllerRef.current) trackingControllerRef.current.abort(); // Stop tracking the old video
+        if (processingControlRef.current) processingControlRef.current.cancel(); // ...and processing it
         URL.revokeObjectURL(videoUrl);
         videoElement.removeAttribute("src"); // Clean up src
         videoElement.load(); // Reset video element state
@@ -56,6 +100,20 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
     }
   }, [videoFile]);
 
+  // Frame rate for stepping through the video a frame at a time
+  useEffect(() => {
+    if (!videoFile) return;
+
+    let isStale = false;
+    setFrameRate(FALLBACK_FRAME_RATE);
+    videoProcessorRef.current.getFrameRate(videoFile).then((rate) => {
+      if (!isStale) setFrameRate(rate);
+    });
+    return () => {
+      isStale = true;
+    };
+  }, [videoFile]);
+
   // Effect 2: Setup video event listeners for preview frame extraction
   useEffect(() => {
     const videoElement = videoRef.current;
@@ -72,14 +130,17 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
           canvasRef.current.width = videoElement.videoWidth;
           canvasRef.current.height = videoElement.videoHeight;
         }
-        // Seek to beginning to get the first frame for preview
+        // Start on the first frame; the frame scrubber moves to any other
         videoElement.currentTime = 0; 
       } else {
         onError("Video metadata is invalid or video is corrupt.");
       }
     };
 
+    // Processing and tracking seek the same element to read frames; those seeks must not replace the
+    // frame shown
     const handleSeeked = () => {
+      if (processingControlRef.current || trackingControllerRef.current) return;
       if (videoElement && canvasRef.current && videoElement.videoWidth > 0 && videoElement.videoHeight > 0) {
         const canvas = canvasRef.current;
         const ctx = canvas.getContext("2d");
@@ -90,8 +151,14 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
         }
         ctx.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
         const frame = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const brushMask = brushMaskRef.current;
+        if (!brushMask || brushMask.width !== frame.width || brushMask.height !== frame.height) {
+          brushMaskRef.current = createMask(frame.width, frame.height);
+          setMaskVersion((v) => v + 1);
+        }
         setPreviewFrame(frame);
         setDisplayedFrameData(frame); // Initially display the raw frame
+        setCurrentTime(videoElement.currentTime);
       }
     };
     
@@ -111,29 +178,71 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
   }, [videoFile, onError]);
 
 
-  // Effect 3: Update displayedFrameData for blur preview based on selection
+  // With keyframes, the selection follows the interpolated region of the frame shown (except while a new
+  // region is being drawn)
+  useEffect(() => {
+    if (keyframes.length === 0 || selectionMode) return;
+    setSelection(interpolateRegion(keyframes, currentTime));
+  }, [keyframes, currentTime, selectionMode]);
+
+  // Effect 3: Update displayedFrameData for blur preview based on selection and brush mask
   useEffect(() => {
     if (!previewFrame || !videoProcessorRef.current) {
-      if (displayedFrameData !== null) setDisplayedFrameData(null);
+      setDisplayedFrameData(null);
       return;
     }
+    // Brush strokes are previewed once the stroke ends, the overlay shows them while painting
+    if (isPainting) return;
 
-    if (selection.width > 10 && selection.height > 10 && !selectionMode) {
-      // Valid selection committed, show blur preview
-      try {
-        const blurredFrame = videoProcessorRef.current.blurWatermark(previewFrame, selection);
-        setDisplayedFrameData(blurredFrame);
-      } catch (e) {
-        console.error("Error generating video blur preview:", e);
-        setDisplayedFrameData(previewFrame); // Fallback
-      }
-    } else {
+    // A committed selection (not one being drawn) plus whatever the brush mask adds or removes
+    const committedRegions = selection.width > 10 && selection.height > 10 && !selectionMode ? [selection] : [];
+    const target = resolveRemovalTarget(committedRegions, brushMaskRef.current, maskCombineMode);
+
+    if (!target) {
       // No selection, or actively selecting, show original preview frame
-       if (displayedFrameData !== previewFrame) {
-           setDisplayedFrameData(previewFrame);
-       }
+      setDisplayedFrameData(previewFrame);
+      return;
     }
-  }, [previewFrame, selection, selectionMode, displayedFrameData]); // Removed videoProcessorRef from deps as it's stable
+
+    // Rendered in the worker pool; results of a preview that has since been replaced are ignored
+    let isStale = false;
+    videoProcessorRef.current.blurWatermarkAsync(previewFrame, target, { ...removalOptions, strategy }, { channel: "video-preview" })
+      .then((blurredFrame) => {
+        if (!isStale) setDisplayedFrameData(blurredFrame);
+      })
+      .catch((e) => {
+        if (isStale || e.superseded) return;
+        console.error("Error generating video blur preview:", e);
+        setDisplayedFrameData(previewFrame); // Fallback
+      });
+    return () => {
+      isStale = true;
+    };
+  }, [previewFrame, selection, selectionMode, strategy, removalOptions, isPainting, maskVersion, maskCombineMode]); // videoProcessorRef is stable
+
+  // Check up front whether this browser can encode the chosen export settings at the video's size
+  useEffect(() => {
+    if (!videoMeta.width || !videoMeta.height) return;
+
+    let isStale = false;
+    setExportSupported(null);
+    checkExportSupport(exportSettings, videoMeta.width, videoMeta.height)
+      .then(({ webCodecs, mediaRecorder }) => {
+        if (!isStale) setExportSupported(webCodecs || mediaRecorder);
+      })
+      .catch((e) => {
+        console.error("Error checking export support:", e);
+        if (!isStale) setExportSupported(false);
+      });
+    return () => {
+      isStale = true;
+    };
+  }, [exportSettings, videoMeta.width, videoMeta.height]);
+
+  // Redraw the brush overlay when the mask is replaced or its colour changes
+  useEffect(() => {
+    if (!isPainting) renderMaskOverlay(maskCanvasRef.current, brushMaskRef.current, maskCombineMode);
+  }, [maskCombineMode, isPainting, maskVersion]);
 
 
   // Effect 4: Draw onto canvas
@@ -157,28 +266,54 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
     ctx.putImageData(displayedFrameData, 0, 0);
 
     if (selection.width > 0 && selection.height > 0) {
+      ctx.save();
       ctx.strokeStyle = "#FF0000";
       ctx.lineWidth = 2;
+      // Between keyframes the region is interpolated, which the dashed outline shows
+      if (keyframes.length > 0 && !selectionMode && !findKeyframe(keyframes, currentTime)) ctx.setLineDash([6, 4]);
       ctx.strokeRect(selection.x, selection.y, selection.width, selection.height);
+      ctx.restore();
       if (selectionMode && isDragging) {
         ctx.fillStyle = "rgba(255, 0, 0, 0.1)";
         ctx.fillRect(selection.x, selection.y, selection.width, selection.height);
       }
     }
-  }, [displayedFrameData, selection, selectionMode, isDragging]);
-
+  }, [displayedFrameData, selection, selectionMode, isDragging, keyframes, currentTime]);
 
-  const handleStartSelection = (e) => {
-    if (!selectionMode || !canvasRef.current || !previewFrame) return;
 
+  // Convert a mouse event to frame pixel coordinates
+  const getCanvasPoint = (e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
     // Scale mouse coordinates to canvas coordinates
     const scaleX = canvas.width / rect.width;
     const scaleY = canvas.height / rect.height;
-    
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
+    return {
+      x: Math.min(canvas.width, Math.max(0, (e.clientX - rect.left) * scaleX)),
+      y: Math.min(canvas.height, Math.max(0, (e.clientY - rect.top) * scaleY))
+    };
+  };
+
+  // Paint (or erase) the brush mask from the last point to this one
+  const paintTo = (point) => {
+    const from = lastPaintPointRef.current || point;
+    paintStroke(brushMaskRef.current, from, point, brushSize / 2, brushTool === "eraser" ? 0 : 1);
+    drawBrushSegment(maskCanvasRef.current, from, point, brushSize, brushTool, maskCombineMode);
+    lastPaintPointRef.current = point;
+  };
+
+  const handleStartSelection = (e) => {
+    if (!canvasRef.current || !previewFrame || isProcessing || tracking) return;
+
+    if (brushTool && brushMaskRef.current) {
+      setIsPainting(true);
+      lastPaintPointRef.current = null;
+      paintTo(getCanvasPoint(e));
+      return;
+    }
+    if (!selectionMode) return;
+
+    const { x, y } = getCanvasPoint(e);
 
     setIsDragging(true);
     setStartPos({ x, y });
@@ -186,30 +321,39 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
   };
 
   const handleUpdateSelection = (e) => {
+    if (isPainting) {
+      paintTo(getCanvasPoint(e));
+      return;
+    }
     if (!isDragging || !selectionMode || !canvasRef.current) return;
 
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    
-    const currentX = (e.clientX - rect.left) * scaleX;
-    const currentY = (e.clientY - rect.top) * scaleY;
+    const { x: currentX, y: currentY } = getCanvasPoint(e);
 
+    // Whole pixels only, so the processor indexes the pixel buffer with integers
+    const x = Math.round(Math.min(startPos.x, currentX));
+    const y = Math.round(Math.min(startPos.y, currentY));
     setSelection({
-      x: Math.min(startPos.x, currentX),
-      y: Math.min(startPos.y, currentY),
-      width: Math.abs(currentX - startPos.x),
-      height: Math.abs(currentY - startPos.y)
+      x,
+      y,
+      width: Math.round(Math.max(startPos.x, currentX)) - x,
+      height: Math.round(Math.max(startPos.y, currentY)) - y
     });
   };
 
   const handleEndSelection = () => {
+    if (isPainting) {
+      setIsPainting(false);
+      setMaskVersion((v) => v + 1);
+      lastPaintPointRef.current = null;
+      return;
+    }
     if (!selectionMode) return;
     
     setIsDragging(false);
     if (selection.width > 10 && selection.height > 10) {
       setSelectionMode(false); // Valid selection made, exit selection mode. Blur preview will show.
+      // Once the region is keyframed, drawing it on a frame sets the keyframe there
+      if (keyframes.length > 0) setKeyframes(setKeyframe(keyframes, { time: currentTime, ...selection }));
     } else {
       // Invalid selection, reset it. User stays in selection mode to try again or cancel.
       setSelection({ x: 0, y: 0, width: 0, height: 0 });
@@ -218,16 +362,25 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
   };
 
   const processVideoWithBlur = async () => {
-    if (!videoFile || !selection.width || !selection.height) {
-      onError("Please select a region to blur first.");
+    const hasRegion = selection.width > 0 && selection.height > 0;
+    if (hasRegion && (selection.width <= 10 || selection.height <= 10)) {
+      onError("The selected region is too small. Please select a larger area.");
       return;
     }
-     if (selection.width <= 10 || selection.height <= 10) {
-      onError("The selected region is too small. Please select a larger area.");
+    const brushMask = brushMaskRef.current;
+    const target = keyframes.length > 0
+      // Keyframed: each frame gets the region interpolated for its time
+      ? (time) => resolveRemovalTarget([interpolateRegion(keyframes, time)], brushMask, maskCombineMode)
+      : videoFile && resolveRemovalTarget(hasRegion ? [selection] : [], brushMask, maskCombineMode);
+    if (!target) {
+      onError("Please select a region or paint over the watermark first.");
       return;
     }
 
+    const control = new ProcessingControl();
+    processingControlRef.current = control;
     setIsProcessing(true);
+    setIsPaused(false);
     setProgress(0);
 
     try {
@@ -242,22 +395,142 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
         throw new Error("Video has invalid duration. Cannot process.");
       }
 
+      let notice = null;
       const processedVideoBlob = await videoProcessorRef.current.processVideo(
         videoElement, 
-        selection,
-        (p) => setProgress(p) // Progress callback
+        target,
+        (p) => setProgress(p), // Progress callback
+        { ...removalOptions, strategy },
+        {
+          sourceFile: videoFile,
+          exportSettings,
+          range: trim.start !== null || trim.end !== null ? trim : null,
+          control,
+          onNotice: (message) => { notice = message; }
+        }
       );
 
-      onProcessingComplete(processedVideoBlob);
+      onProcessingComplete(processedVideoBlob, notice);
     } catch (error) {
+      if (error.cancelled) return; // Cancelled on purpose; the finally block resets the state
       console.error("Error processing video:", error);
       onError(`Failed to process video. ${error.message || "Unknown error."}`);
     } finally {
+      processingControlRef.current = null;
       setIsProcessing(false);
+      setIsPaused(false);
+    }
+  };
+
+  const togglePause = () => {
+    const control = processingControlRef.current;
+    if (!control) return;
+    if (isPaused) control.resume();
+    else control.pause();
+    setIsPaused(!isPaused);
+  };
+
+  // Stop processing; with keepFinished the part finished so far is exported instead of thrown away
+  const cancelProcessing = (keepFinished) => {
+    if (processingControlRef.current) processingControlRef.current.cancel({ keepFinished });
+  };
+
+  // Take over a preset's regions (fitted to this video) and removal settings. The video has a single
+  // selection rectangle, so any further regions of the preset become the brush mask.
+  const applyPreset = (preset) => {
+    if (!previewFrame) return;
+    const [first, ...rest] = resolveRegionTemplate(preset.regions, previewFrame.width, previewFrame.height)
+      .filter((region) => region.width > 10 && region.height > 10);
+    setSelectionMode(false);
+    setBrushTool(null);
+    setKeyframes([]); // Presets hold a fixed region
+    setTrackingNotice(null);
+    setSelection(first || { x: 0, y: 0, width: 0, height: 0 });
+    brushMaskRef.current = regionsToMask(rest, previewFrame.width, previewFrame.height);
+    setMaskCombineMode("add");
+    setMaskVersion((v) => v + 1);
+    const presetStrategy = getStrategy(preset.strategy);
+    // Logo removal needs the logo, which presets don't hold and only the image editor can place
+    setStrategy(presetStrategy.needsLogo ? DEFAULT_STRATEGY_ID : presetStrategy.id);
+    setRemovalOptions(presetStrategy.needsLogo ? {} : preset.options || {});
+  };
+
+  // Painted brush masks are not part of presets, only the selection rectangle
+  const buildPreset = (name) => (
+    previewFrame && selection.width > 10 && selection.height > 10
+      ? createPreset(name, [selection], previewFrame.width, previewFrame.height, strategy, removalOptions)
+      : null
+  );
+
+  const seekTo = (time) => {
+    const videoElement = videoRef.current;
+    if (!videoElement || !videoMeta.duration) return;
+    // The seeked handler grabs the frame. Seeking to the very end shows none, so stop at the last frame.
+    videoElement.currentTime = Math.max(0, Math.min(videoMeta.duration - 1 / frameRate, time));
+  };
+
+  // Keyframe the current selection at the frame shown
+  const handleSetKeyframe = () => {
+    if (selection.width <= 10 || selection.height <= 10) return;
+    setKeyframes(setKeyframe(keyframes, { time: currentTime, ...selection }));
+  };
+
+  // Follow the current selection from the frame shown to the end (or start) of the video. Every tracked
+  // frame becomes a keyframe, replacing the keyframes beyond this one; the track stops where the
+  // watermark is lost so the region can be redrawn there and tracked on.
+  const handleTrack = async (direction) => {
+    if (selection.width <= 10 || selection.height <= 10 || tracking) return;
+    const startTime = currentTime;
+    const region = { ...selection };
+    const controller = new AbortController();
+    trackingControllerRef.current = controller;
+    setTracking(direction);
+    setTrackingProgress(0);
+    setTrackingNotice(null);
+    setKeyframes((current) => setKeyframe(removeKeyframesBeyond(current, startTime, direction), { time: startTime, ...region }));
+
+    try {
+      const { lost, stopped } = await videoProcessorRef.current.trackRegion(videoRef.current, startTime, region, {
+        direction,
+        signal: controller.signal,
+        onKeyframe: (keyframe) => setKeyframes((current) => setKeyframe(current, keyframe)),
+        onProgress: setTrackingProgress
+      });
+      if (lost) {
+        setTrackingNotice(`Tracking lost the watermark at ${formatTime(lost.time)} (${Math.round(lost.confidence * 100)}% confidence). Draw the region on this frame and track again from here.`);
+      } else if (stopped) {
+        setTrackingNotice("Tracking stopped. The frames tracked so far are kept as keyframes.");
+      }
+    } catch (error) {
+      console.error("Error tracking region:", error);
+      onError(`Failed to track the region. ${error.message || "Unknown error."}`);
+    } finally {
+      trackingControllerRef.current = null;
+      setTracking(null);
     }
   };
 
+  const stopTracking = () => {
+    if (trackingControllerRef.current) trackingControllerRef.current.abort();
+  };
+
+  const selectBrushTool = (tool) => {
+    setBrushTool(tool);
+    if (tool) {
+      // Painting and drawing the rectangle are separate modes
+      setSelectionMode(false);
+      setIsDragging(false);
+    }
+  };
+
+  const clearMask = () => {
+    if (!previewFrame) return;
+    brushMaskRef.current = createMask(previewFrame.width, previewFrame.height);
+    setMaskVersion((v) => v + 1);
+  };
+
   const toggleSelectionMode = () => {
+    setBrushTool(null);
     if (selectionMode) { // "Cancel Selection" clicked
       setSelectionMode(false);
       setSelection({ x: 0, y: 0, width: 0, height: 0 });
@@ -273,6 +546,13 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
     }
   };
 
+  // Whether the selection and brush mask currently select anything to remove
+  const hasSelection = useMemo(
+    () => keyframes.length > 0 ||
+      Boolean(resolveRemovalTarget(selection.width > 0 && selection.height > 0 ? [selection] : [], brushMaskRef.current, maskCombineMode)),
+    [keyframes, selection, maskCombineMode, maskVersion] // maskVersion tracks changes to the mask ref
+  );
+
   if (!videoFile) {
     return (
       <div className="text-center p-4 text-gray-500">
@@ -287,6 +567,18 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
     <div className="relative w-full">
       <video ref={videoRef} className="hidden" controls={false} muted playsInline />
 
+      <div className="mb-3">
+        <FrameScrubber
+          duration={videoMeta.duration}
+          currentTime={currentTime}
+          frameRate={frameRate}
+          keyframes={keyframes}
+          range={trim.start !== null || trim.end !== null ? { start: trim.start ?? 0, end: trim.end ?? videoMeta.duration } : null}
+          onSeek={seekTo}
+          disabled={!previewFrame || isProcessing || Boolean(tracking) || isDragging || isPainting}
+        />
+      </div>
+
       <div className="relative border border-gray-300 rounded-lg overflow-hidden mx-auto max-w-full w-fit">
         <canvas
           ref={canvasRef}
@@ -295,7 +587,11 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
           onMouseMove={handleUpdateSelection}
           onMouseUp={handleEndSelection}
           onMouseLeave={handleEndSelection} // End selection if mouse leaves canvas
-          style={{ cursor: selectionMode ? "crosshair" : "default" }}
+          style={{ cursor: selectionMode || brushTool ? "crosshair" : "default" }}
+        />
+        <canvas
+          ref={maskCanvasRef}
+          className="absolute inset-0 w-full h-full pointer-events-none opacity-40"
         />
         
         {showLoadingPreview && (
@@ -308,7 +604,7 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
         {isProcessing && (
           <div className="absolute inset-0 bg-black bg-opacity-75 flex flex-col items-center justify-center text-white z-10">
             <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="50" height="50"><rect width="256" height="256" fill="none"/><circle cx="128" cy="128" r="40" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M41.43,178.09A99.14,99.14,0,0,1,31.36,153.8l16.78-21a81.59,81.59,0,0,1,0-9.64l-16.77-21a99.43,99.43,0,0,1,10.05-24.3l26.71-3a81,81,0,0,1,6.81-6.81l3-26.7A99.14,99.14,0,0,1,102.2,31.36l21,16.78a81.59,81.59,0,0,1,9.64,0l21-16.77a99.43,99.43,0,0,1,24.3,10.05l3,26.71a81,81,0,0,1,6.81,6.81l26.7,3a99.14,99.14,0,0,1,10.07,24.29l-16.78,21a81.59,81.59,0,0,1,0,9.64l16.77,21a99.43,99.43,0,0,1-10,24.3l-26.71,3a81,81,0,0,1-6.81,6.81l-3,26.7a99.14,99.14,0,0,1-24.29,10.07l-21-16.78a81.59,81.59,0,0,1-9.64,0l-21,16.77a99.43,99.43,0,0,1-24.3-10l-3-26.71a81,81,0,0,1-6.81-6.81Z" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
-            <div className="text-xl mt-3 mb-4">Processing Video...</div>
+            <div className="text-xl mt-3 mb-4">{isPaused ? "Paused" : "Processing Video..."}</div>
             <div className="w-3/4 bg-gray-700 rounded-full h-4 overflow-hidden">
               <div
                 className="bg-blue-500 h-4 rounded-full transition-all duration-150 ease-linear"
@@ -316,33 +612,109 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
               ></div>
             </div>
             <div className="mt-2">{progress}% Complete</div>
+            <div className="mt-4 flex flex-wrap gap-3 justify-center">
+              <button
+                type="button"
+                onClick={togglePause}
+                className="px-4 py-2 rounded-md bg-white bg-opacity-20 hover:bg-opacity-30 transition-colors"
+              >
+                {isPaused ? "Resume" : "Pause"}
+              </button>
+              <button
+                type="button"
+                onClick={() => cancelProcessing(true)}
+                disabled={progress === 0}
+                className="px-4 py-2 rounded-md bg-white bg-opacity-20 hover:bg-opacity-30 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Stop &amp; Export Finished Part
+              </button>
+              <button
+                type="button"
+                onClick={() => cancelProcessing(false)}
+                className="px-4 py-2 rounded-md bg-red-500 hover:bg-red-600 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
           </div>
         )}
       </div>
 
-      <div className="mt-4 flex flex-wrap gap-3">
+      <div className="mt-4 flex flex-wrap gap-3 items-center">
         <button
           onClick={toggleSelectionMode}
-          disabled={isProcessing || !previewFrame}
+          disabled={isProcessing || Boolean(tracking) || !previewFrame}
           className={`px-4 py-2 rounded-md text-white transition-colors ${
             selectionMode
               ? "bg-red-500 hover:bg-red-600"
               : "bg-blue-500 hover:bg-blue-600"
-          } ${(isProcessing || !previewFrame) ? "opacity-50 cursor-not-allowed" : ""}`}
+          } ${(isProcessing || Boolean(tracking) || !previewFrame) ? "opacity-50 cursor-not-allowed" : ""}`}
         >
           {selectionMode ? "Cancel Selection" : "Select Region to Blur"}
         </button>
         
         <button
           onClick={processVideoWithBlur}
-          disabled={isProcessing || !previewFrame || !selection.width || !selection.height || selectionMode}
+          disabled={isProcessing || Boolean(tracking) || !previewFrame || !hasSelection || selectionMode || !exportSupported}
           className={`px-4 py-2 rounded-md text-white transition-colors bg-green-500 hover:bg-green-600
-          ${(isProcessing || !previewFrame || !selection.width || !selection.height || selectionMode)
+          ${(isProcessing || Boolean(tracking) || !previewFrame || !hasSelection || selectionMode || !exportSupported)
               ? "opacity-50 cursor-not-allowed"
               : ""}`}
         >
-          {isProcessing ? "Processing..." : "Apply Blur to Video"}
+          {isProcessing ? "Processing..." : `${getStrategy(strategy).actionLabel} to Video`}
         </button>
+
+        <StrategyPicker
+          strategy={strategy}
+          options={removalOptions}
+          onStrategyChange={setStrategy}
+          onOptionsChange={setRemovalOptions}
+          disabled={isProcessing}
+          allowFrames
+        />
+      </div>
+
+      {getStrategy(strategy).needsFrames && (
+        <div className="mt-2 bg-blue-50 border-l-4 border-blue-400 p-3 rounded-md">
+          <p className="text-sm text-blue-700">
+            The preview fills this frame from its surroundings only. The processed video rebuilds the background
+            from nearby frames where the camera moves past the watermark, and only fills what no frame shows.
+          </p>
+        </div>
+      )}
+
+      <div className="mt-4">
+        <KeyframeTimeline
+          currentTime={currentTime}
+          keyframes={keyframes}
+          onSeek={seekTo}
+          onSetKeyframe={handleSetKeyframe}
+          canSetKeyframe={selection.width > 10 && selection.height > 10 && !selectionMode}
+          onRemoveKeyframe={(time) => setKeyframes(removeKeyframe(keyframes, time))}
+          onInterpolationChange={(time, interpolation) => setKeyframes(updateKeyframe(keyframes, time, { interpolation }))}
+          onClearKeyframes={() => setKeyframes([])}
+          onTrack={handleTrack}
+          onStopTracking={stopTracking}
+          tracking={tracking}
+          trackingProgress={trackingProgress}
+          disabled={!previewFrame || isProcessing || Boolean(tracking)}
+        />
+        {trackingNotice && (
+          <div className="mt-2 bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded-md">
+            <p className="text-sm text-yellow-700">{trackingNotice}</p>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-3">
+        <TrimControls
+          trim={trim}
+          onChange={setTrim}
+          currentTime={currentTime}
+          frameRate={frameRate}
+          duration={videoMeta.duration}
+          disabled={!previewFrame || isProcessing || Boolean(tracking)}
+        />
       </div>
 
       {selection.width > 0 && selection.height > 0 && (
@@ -351,10 +723,58 @@ const VideoCanvas = ({ videoFile, onProcessingComplete, onError }) => {
         </div>
       )}
 
+      <div className="mt-3">
+        <PresetPicker
+          onApply={applyPreset}
+          buildPreset={buildPreset}
+          canSave={selection.width > 10 && selection.height > 10 && !selectionMode}
+          onError={onError}
+          disabled={!previewFrame || isProcessing || Boolean(tracking)}
+        />
+      </div>
+
+      <div className="mt-3">
+        <ExportSettingsPanel
+          settings={exportSettings}
+          onChange={setExportSettings}
+          sourceWidth={videoMeta.width}
+          sourceHeight={videoMeta.height}
+          supported={exportSupported}
+          disabled={isProcessing}
+        />
+      </div>
+
+      <div className="mt-3">
+        <MaskBrushControls
+          tool={brushTool}
+          onToolChange={selectBrushTool}
+          brushSize={brushSize}
+          onBrushSizeChange={setBrushSize}
+          combineMode={maskCombineMode}
+          onCombineModeChange={setMaskCombineMode}
+          onClearMask={clearMask}
+          disabled={!previewFrame || isProcessing || Boolean(tracking)}
+        />
+      </div>
+
       {selectionMode && (
         <div className="mt-2 bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded-md">
           <p className="text-sm text-yellow-700">
-            Click and drag on the video preview to select the area to blur. The blur will be applied to this region throughout the video.
+            {keyframes.length > 0
+              ? "Click and drag on the video preview to set the region at this frame. It becomes a keyframe, and the region is interpolated between keyframes."
+              : "Click and drag on the video preview to select the area to blur. The blur will be applied to this region throughout the video. Use the seek bar above to find a frame where the watermark is clearly visible."}
+          </p>
+        </div>
+      )}
+
+      {brushTool && (
+        <div className="mt-2 bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded-md">
+          <p className="text-sm text-yellow-700">
+            {brushTool === "eraser"
+              ? "Drag over painted areas to erase them from the mask."
+              : maskCombineMode === "subtract"
+                ? "Paint over parts of the selected region that should be left untouched."
+                : "Paint over the watermark. The painted mask is applied to every frame of the video."}
           </p>
         </div>
       )}
@@ -1,12 +1,29 @@
 import React, { useCallback, useState } from "react";
 import { useDropzone } from "react-dropzone";
 
-const FileUpload = ({ onFileSelected }) => {
+// Single image or video, or (when onBatchSelected is given) several images for batch processing
+const FileUpload = ({ onFileSelected, onBatchSelected }) => {
   const [preview, setPreview] = useState(null);
   const [fileInfo, setFileInfo] = useState(null);
   const [dragActive, setDragActive] = useState(false);
 
   const onDrop = useCallback((acceptedFiles) => {
+    if (acceptedFiles && acceptedFiles.length > 1) {
+      if (!acceptedFiles.every((file) => file.type.startsWith("image/"))) {
+        alert("Batch processing works with images only. Please drop a single video, or images only.");
+        return;
+      }
+      if (preview) URL.revokeObjectURL(preview);
+      setPreview(null);
+      setFileInfo({
+        count: acceptedFiles.length,
+        size: formatFileSize(acceptedFiles.reduce((total, file) => total + file.size, 0)),
+        isBatch: true
+      });
+      onBatchSelected(acceptedFiles);
+      return;
+    }
+
     if (acceptedFiles && acceptedFiles.length > 0) {
       const file = acceptedFiles[0];
       
@@ -35,7 +52,7 @@ const FileUpload = ({ onFileSelected }) => {
       // Notify parent component
       onFileSelected(file);
     }
-  }, [onFileSelected]);
+  }, [onFileSelected, onBatchSelected, preview]);
   
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -43,7 +60,7 @@ const FileUpload = ({ onFileSelected }) => {
       "image/*": [],
       "video/*": []
     },
-    maxFiles: 1
+    maxFiles: onBatchSelected ? 0 : 1 // 0 = no limit
   });
   
   // Update drag state for styling
@@ -90,7 +107,9 @@ const FileUpload = ({ onFileSelected }) => {
           <p className="text-lg font-medium text-gray-700">
             {dragActive
               ? "Drop the file here..."
-              : "Drag & drop an image or video file here"}
+              : onBatchSelected
+                ? "Drag & drop an image or video file here, or several images for batch processing"
+                : "Drag & drop an image or video file here"}
           </p>
           <p className="text-sm text-gray-500">or click to select a file</p>
           <p className="text-xs text-gray-400 mt-2">
@@ -99,6 +118,25 @@ const FileUpload = ({ onFileSelected }) => {
         </div>
       </div>
 
+      {/* Batch summary */}
+      {fileInfo && fileInfo.isBatch && (
+        <div className="mt-6 bg-white p-4 rounded-lg shadow-sm flex items-center justify-between gap-4">
+          <div className="text-sm text-gray-700">
+            <span className="font-medium">{fileInfo.count} images</span> selected for batch processing ({fileInfo.size})
+          </div>
+          <button
+            onClick={() => {
+              setFileInfo(null);
+              onFileSelected(null);
+            }}
+            className="px-3 py-1 text-sm text-red-600 hover:text-red-800 hover:bg-red-50 rounded-md transition-colors"
+            type="button"
+          >
+            Remove files
+          </button>
+        </div>
+      )}
+
       {/* File preview */}
       {preview && fileInfo && (
         <div className="mt-6 bg-white p-4 rounded-lg shadow-sm">
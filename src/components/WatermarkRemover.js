@@ -3,12 +3,17 @@ import { saveAs } from "file-saver";
 import FileUpload from "./FileUpload";
 import ImageCanvas from "./Canvas/ImageCanvas";
 import VideoCanvas from "./Canvas/VideoCanvas";
+import BatchCanvas from "./Canvas/BatchCanvas";
+import { getVideoExtension } from "../utils/videoExport";
+import { getImageExtension } from "../utils/imageExport";
 
 const WatermarkRemover = () => {
   const [currentFile, setCurrentFile] = useState(null);
+  const [batchFiles, setBatchFiles] = useState(null); // Images dropped together for batch processing
   const [isProcessing, setIsProcessing] = useState(false); // General processing state for parent
   const [error, setError] = useState(null);
   const [processedFileBlob, setProcessedFileBlob] = useState(null); // Stores the Blob of the processed file
+  const [resultNotice, setResultNotice] = useState(null); // Something the user should know about the result (e.g. no audio)
 
   // Note: Blur intensity controls would typically be passed down to ImageCanvas/VideoCanvas
   // or handled via a context/state management if more complex.
@@ -17,17 +22,35 @@ const WatermarkRemover = () => {
 
   const handleFileSelected = useCallback((file) => {
     setCurrentFile(file);
+    setBatchFiles(null);
     setProcessedFileBlob(null); // Clear previous processed file
+    setResultNotice(null);
     setError(null); // Clear previous errors
     setIsProcessing(false); // Reset parent processing state
   }, []);
 
-  const handleProcessingComplete = useCallback((blob) => {
+  const handleBatchSelected = useCallback((files) => {
+    setCurrentFile(null);
+    setBatchFiles(files);
+    setProcessedFileBlob(null);
+    setResultNotice(null);
+    setError(null);
+    setIsProcessing(false);
+  }, []);
+
+  const handleProcessingComplete = useCallback((blob, notice = null) => {
     setProcessedFileBlob(blob);
+    setResultNotice(notice);
     setIsProcessing(false); // Parent processing indicator stops
     setError(null);
   }, []);
 
+  // Called when edits are undone or reset back to the original, leaving nothing to download
+  const handleResultCleared = useCallback(() => {
+    setProcessedFileBlob(null);
+    setResultNotice(null);
+  }, []);
+
   const handleProcessingError = useCallback((errorMessage) => {
     setError(errorMessage);
     setIsProcessing(false); // Parent processing indicator stops
@@ -35,6 +58,10 @@ const WatermarkRemover = () => {
   }, []);
 
   const handleDownload = useCallback(() => {
+    if (processedFileBlob && batchFiles) {
+      saveAs(processedFileBlob, `blurred_${batchFiles.length}_images.zip`);
+      return;
+    }
     if (!processedFileBlob || !currentFile) {
       setError("No processed file available to download.");
       return;
@@ -44,12 +71,12 @@ const WatermarkRemover = () => {
     let defaultFileName = "blurred_output";
 
     if (currentFile.type.startsWith("image/")) {
-      // ImageProcessor.toBlob typically defaults to "image/png"
-      fileExtension = "png";
+      // The format chosen in the image export settings
+      fileExtension = getImageExtension(processedFileBlob);
       defaultFileName = `blurred_${currentFile.name.split(".").slice(0, -1).join(".") || currentFile.name}`;
     } else if (currentFile.type.startsWith("video/")) {
-      // VideoProcessor.assembleVideo defaults to "video/webm"
-      fileExtension = "webm";
+      // The container chosen in the export settings (MP4 or WebM)
+      fileExtension = getVideoExtension(processedFileBlob);
       defaultFileName = `blurred_${currentFile.name.split(".").slice(0, -1).join(".") || currentFile.name}`;
     } else {
       // Fallback, should not happen with current file type checks
@@ -58,7 +85,7 @@ const WatermarkRemover = () => {
     
     const fileName = `${defaultFileName}.${fileExtension}`;
     saveAs(processedFileBlob, fileName);
-  }, [currentFile, processedFileBlob]);
+  }, [currentFile, batchFiles, processedFileBlob]);
 
   const getFileType = () => {
     if (!currentFile) return null;
@@ -81,7 +108,7 @@ const WatermarkRemover = () => {
 
       {/* File Upload Section */}
       <div className="bg-white rounded-lg shadow-lg p-6">
-        <FileUpload onFileSelected={handleFileSelected} />
+        <FileUpload onFileSelected={handleFileSelected} onBatchSelected={handleBatchSelected} />
       </div>
 
       {/* Processing Section: Image or Video Canvas */}
@@ -110,6 +137,7 @@ const WatermarkRemover = () => {
             <ImageCanvas
               imageFile={currentFile}
               onProcessingComplete={handleProcessingComplete}
+              onResultCleared={handleResultCleared}
               onError={handleProcessingError}
               // onProcessingStart={() => setIsProcessing(true)} // Handled by ImageCanvas internal state mostly
             />
@@ -124,6 +152,17 @@ const WatermarkRemover = () => {
         </div>
       )}
       
+      {batchFiles && (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <h2 className="text-xl font-semibold mb-4 text-gray-800">Batch Editor</h2>
+          <BatchCanvas
+            files={batchFiles}
+            onProcessingComplete={handleProcessingComplete}
+            onError={handleProcessingError}
+          />
+        </div>
+      )}
+
       {currentFile && fileType === "unsupported" && (
          <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded-md">
           <div className="flex items-center">
@@ -161,14 +200,19 @@ const WatermarkRemover = () => {
             Processing Complete!
           </h3>
           <p className="text-green-600 mb-4">
-            Your file has been processed with the selected region blurred.
+            {batchFiles
+              ? "Your images have been processed. They download together as a ZIP with a report of every file."
+              : "Your file has been processed with the selected region blurred."}
           </p>
+          {resultNotice && (
+            <p className="text-amber-700 text-sm mb-4">{resultNotice}</p>
+          )}
           <button
             onClick={handleDownload}
             className="inline-flex items-center px-6 py-3 border border-transparent rounded-md shadow-sm text-base font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
           >
             <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><path d="M84,208H72A56,56,0,1,1,85.92,97.74" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><polyline points="120 176 152 208 184 176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="152" y1="128" x2="152" y2="208" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M80,128a80,80,0,1,1,151.46,36" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
-            <span className="ml-2">Download Blurred File</span>
+            <span className="ml-2">{batchFiles ? "Download ZIP" : "Download Blurred File"}</span>
           </button>
         </div>
       )}
@@ -178,7 +222,7 @@ const WatermarkRemover = () => {
         <h4 className="font-medium text-blue-800 mb-2">Tips for Best Results:</h4>
         <ul className="list-disc list-inside text-blue-700 space-y-1">
           <li>Select the region to blur as precisely as possible.</li>
-          <li>For videos, the selected region will be blurred consistently across all frames. Ensure the object to blur remains within this region.</li>
+          <li>For videos, the selected region is blurred in every frame. If the watermark moves, set keyframes on the timeline and the region follows it between them, or let Track Forward find it in the frames that follow.</li>
           <li>Larger files or longer videos will take more time to process.</li>
           <li>All processing is done in your browser for privacy. No files are uploaded.</li>
         </ul>
@@ -0,0 +1,93 @@
+import JSZip from "jszip";
+import ImageProcessor from "./imageProcessor";
+import { getImageExtension } from "./imageExport";
+import { resolveRegionTemplate } from "./regionTemplate";
+
+// Removes the same watermark from many images: a template of relative regions (see regionTemplate.js)
+// is resolved for each image's own size, the removal strategy is applied and the result encoded in the
+// export format. Images are processed one at a time (the worker pool still splits each one up), so only
+// one decoded image is held in memory whatever the size of the batch.
+class BatchProcessor {
+    constructor() {
+        this.imageProcessor = new ImageProcessor();
+    }
+
+    // Process a single file. Resolves to the encoded result Blob; onNotice(message) is told about anything
+    // left out of it (see ImageProcessor.toBlob).
+    async processFile(file, relativeRegions, options = {}, exportSettings = {}, onNotice = null) {
+        const { imageData, metadata } = await this.imageProcessor.loadImage(file);
+        const regions = resolveRegionTemplate(relativeRegions, imageData.width, imageData.height);
+        if (regions.length === 0) {
+            throw new Error("The template regions fall outside this image.");
+        }
+
+        const processed = await this.imageProcessor.removeWatermarkAsync(imageData, regions, options);
+        return this.imageProcessor.toBlob(processed, exportSettings, metadata, onNotice);
+    }
+
+    // Process every file in order. A file that fails is reported and skipped; the rest carry on.
+    // callbacks.onItemStart(index) and callbacks.onItemDone(index, result) follow the queue.
+    // Resolves to one result per file: { file, status: "done" | "failed", blob, error, notice }, where notice
+    // tells what was left out of a processed file.
+    async processAll(files, relativeRegions, options = {}, exportSettings = {}, callbacks = {}) {
+        const results = [];
+        for (let index = 0; index < files.length; index++) {
+            const file = files[index];
+            if (callbacks.onItemStart) callbacks.onItemStart(index);
+
+            let result;
+            try {
+                let notice = null;
+                const blob = await this.processFile(file, relativeRegions, options, exportSettings, (message) => { notice = message; });
+                result = { file, status: "done", blob, error: null, notice };
+            } catch (error) {
+                console.error(`Error processing ${file.name}:`, error);
+                result = { file, status: "failed", blob: null, error: error.message || "Unknown error", notice: null };
+            }
+            results.push(result);
+            if (callbacks.onItemDone) callbacks.onItemDone(index, result);
+        }
+        return results;
+    }
+
+    // ZIP of the processed images plus report.csv listing the outcome for every file
+    async createZip(results) {
+        const zip = new JSZip();
+        const usedNames = new Set();
+        const reportRows = [["file", "status", "output", "message"]];
+
+        results.forEach(({ file, status, blob, error, notice }) => {
+            let outputName = "";
+            if (blob) {
+                outputName = uniqueName(`${baseName(file.name)}.${getImageExtension(blob)}`, usedNames);
+                zip.file(outputName, blob);
+            }
+            reportRows.push([file.name, status, outputName, error || notice || ""]);
+        });
+        zip.file("report.csv", reportRows.map((row) => row.map(csvField).join(",")).join("\r\n"));
+
+        return zip.generateAsync({ type: "blob", mimeType: "application/zip" });
+    }
+}
+
+function baseName(fileName) {
+    return fileName.split(".").slice(0, -1).join(".") || fileName;
+}
+
+// The name, or the name with " (2)", " (3)"... added before the extension when it is already taken
+function uniqueName(name, usedNames) {
+    let candidate = name;
+    const dot = name.lastIndexOf(".");
+    for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+        candidate = `${name.slice(0, dot)} (${n})${name.slice(dot)}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default BatchProcessor;
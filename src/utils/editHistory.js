@@ -0,0 +1,129 @@
+// Undo/redo stack of edit operations.
+// Each entry stores `before` and `after` snapshots holding only the parts of the editor state the
+// operation changed (e.g. { regions } for a region move, { image, regions, mask } for an applied removal).
+// Pixel buffers dominate memory use, so the stack keeps a byte budget and drops the oldest entries
+// once it is exceeded. Adjacent entries usually share an image (one's after is the next one's before),
+// so each buffer is counted once however many entries hold it.
+const DEFAULT_MEMORY_BUDGET = 256 * 1024 * 1024; // 256 MB
+const DEFAULT_MAX_ENTRIES = 100;
+const SMALL_VALUE_BYTES = 64; // Rough cost of non-buffer values such as region lists
+
+class EditHistory {
+    constructor({ memoryBudget = DEFAULT_MEMORY_BUDGET, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.memoryBudget = memoryBudget;
+        this.maxEntries = maxEntries;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.totalBytes = 0;
+        this.bufferRefs = new Map(); // Pixel or mask buffer -> number of entries holding it
+    }
+
+    // Record an operation that has just been performed. Clears anything that could be redone.
+    push(type, label, before, after) {
+        const entry = {
+            type,
+            label,
+            before,
+            after,
+            buffers: snapshotBuffers([before, after]),
+            bytes: estimateSmallBytes(before) + estimateSmallBytes(after)
+        };
+
+        this.redoStack.forEach((dropped) => this.release(dropped));
+        this.redoStack = [];
+
+        this.undoStack.push(entry);
+        this.retain(entry);
+
+        // Evict the oldest entries past the budget, but always keep the latest one
+        while (this.undoStack.length > 1 && (this.totalBytes > this.memoryBudget || this.undoStack.length > this.maxEntries)) {
+            this.release(this.undoStack.shift());
+        }
+        return entry;
+    }
+
+    // Count an entry's memory: its small values, and its buffers unless another entry already holds them
+    retain(entry) {
+        this.totalBytes += entry.bytes;
+        entry.buffers.forEach((buffer) => {
+            const count = this.bufferRefs.get(buffer) || 0;
+            if (count === 0) this.totalBytes += buffer.byteLength;
+            this.bufferRefs.set(buffer, count + 1);
+        });
+    }
+
+    // Stop counting a dropped entry, including the buffers no other entry holds
+    release(entry) {
+        this.totalBytes -= entry.bytes;
+        entry.buffers.forEach((buffer) => {
+            const count = this.bufferRefs.get(buffer) - 1;
+            if (count === 0) {
+                this.bufferRefs.delete(buffer);
+                this.totalBytes -= buffer.byteLength;
+            } else {
+                this.bufferRefs.set(buffer, count);
+            }
+        });
+    }
+
+    // Step back one operation. Returns the entry (restore entry.before) or null if there is nothing to undo.
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    // Re-apply the last undone operation. Returns the entry (restore entry.after) or null.
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    // Label of the operation the next undo / redo would affect, for button tooltips
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.totalBytes = 0;
+        this.bufferRefs = new Map();
+    }
+}
+
+function isBuffer(value) {
+    return Boolean(value && value.data && value.data.byteLength !== undefined);
+}
+
+// The pixel and mask buffers (ImageData or mask data) of some snapshots, each once
+function snapshotBuffers(snapshots) {
+    const buffers = new Set();
+    snapshots.forEach((snapshot) => {
+        Object.values(snapshot || {}).forEach((value) => {
+            if (isBuffer(value)) buffers.add(value.data);
+        });
+    });
+    return Array.from(buffers);
+}
+
+// Approximate memory held by the rest of a snapshot: a small constant per value
+function estimateSmallBytes(snapshot) {
+    if (!snapshot) return 0;
+    return Object.values(snapshot).reduce((total, value) => {
+        if (isBuffer(value)) return total;
+        if (Array.isArray(value)) {
+            return total + value.length * SMALL_VALUE_BYTES;
+        }
+        return total + SMALL_VALUE_BYTES;
+    }, 0);
+}
+
+export default EditHistory;
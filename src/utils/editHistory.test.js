@@ -0,0 +1,49 @@
+import EditHistory from "./editHistory";
+
+const image = (bytes) => ({ width: 1, height: bytes / 4, data: new Uint8ClampedArray(bytes) });
+
+describe("EditHistory", () => {
+    test("undoes and redoes in order", () => {
+        const history = new EditHistory();
+        history.push("move", "Move", { regions: [1] }, { regions: [2] });
+        history.push("move", "Move again", { regions: [2] }, { regions: [3] });
+        expect(history.undo().label).toBe("Move again");
+        expect(history.peekRedo().label).toBe("Move again");
+        expect(history.redo().after).toEqual({ regions: [3] });
+        expect(history.redo()).toBeNull();
+    });
+
+    test("clears what could be redone when a new edit is made", () => {
+        const history = new EditHistory();
+        history.push("move", "Move", {}, {});
+        history.undo();
+        history.push("move", "Other", {}, {});
+        expect(history.peekRedo()).toBeNull();
+        expect(history.peekUndo().label).toBe("Other");
+    });
+
+    test("counts an image shared by adjacent entries once", () => {
+        const [a, b, c] = [image(1000), image(1000), image(1000)];
+        const history = new EditHistory();
+        history.push("apply", "First", { image: a }, { image: b });
+        history.push("apply", "Second", { image: b }, { image: c });
+        expect(history.totalBytes).toBe(3000);
+    });
+
+    test("drops the oldest entries past the budget, and their memory with them", () => {
+        const [a, b, c] = [image(1000), image(1000), image(1000)];
+        const history = new EditHistory({ memoryBudget: 2500 });
+        history.push("apply", "First", { image: a }, { image: b });
+        history.push("apply", "Second", { image: b }, { image: c });
+        expect(history.peekUndo().label).toBe("Second");
+        expect(history.undo()).not.toBeNull();
+        expect(history.undo()).toBeNull();
+        expect(history.totalBytes).toBe(2000);
+    });
+
+    test("always keeps the latest entry", () => {
+        const history = new EditHistory({ memoryBudget: 10 });
+        history.push("apply", "Big", { image: image(1000) }, { image: image(1000) });
+        expect(history.peekUndo().label).toBe("Big");
+    });
+});
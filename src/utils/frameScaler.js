@@ -0,0 +1,37 @@
+// Draws ImageData frames onto a canvas of the output size, resampling them when the output resolution
+// differs from the frames' own. The encoders read the finished frame from `canvas`.
+class FrameScaler {
+    constructor(width, height) {
+        this.canvas = document.createElement("canvas");
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext("2d");
+        this.sourceCanvas = null; // Staging canvas for frames that need scaling, created on first use
+    }
+
+    needsScaling(frameData) {
+        return frameData.width !== this.canvas.width || frameData.height !== this.canvas.height;
+    }
+
+    // Draw the frame scaled to the output size and return the canvas
+    draw(frameData) {
+        if (!this.needsScaling(frameData)) {
+            this.ctx.putImageData(frameData, 0, 0);
+            return this.canvas;
+        }
+
+        if (!this.sourceCanvas) {
+            this.sourceCanvas = document.createElement("canvas");
+        }
+        if (this.sourceCanvas.width !== frameData.width || this.sourceCanvas.height !== frameData.height) {
+            this.sourceCanvas.width = frameData.width;
+            this.sourceCanvas.height = frameData.height;
+        }
+        this.sourceCanvas.getContext("2d").putImageData(frameData, 0, 0);
+        this.ctx.imageSmoothingQuality = "high";
+        this.ctx.drawImage(this.sourceCanvas, 0, 0, this.canvas.width, this.canvas.height);
+        return this.canvas;
+    }
+}
+
+export default FrameScaler;
@@ -0,0 +1,48 @@
+// Output formats for processed images and the settings ImageProcessor.toBlob takes:
+// { format, quality (0-1, lossy formats only), metadata ("preserve" or "strip") }
+
+export const IMAGE_FORMATS = [
+    { value: "png", label: "PNG", mimeType: "image/png", extension: "png", lossy: false },
+    { value: "jpeg", label: "JPEG", mimeType: "image/jpeg", extension: "jpg", lossy: true },
+    { value: "webp", label: "WebP", mimeType: "image/webp", extension: "webp", lossy: true }
+];
+
+export const METADATA_POLICIES = [
+    { value: "strip", label: "Strip EXIF/XMP" },
+    { value: "preserve", label: "Keep EXIF/XMP" }
+];
+
+export const DEFAULT_IMAGE_QUALITY = 0.92;
+
+export function getImageFormat(value) {
+    return IMAGE_FORMATS.find((format) => format.value === value) || IMAGE_FORMATS[0];
+}
+
+// Export settings matching the input file: the same format where the browser can write it, PNG otherwise
+export function getDefaultImageExportSettings(file) {
+    const match = IMAGE_FORMATS.find((format) => file && format.mimeType === file.type);
+    return {
+        format: match && isImageFormatSupported(match.value) ? match.value : "png",
+        quality: DEFAULT_IMAGE_QUALITY,
+        metadata: "strip"
+    };
+}
+
+// Whether canvases in this browser can encode the format. Browsers silently write PNG for types they can't encode.
+const supportCache = new Map();
+export function isImageFormatSupported(value) {
+    if (!supportCache.has(value)) {
+        const { mimeType } = getImageFormat(value);
+        const canvas = document.createElement("canvas");
+        canvas.width = 1;
+        canvas.height = 1;
+        supportCache.set(value, canvas.toDataURL(mimeType).startsWith(`data:${mimeType}`));
+    }
+    return supportCache.get(value);
+}
+
+// File extension for a processed image Blob, based on its type
+export function getImageExtension(blob) {
+    const format = IMAGE_FORMATS.find((entry) => entry.mimeType === blob.type);
+    return format ? format.extension : "png";
+}
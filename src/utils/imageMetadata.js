@@ -0,0 +1,546 @@
+// Reading EXIF and XMP metadata from JPEG, PNG and WebP files (and EXIF from HEIF/AVIF) and writing it
+// into encoded images.
+// Canvas encoding drops all metadata, so it is read from the source file and put back into the output.
+// Metadata is { exif, xmp }: the raw TIFF-structured EXIF block and the XMP packet, each a Uint8Array or null.
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+const XMP_NAMESPACE = "http://ns.adobe.com/xap/1.0/\0";
+const XMP_KEYWORD = "XML:com.adobe.xmp";
+const MAX_JPEG_SEGMENT = 0xffff - 2; // Largest payload a JPEG marker segment can hold
+const ORIENTATION_TAG = 0x0112;
+const EXIF_IFD_TAG = 0x8769; // Offset of the EXIF directory, in IFD0
+const PIXEL_X_DIMENSION_TAG = 0xa002;
+const PIXEL_Y_DIMENSION_TAG = 0xa003;
+const SUB_IFD_TAGS = [EXIF_IFD_TAG, 0x8825, 0xa005]; // EXIF, GPS and interoperability directories
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 }; // Bytes per value
+const HEIF_BRANDS = ["heic", "heix", "heim", "heis", "hevc", "hevx", "mif1", "msf1", "avif", "avis"];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Read the metadata of an image file. Formats without readable metadata give { exif: null, xmp: null }.
+export async function readImageMetadata(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (isJpeg(bytes)) return readJpegMetadata(bytes);
+    if (isPng(bytes)) return readPngMetadata(bytes);
+    if (isWebp(bytes)) return readWebpMetadata(bytes);
+    if (isHeif(bytes)) return readHeifMetadata(bytes);
+    return { exif: null, xmp: null };
+}
+
+// EXIF orientation (1-8, see getOrientationTransform) of the metadata; 1 (upright) when there is none
+export function readExifOrientation(metadata) {
+    const entry = metadata && metadata.exif && findOrientationEntry(metadata.exif);
+    if (!entry) return 1;
+    const value = entry.view.getUint16(entry.offset + 8, entry.littleEndian);
+    return value >= 1 && value <= 8 ? value : 1;
+}
+
+// Copy of the metadata to write into an exported image of width x height. Loaded images are turned upright
+// (see ImageProcessor.loadImage), so the orientation is set to 1 and viewers don't rotate it again, and the
+// recorded pixel size is set to the exported one, in the EXIF block and in the XMP packet alike. The EXIF
+// thumbnail directory (IFD1), whose preview still shows the watermark, is left out along with everything
+// after the data IFD0 uses.
+export function prepareMetadataForExport(metadata, width, height) {
+    if (!metadata) return metadata;
+    return {
+        ...metadata,
+        exif: metadata.exif && prepareExifForExport(metadata.exif, width, height),
+        xmp: metadata.xmp && prepareXmpForExport(metadata.xmp, width, height)
+    };
+}
+
+function prepareExifForExport(sourceExif, width, height) {
+    const source = readTiffHeader(sourceExif);
+    if (!source) return sourceExif;
+    const exif = sourceExif.slice(0, ifdDataEnd(source, source.ifdOffset));
+    const tiff = readTiffHeader(exif);
+    const { view, littleEndian } = tiff;
+
+    const nextIfdAt = tiff.ifdOffset + 2 + view.getUint16(tiff.ifdOffset, littleEndian) * 12;
+    if (nextIfdAt + 4 <= exif.length) view.setUint32(nextIfdAt, 0, littleEndian);
+    const orientation = findIfdEntry(tiff, tiff.ifdOffset, ORIENTATION_TAG);
+    if (orientation) view.setUint16(orientation + 8, 1, littleEndian);
+    const exifIfd = findIfdEntry(tiff, tiff.ifdOffset, EXIF_IFD_TAG);
+    if (exifIfd) {
+        const ifdOffset = readEntryValue(tiff, exifIfd);
+        [[PIXEL_X_DIMENSION_TAG, width], [PIXEL_Y_DIMENSION_TAG, height]].forEach(([tag, value]) => {
+            const entry = findIfdEntry(tiff, ifdOffset, tag);
+            if (!entry) return;
+            // As a LONG, which holds any size and still fits in the entry
+            view.setUint16(entry + 2, 4, littleEndian);
+            view.setUint32(entry + 4, 1, littleEndian);
+            view.setUint32(entry + 8, value, littleEndian);
+        });
+    }
+    return exif;
+}
+
+// The XMP packet with the same properties changed. XMP writes a property either as an attribute
+// (tiff:Orientation="6") or as an element (<tiff:Orientation>6</tiff:Orientation>). A packet without
+// them is returned as it is.
+function prepareXmpForExport(xmp, width, height) {
+    const values = { "tiff:Orientation": 1, "exif:PixelXDimension": width, "exif:PixelYDimension": height };
+    const original = textDecoder.decode(xmp);
+    let text = original;
+    Object.entries(values).forEach(([name, value]) => {
+        text = text
+            .replace(new RegExp(`(\\s${name}\\s*=\\s*)(["'])[^"']*\\2`, "g"), (match, start, quote) => `${start}${quote}${value}${quote}`)
+            .replace(new RegExp(`(<${name}(?:\\s[^>]*)?>)[^<]*(</${name}>)`, "g"), (match, open, close) => `${open}${value}${close}`);
+    });
+    return text === original ? xmp : textEncoder.encode(text);
+}
+
+// Canvas transform (for ctx.transform) that draws an image stored with the given EXIF orientation upright,
+// and the size of the upright image, for a stored image of width x height
+export function getOrientationTransform(orientation, width, height) {
+    switch (orientation) {
+        case 2: return { matrix: [-1, 0, 0, 1, width, 0], width, height }; // Mirrored
+        case 3: return { matrix: [-1, 0, 0, -1, width, height], width, height }; // Rotated 180
+        case 4: return { matrix: [1, 0, 0, -1, 0, height], width, height }; // Mirrored vertically
+        case 5: return { matrix: [0, 1, 1, 0, 0, 0], width: height, height: width }; // Transposed
+        case 6: return { matrix: [0, 1, -1, 0, height, 0], width: height, height: width }; // Rotated 90 clockwise
+        case 7: return { matrix: [0, -1, -1, 0, height, width], width: height, height: width }; // Transversed
+        case 8: return { matrix: [0, -1, 1, 0, 0, width], width: height, height: width }; // Rotated 90 anticlockwise
+        default: return { matrix: [1, 0, 0, 1, 0, 0], width, height };
+    }
+}
+
+// Stored (not upright) size of the image recorded in the EXIF directory, { width, height }, or null
+export function readExifDimensions(metadata) {
+    const tiff = metadata && metadata.exif && readTiffHeader(metadata.exif);
+    const exifIfd = tiff && findIfdEntry(tiff, tiff.ifdOffset, EXIF_IFD_TAG);
+    if (!exifIfd) return null;
+    const ifdOffset = readEntryValue(tiff, exifIfd);
+    const width = findIfdEntry(tiff, ifdOffset, PIXEL_X_DIMENSION_TAG);
+    const height = findIfdEntry(tiff, ifdOffset, PIXEL_Y_DIMENSION_TAG);
+    if (!width || !height) return null;
+    return { width: readEntryValue(tiff, width), height: readEntryValue(tiff, height) };
+}
+
+// View, byte order and first image directory (IFD0) offset of a TIFF-structured EXIF block, or null
+function readTiffHeader(exif) {
+    if (exif.length < 8) return null;
+    const byteOrder = ascii(exif, 0, 2);
+    if (byteOrder !== "II" && byteOrder !== "MM") return null;
+    const view = new DataView(exif.buffer, exif.byteOffset, exif.byteLength);
+    const littleEndian = byteOrder === "II";
+    return { view, littleEndian, ifdOffset: view.getUint32(4, littleEndian) };
+}
+
+// Byte offset of the 12-byte entry for a tag in the image directory at ifdOffset, or null
+function findIfdEntry(tiff, ifdOffset, tag) {
+    const { view, littleEndian } = tiff;
+    if (ifdOffset + 2 > view.byteLength) return null;
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+    for (let i = 0; i < entryCount; i++) {
+        const offset = ifdOffset + 2 + i * 12;
+        if (offset + 12 > view.byteLength) return null;
+        if (view.getUint16(offset, littleEndian) === tag) return offset;
+    }
+    return null;
+}
+
+// Value of a SHORT (type 3) or LONG (type 4) entry
+function readEntryValue(tiff, offset) {
+    const { view, littleEndian } = tiff;
+    return view.getUint16(offset + 2, littleEndian) === 3
+        ? view.getUint16(offset + 8, littleEndian)
+        : view.getUint32(offset + 8, littleEndian);
+}
+
+// End of the bytes an image directory uses: its entries, their values and the directories they point to
+// (not the next directory in the chain)
+function ifdDataEnd(tiff, ifdOffset, visited = new Set()) {
+    const { view, littleEndian } = tiff;
+    if (visited.has(ifdOffset) || ifdOffset + 2 > view.byteLength) return 0;
+    visited.add(ifdOffset);
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+    let end = ifdOffset + 2 + entryCount * 12 + 4;
+    for (let i = 0; i < entryCount; i++) {
+        const offset = ifdOffset + 2 + i * 12;
+        if (offset + 12 > view.byteLength) break;
+        const size = (TIFF_TYPE_SIZES[view.getUint16(offset + 2, littleEndian)] || 1) * view.getUint32(offset + 4, littleEndian);
+        const value = view.getUint32(offset + 8, littleEndian);
+        // Values of more than 4 bytes are stored elsewhere, at the offset the entry holds
+        if (size > 4) end = Math.max(end, value + size);
+        if (SUB_IFD_TAGS.includes(view.getUint16(offset, littleEndian))) end = Math.max(end, ifdDataEnd(tiff, value, visited));
+    }
+    return Math.min(end, view.byteLength);
+}
+
+// The orientation entry of IFD0, or null
+function findOrientationEntry(exif) {
+    const tiff = readTiffHeader(exif);
+    const offset = tiff && findIfdEntry(tiff, tiff.ifdOffset, ORIENTATION_TAG);
+    return offset ? { view: tiff.view, offset, littleEndian: tiff.littleEndian } : null;
+}
+
+export function hasImageMetadata(metadata) {
+    return Boolean(metadata && (metadata.exif || metadata.xmp));
+}
+
+// Write the metadata into an encoded JPEG, PNG or WebP Blob. Resolves to { blob, dropped }: a new Blob of
+// the same type (or the original one when there is nothing to write or the format is not recognised), and
+// the kinds of metadata ("EXIF", "XMP") that were too large for the format and left out.
+export async function writeImageMetadata(blob, metadata) {
+    if (!hasImageMetadata(metadata)) return { blob, dropped: [] };
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let output = null;
+    let dropped = [];
+    if (isJpeg(bytes)) {
+        output = writeJpegMetadata(bytes, metadata);
+        dropped = oversizedForJpeg(metadata);
+    } else if (isPng(bytes)) {
+        output = writePngMetadata(bytes, metadata);
+    } else if (isWebp(bytes)) {
+        output = writeWebpMetadata(bytes, metadata);
+    }
+    return { blob: output ? new Blob([output], { type: blob.type }) : blob, dropped };
+}
+
+function isJpeg(bytes) {
+    return bytes[0] === 0xff && bytes[1] === 0xd8;
+}
+
+function isPng(bytes) {
+    return bytes[0] === 0x89 && ascii(bytes, 1, 3) === "PNG";
+}
+
+function isWebp(bytes) {
+    return ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 4) === "WEBP";
+}
+
+function isHeif(bytes) {
+    return ascii(bytes, 4, 4) === "ftyp" && HEIF_BRANDS.includes(ascii(bytes, 8, 4));
+}
+
+function ascii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function startsWith(bytes, offset, prefix) {
+    return prefix.every((byte, i) => bytes[offset + i] === byte);
+}
+
+function concatBytes(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+        output.set(part, offset);
+        offset += part.length;
+    });
+    return output;
+}
+
+// --- JPEG: APP1 segments holding "Exif\0\0" + TIFF data, or the XMP namespace + packet ---
+
+function readJpegMetadata(bytes) {
+    const metadata = { exif: null, xmp: null };
+    const xmpHeader = Array.from(textEncoder.encode(XMP_NAMESPACE));
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xda || marker === 0xd9) break; // Image data (or the end) follows; no more metadata
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const start = offset + 4;
+        const end = offset + 2 + length;
+        if (marker === 0xe1) {
+            if (!metadata.exif && startsWith(bytes, start, EXIF_HEADER)) {
+                metadata.exif = bytes.slice(start + EXIF_HEADER.length, end);
+            } else if (!metadata.xmp && startsWith(bytes, start, xmpHeader)) {
+                metadata.xmp = bytes.slice(start + xmpHeader.length, end);
+            }
+        }
+        offset = end;
+    }
+    return metadata;
+}
+
+function jpegSegment(marker, payload) {
+    const length = payload.length + 2;
+    return concatBytes([new Uint8Array([0xff, marker, length >> 8, length & 0xff]), payload]);
+}
+
+// Kinds of metadata too large for a JPEG marker segment, which writeJpegMetadata leaves out
+function oversizedForJpeg({ exif, xmp }) {
+    const dropped = [];
+    if (exif && exif.length + EXIF_HEADER.length > MAX_JPEG_SEGMENT) dropped.push("EXIF");
+    if (xmp && xmp.length + XMP_NAMESPACE.length > MAX_JPEG_SEGMENT) dropped.push("XMP");
+    return dropped;
+}
+
+function writeJpegMetadata(bytes, metadata) {
+    const { exif, xmp } = metadata;
+    const dropped = oversizedForJpeg(metadata);
+    const segments = [];
+    if (exif && !dropped.includes("EXIF")) {
+        segments.push(jpegSegment(0xe1, concatBytes([new Uint8Array(EXIF_HEADER), exif])));
+    }
+    if (xmp && !dropped.includes("XMP")) {
+        segments.push(jpegSegment(0xe1, concatBytes([textEncoder.encode(XMP_NAMESPACE), xmp])));
+    }
+
+    // After the SOI marker, and after the JFIF APP0 segment if there is one (it has to come first)
+    let insertAt = 2;
+    if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+        insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+    }
+    return concatBytes([bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)]);
+}
+
+// --- HEIF/AVIF: EXIF is an item of type "Exif" in the meta box, located by the item location (iloc) box ---
+
+function readHeifMetadata(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const meta = findBox(bytes, 0, bytes.length, "meta");
+    if (!meta) return { exif: null, xmp: null };
+    // meta is a full box: 4 bytes of version and flags precede its children
+    const iinf = findBox(bytes, meta.start + 4, meta.end, "iinf");
+    const iloc = findBox(bytes, meta.start + 4, meta.end, "iloc");
+    if (!iinf || !iloc) return { exif: null, xmp: null };
+
+    const exifItemId = findHeifItemId(bytes, view, iinf, "Exif");
+    const extent = exifItemId !== null ? findHeifItemExtent(view, iloc, exifItemId) : null;
+    if (!extent || extent.offset + extent.length > bytes.length) return { exif: null, xmp: null };
+
+    // The item starts with the offset of the TIFF header from the end of that field
+    const tiffStart = extent.offset + 4 + view.getUint32(extent.offset);
+    const exif = tiffStart < extent.offset + extent.length ? bytes.slice(tiffStart, extent.offset + extent.length) : null;
+    return { exif, xmp: null };
+}
+
+// First box of the type between start and end: { start, end } of its contents, or null
+function findBox(bytes, start, end, type) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset; // Extends to the end
+        }
+        if (size < headerSize) return null;
+        if (ascii(bytes, offset + 4, 4) === type) {
+            return { start: offset + headerSize, end: Math.min(end, offset + size) };
+        }
+        offset += size;
+    }
+    return null;
+}
+
+// ID of the first item of the type in the item information (iinf) box, or null
+function findHeifItemId(bytes, view, iinf, itemType) {
+    const version = bytes[iinf.start];
+    let offset = iinf.start + 4 + (version === 0 ? 2 : 4);
+    while (offset + 8 <= iinf.end) {
+        const size = view.getUint32(offset);
+        if (size < 8) return null;
+        if (ascii(bytes, offset + 4, 4) === "infe" && bytes[offset + 8] >= 2) {
+            // Version 2 entries have 16-bit item IDs, version 3 entries 32-bit ones
+            const entryVersion = bytes[offset + 8];
+            const idSize = entryVersion === 2 ? 2 : 4;
+            const itemId = idSize === 2 ? view.getUint16(offset + 12) : view.getUint32(offset + 12);
+            if (ascii(bytes, offset + 12 + idSize + 2, 4) === itemType) return itemId;
+        }
+        offset += size;
+    }
+    return null;
+}
+
+// File offset and length of an item stored in a single extent of the file, from the iloc box
+function findHeifItemExtent(view, iloc, itemId) {
+    const readSized = (offset, size) => {
+        if (size === 0) return 0;
+        if (size === 4) return view.getUint32(offset);
+        return Number(view.getBigUint64(offset));
+    };
+    const version = view.getUint8(iloc.start);
+    const sizes = view.getUint8(iloc.start + 4);
+    const moreSizes = view.getUint8(iloc.start + 5);
+    const offsetSize = sizes >> 4, lengthSize = sizes & 0x0f, baseOffsetSize = moreSizes >> 4;
+    const indexSize = version >= 1 ? moreSizes & 0x0f : 0;
+    let offset = iloc.start + 6;
+    const itemCount = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+    offset += version < 2 ? 2 : 4;
+
+    for (let i = 0; i < itemCount && offset < iloc.end; i++) {
+        const id = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+        offset += version < 2 ? 2 : 4;
+        const constructionMethod = version >= 1 ? view.getUint16(offset) & 0x0f : 0;
+        if (version >= 1) offset += 2;
+        offset += 2; // Data reference index
+        const baseOffset = readSized(offset, baseOffsetSize);
+        offset += baseOffsetSize;
+        const extentCount = view.getUint16(offset);
+        offset += 2;
+        const extents = [];
+        for (let e = 0; e < extentCount; e++) {
+            offset += indexSize;
+            extents.push({ offset: baseOffset + readSized(offset, offsetSize), length: readSized(offset + offsetSize, lengthSize) });
+            offset += offsetSize + lengthSize;
+        }
+        // Only items stored as one piece at a file offset are read
+        if (id === itemId) {
+            return constructionMethod === 0 && extents.length === 1 ? extents[0] : null;
+        }
+    }
+    return null;
+}
+
+// --- PNG: an eXIf chunk, and an iTXt chunk with the XMP keyword ---
+
+function readPngMetadata(bytes) {
+    const metadata = { exif: null, xmp: null };
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = ascii(bytes, offset + 4, 4);
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === "eXIf") {
+            metadata.exif = data.slice();
+        } else if (type === "iTXt" && ascii(data, 0, XMP_KEYWORD.length + 1) === `${XMP_KEYWORD}\0`) {
+            metadata.xmp = readUncompressedItxt(data);
+        } else if (type === "IEND") {
+            break;
+        }
+        offset += 12 + length;
+    }
+    return metadata;
+}
+
+// Text of an iTXt chunk: keyword\0 compressed method language\0 translated\0 text. Compressed text is skipped.
+function readUncompressedItxt(data) {
+    let offset = XMP_KEYWORD.length + 1;
+    if (data[offset] !== 0) return null; // Compressed
+    offset += 2;
+    offset = data.indexOf(0, offset) + 1; // Language tag
+    offset = data.indexOf(0, offset) + 1; // Translated keyword
+    return offset > 0 ? data.slice(offset) : null;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(textEncoder.encode(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+function writePngMetadata(bytes, { exif, xmp }) {
+    const chunks = [];
+    if (exif) chunks.push(pngChunk("eXIf", exif));
+    if (xmp) {
+        // Keyword, no compression, empty language tag and translated keyword, then the packet
+        chunks.push(pngChunk("iTXt", concatBytes([textEncoder.encode(`${XMP_KEYWORD}\0\0\0\0\0`), xmp])));
+    }
+    // Right after the IHDR chunk (8-byte signature + 25-byte IHDR)
+    const insertAt = 33;
+    return concatBytes([bytes.subarray(0, insertAt), ...chunks, bytes.subarray(insertAt)]);
+}
+
+let crcTable = null;
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// --- WebP: "EXIF" and "XMP " chunks, which need the extended (VP8X) file layout ---
+
+function readWebpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ type: ascii(bytes, offset, 4), data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size % 2); // Chunks are padded to an even size
+    }
+    return chunks;
+}
+
+function readWebpMetadata(bytes) {
+    const metadata = { exif: null, xmp: null };
+    readWebpChunks(bytes).forEach(({ type, data }) => {
+        if (type === "EXIF") {
+            // Some writers keep the JPEG-style "Exif\0\0" prefix
+            metadata.exif = startsWith(data, 0, EXIF_HEADER) ? data.slice(EXIF_HEADER.length) : data.slice();
+        } else if (type === "XMP ") {
+            metadata.xmp = data.slice();
+        }
+    });
+    return metadata;
+}
+
+function webpChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+    chunk.set(textEncoder.encode(type), 0);
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+function writeWebpMetadata(bytes, { exif, xmp }) {
+    const chunks = readWebpChunks(bytes).filter(({ type }) => type !== "EXIF" && type !== "XMP ");
+    let vp8x = chunks.find(({ type }) => type === "VP8X");
+    if (!vp8x) {
+        const size = getWebpCanvasSize(chunks);
+        if (!size) return null;
+        const data = new Uint8Array(10);
+        // 24-bit canvas width and height, minus one
+        data.set([(size.width - 1) & 0xff, ((size.width - 1) >> 8) & 0xff, (size.width - 1) >> 16], 4);
+        data.set([(size.height - 1) & 0xff, ((size.height - 1) >> 8) & 0xff, (size.height - 1) >> 16], 7);
+        if (size.alpha) data[0] |= 0x10;
+        vp8x = { type: "VP8X", data };
+        chunks.unshift(vp8x);
+    } else {
+        vp8x.data = vp8x.data.slice();
+    }
+    if (exif) vp8x.data[0] |= 0x08;
+    if (xmp) vp8x.data[0] |= 0x04;
+
+    const body = concatBytes([
+        textEncoder.encode("WEBP"),
+        ...chunks.map(({ type, data }) => webpChunk(type, data)),
+        ...(exif ? [webpChunk("EXIF", exif)] : []),
+        ...(xmp ? [webpChunk("XMP ", xmp)] : [])
+    ]);
+    const header = new Uint8Array(8);
+    header.set(textEncoder.encode("RIFF"), 0);
+    new DataView(header.buffer).setUint32(4, body.length, true);
+    return concatBytes([header, body]);
+}
+
+// Canvas size (and alpha use) of a simple lossy (VP8) or lossless (VP8L) WebP
+function getWebpCanvasSize(chunks) {
+    const vp8 = chunks.find(({ type }) => type === "VP8 ");
+    if (vp8) {
+        // Frame header: 3-byte frame tag, 3-byte start code, then 14-bit width and height
+        const d = vp8.data;
+        return { width: (d[6] | (d[7] << 8)) & 0x3fff, height: (d[8] | (d[9] << 8)) & 0x3fff, alpha: false };
+    }
+    const vp8l = chunks.find(({ type }) => type === "VP8L");
+    if (vp8l) {
+        // Signature byte, then 14-bit width - 1, 14-bit height - 1 and the alpha_is_used bit
+        const d = vp8l.data;
+        const bits = d[1] | (d[2] << 8) | (d[3] << 16) | (d[4] << 24);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1, alpha: Boolean((bits >>> 28) & 1) };
+    }
+    return null;
+}
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+// (jsdom has no TextEncoder)
+import { getOrientationTransform, readExifOrientation, readExifDimensions, prepareMetadataForExport } from "./imageMetadata";
+
+// Where a point of the stored image lands with the transform
+const apply = ([a, b, c, d, e, f], x, y) => [a * x + c * y + e, b * x + d * y + f];
+
+// Little-endian EXIF block: IFD0 with the orientation and a pointer to the EXIF directory (which holds
+// the stored pixel size), followed by IFD1 and a thumbnail
+function buildExif(orientation, width, height) {
+    const bytes = new Uint8Array(200);
+    const view = new DataView(bytes.buffer);
+    const entry = (offset, tag, type, value) => {
+        view.setUint16(offset, tag, true);
+        view.setUint16(offset + 2, type, true);
+        view.setUint32(offset + 4, 1, true);
+        if (type === 3) view.setUint16(offset + 8, value, true);
+        else view.setUint32(offset + 8, value, true);
+    };
+    bytes.set([0x49, 0x49]);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, 8, true);
+    view.setUint16(8, 2, true); // IFD0
+    entry(10, 0x0112, 3, orientation);
+    entry(22, 0x8769, 4, 38);
+    view.setUint32(34, 80, true); // Next directory: IFD1
+    view.setUint16(38, 2, true); // EXIF directory
+    entry(40, 0xa002, 4, width);
+    entry(52, 0xa003, 3, height);
+    view.setUint16(80, 1, true); // IFD1, pointing at the thumbnail
+    entry(82, 0x0201, 4, 100);
+    return bytes;
+}
+
+describe("getOrientationTransform", () => {
+    // Corners of the upright image that the stored image's top-left and top-right pixels end up in
+    const cases = [
+        [1, "top-left", "top-right"],
+        [2, "top-right", "top-left"],
+        [3, "bottom-right", "bottom-left"],
+        [4, "bottom-left", "bottom-right"],
+        [5, "top-left", "bottom-left"],
+        [6, "top-right", "bottom-right"],
+        [7, "bottom-right", "top-right"],
+        [8, "bottom-left", "top-left"]
+    ];
+    const width = 40, height = 30;
+
+    test.each(cases)("orientation %i puts the stored top corners %s and %s", (orientation, topLeft, topRight) => {
+        const transform = getOrientationTransform(orientation, width, height);
+        const swapped = orientation >= 5;
+        expect([transform.width, transform.height]).toEqual(swapped ? [height, width] : [width, height]);
+
+        const corner = ([x, y]) => `${y < transform.height / 2 ? "top" : "bottom"}-${x < transform.width / 2 ? "left" : "right"}`;
+        const inside = ([x, y]) => x > 0 && y > 0 && x < transform.width && y < transform.height;
+        const landedTopLeft = apply(transform.matrix, 0.5, 0.5);
+        const landedTopRight = apply(transform.matrix, width - 0.5, 0.5);
+        expect(inside(landedTopLeft) && inside(landedTopRight)).toBe(true);
+        expect(corner(landedTopLeft)).toBe(topLeft);
+        expect(corner(landedTopRight)).toBe(topRight);
+    });
+
+    test("treats unknown orientations as upright", () => {
+        expect(getOrientationTransform(0, 4, 3)).toEqual(getOrientationTransform(1, 4, 3));
+    });
+});
+
+describe("EXIF", () => {
+    test("reads the orientation and the stored size", () => {
+        const metadata = { exif: buildExif(6, 4000, 3000), xmp: null };
+        expect(readExifOrientation(metadata)).toBe(6);
+        expect(readExifDimensions(metadata)).toEqual({ width: 4000, height: 3000 });
+        expect(readExifOrientation(null)).toBe(1);
+        expect(readExifDimensions({ exif: null, xmp: null })).toBeNull();
+    });
+
+    test("is made upright, sized to the export and stripped of the thumbnail for export", () => {
+        const metadata = { exif: buildExif(6, 4000, 3000), xmp: new Uint8Array([1, 2, 3]) };
+        const exported = prepareMetadataForExport(metadata, 3000, 70000);
+        expect(readExifOrientation(exported)).toBe(1);
+        expect(readExifDimensions(exported)).toEqual({ width: 3000, height: 70000 });
+        expect(exported.exif.length).toBe(68); // Ends with the EXIF directory
+        expect(new DataView(exported.exif.buffer).getUint32(34, true)).toBe(0);
+        expect(exported.xmp).toBe(metadata.xmp);
+        // The source is left untouched
+        expect(readExifOrientation(metadata)).toBe(6);
+        expect(metadata.exif.length).toBe(200);
+    });
+
+    test("has the orientation and size in the XMP packet updated for export", () => {
+        const xmp = new TextEncoder().encode([
+            '<rdf:Description tiff:Orientation="6" exif:PixelXDimension="4000">',
+            "<exif:PixelYDimension>3000</exif:PixelYDimension>",
+            "</rdf:Description>"
+        ].join(""));
+        const exported = prepareMetadataForExport({ exif: null, xmp }, 3000, 4000);
+        expect(exported.exif).toBeNull();
+        expect(new TextDecoder().decode(exported.xmp)).toBe([
+            '<rdf:Description tiff:Orientation="1" exif:PixelXDimension="3000">',
+            "<exif:PixelYDimension>4000</exif:PixelYDimension>",
+            "</rdf:Description>"
+        ].join(""));
+    });
+});
@@ -1,21 +1,60 @@
+import { regionsToMask, isMask, isMaskEmpty } from "./mask";
+import { applyStrategy } from "./strategies";
+import { getSharedWorkerPool } from "./workerPool";
+import { getImageFormat, DEFAULT_IMAGE_QUALITY } from "./imageExport";
+import { readImageMetadata, writeImageMetadata, readExifOrientation, readExifDimensions, getOrientationTransform, prepareMetadataForExport } from "./imageMetadata";
+
 class ImageProcessor {
     constructor() {
         this.canvas = document.createElement("canvas");
         this.ctx = this.canvas.getContext("2d");
+        this.workerPool = getSharedWorkerPool();
     }
 
-    // Load image data from a file or blob
+    // Load a file or blob. Resolves to { imageData, metadata }: the pixels, upright according to the EXIF
+    // orientation, and the EXIF/XMP read from the file for toBlob to write back (see imageMetadata.js; null
+    // when it can't be read). Browsers apply the orientation when they decode, so region coordinates refer
+    // to the upright image (which toBlob writes out with orientation 1).
     async loadImage(imageFile) {
+        const metadata = await readImageMetadata(imageFile).catch((error) => {
+            console.warn("Could not read image metadata:", error);
+            return null;
+        });
+
+        let source;
+        try {
+            source = await createImageBitmap(imageFile);
+        } catch (error) {
+            source = await this.decodeWithImageElement(imageFile);
+        }
+
+        // A browser that ignores the orientation hands back the pixels as stored. That can only be told for
+        // the orientations that swap width and height, when the file records its stored size: the decoded
+        // image then has that size rather than the upright one, and is turned here.
+        const orientation = readExifOrientation(metadata);
+        const storedSize = readExifDimensions(metadata);
+        const isStored = orientation >= 5 && storedSize && storedSize.width !== storedSize.height &&
+            source.width === storedSize.width && source.height === storedSize.height;
+
+        const { matrix, width, height } = getOrientationTransform(isStored ? orientation : 1, source.width, source.height);
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.setTransform(...matrix);
+        this.ctx.drawImage(source, 0, 0);
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        if (source.close) source.close();
+        return { imageData: this.ctx.getImageData(0, 0, width, height), metadata };
+    }
+
+    // Decode an image file with an <img> element
+    decodeWithImageElement(imageFile) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             const url = URL.createObjectURL(imageFile);
             
             img.onload = () => {
-                this.canvas.width = img.width;
-                this.canvas.height = img.height;
-                this.ctx.drawImage(img, 0, 0);
                 URL.revokeObjectURL(url);
-                resolve(this.ctx.getImageData(0, 0, img.width, img.height));
+                resolve(img);
             };
             
             img.onerror = () => {
@@ -27,122 +66,98 @@ class ImageProcessor {
         });
     }
 
-    // Calculate an appropriate blur radius based on region size
-    calculateBlurRadius(regionWidth, regionHeight) {
-        // Ensure width and height are positive for calculation
-        const w = Math.max(1, regionWidth);
-        const h = Math.max(1, regionHeight);
-
-        const minDim = Math.min(w, h);
-        
-        // Heuristic: e.g., 5% of the smaller dimension for radius
-        // This value can be tuned for desired blur intensity.
-        let radius = Math.floor(minDim * 0.05); 
-        
-        // Clamp the radius to a sensible range
-        radius = Math.max(2, radius);  // Minimum blur radius of 2px (results in a 5x5 kernel)
-        radius = Math.min(10, radius); // Maximum blur radius of 10px (results in a 21x21 kernel)
-                                       // Larger radii can be computationally expensive and might over-blur.
-        return radius;
+    // Remove the watermark in the specified region(s) in a single pass.
+    // target is one {x, y, width, height} region, an array of them, or a per-pixel mask ({ width, height, data }).
+    // options.strategy is the id of a registered removal strategy (blur by default); the remaining options
+    // are passed on to it.
+    removeWatermark(imageData, target, options = {}) {
+        const removalMask = this.resolveRemovalMask(imageData, target);
+        const processedPixels = applyStrategy(options.strategy, imageData, removalMask, options);
+
+        return new ImageData(processedPixels, imageData.width, imageData.height);
     }
 
-    // Apply a box blur effect to a specified region of the image
-    applyBlurEffect(targetPixels, sourcePixels, region, radius, imageWidth, imageHeight) {
-        const { x: regionX, y: regionY, width: regionWidth, height: regionHeight } = region;
-
-        // Iterate ONLY over the pixels within the specified blur region
-        for (let y = regionY; y < regionY + regionHeight; y++) {
-            for (let x = regionX; x < regionX + regionWidth; x++) {
-                
-                let r_sum = 0, g_sum = 0, b_sum = 0;
-                let count = 0;
-
-                // Kernel for blur: iterate from -radius to +radius around the current pixel (x,y)
-                for (let ky = -radius; ky <= radius; ky++) {
-                    for (let kx = -radius; kx <= radius; kx++) {
-                        const sampleX = x + kx; // Absolute X coordinate in the image for sampling
-                        const sampleY = y + ky; // Absolute Y coordinate in the image for sampling
-
-                        // Check if the sample pixel is within image bounds
-                        if (sampleX >= 0 && sampleX < imageWidth && sampleY >= 0 && sampleY < imageHeight) {
-                            const sampleIdx = (sampleY * imageWidth + sampleX) * 4;
-                            
-                            // Read from sourcePixels (original image)
-                            r_sum += sourcePixels[sampleIdx];
-                            g_sum += sourcePixels[sampleIdx + 1];
-                            b_sum += sourcePixels[sampleIdx + 2];
-                            // Alpha is handled separately below to preserve original transparency
-                            count++;
-                        }
-                    }
-                }
+    // Same as removeWatermark, but the pixel work runs in the shared worker pool so the page stays responsive.
+    // jobOptions.onProgress receives progress from 0 to 1; jobOptions.channel names a stream of requests
+    // (e.g. live previews) where a newer request drops the queued work of older ones.
+    async removeWatermarkAsync(imageData, target, options = {}, jobOptions = {}) {
+        const removalMask = this.resolveRemovalMask(imageData, target);
+        const processedPixels = await this.workerPool.applyStrategy(imageData, removalMask, options.strategy, options, jobOptions);
 
-                const targetIdx = (y * imageWidth + x) * 4;
-                if (count > 0) {
-                    targetPixels[targetIdx]     = r_sum / count;
-                    targetPixels[targetIdx + 1] = g_sum / count;
-                    targetPixels[targetIdx + 2] = b_sum / count;
-                    // Preserve the original alpha of the pixel being blurred.
-                    // This prevents the blur from affecting the transparency of the region itself,
-                    // which is usually desired when obscuring a watermark.
-                    targetPixels[targetIdx + 3] = sourcePixels[targetIdx + 3]; 
-                } else {
-                    // This case should ideally not be reached if radius >= 0.
-                    // As a fallback, copy the original pixel data if no neighbors were sampled.
-                    targetPixels[targetIdx]     = sourcePixels[targetIdx];
-                    targetPixels[targetIdx + 1] = sourcePixels[targetIdx + 1];
-                    targetPixels[targetIdx + 2] = sourcePixels[targetIdx + 2];
-                    targetPixels[targetIdx + 3] = sourcePixels[targetIdx + 3];
-                }
-            }
-        }
+        return new ImageData(processedPixels, imageData.width, imageData.height);
     }
 
-    // Obscure watermark by blurring the specified region
-    removeWatermark(imageData, watermarkRegion) {
-        const { x, y, width, height } = watermarkRegion;
+    // Validate the removal target and turn it into a mask.
+    // Every strategy works on a mask, so all regions are handled together and overlapping or
+    // neighbouring regions don't borrow each other's watermark.
+    resolveRemovalMask(imageData, target) {
         const imageWidth = imageData.width;
         const imageHeight = imageData.height;
 
-        // Validate watermark region
-        if (x < 0 || y < 0 || x + width > imageWidth || y + height > imageHeight || width <= 0 || height <= 0) {
-            console.error("Invalid watermark region:", watermarkRegion, "Image dimensions:", imageWidth, imageHeight);
-            throw new Error("Watermark region is invalid or outside image boundaries. Please make a valid selection.");
+        if (isMask(target)) {
+            if (target.width !== imageWidth || target.height !== imageHeight) {
+                console.error("Mask size does not match image:", target.width, target.height, "Image dimensions:", imageWidth, imageHeight);
+                throw new Error("Watermark mask does not match the image size. Please repaint the mask.");
+            }
+            if (isMaskEmpty(target)) {
+                throw new Error("No watermark area selected. Please make a valid selection.");
+            }
+            return target;
         }
 
-        const originalPixels = imageData.data; 
-        
-        // Create a copy of the pixel data to apply modifications.
-        // This ensures the original imageData remains untouched and we operate on a mutable copy.
-        const processedPixels = new Uint8ClampedArray(originalPixels); 
-
-        const blurRadius = this.calculateBlurRadius(width, height);
-        
-        // Apply blur effect: reads from originalPixels (source), writes to processedPixels (target)
-        this.applyBlurEffect(processedPixels, originalPixels, watermarkRegion, blurRadius, imageWidth, imageHeight);
+        const regions = Array.isArray(target) ? target : [target];
+        if (regions.length === 0) {
+            throw new Error("No watermark region selected. Please make a valid selection.");
+        }
 
-        return new ImageData(processedPixels, imageWidth, imageHeight);
+        // Validate every watermark region
+        regions.forEach((region) => {
+            const { x, y, width, height } = region;
+            if (x < 0 || y < 0 || x + width > imageWidth || y + height > imageHeight || width <= 0 || height <= 0) {
+                console.error("Invalid watermark region:", region, "Image dimensions:", imageWidth, imageHeight);
+                throw new Error("Watermark region is invalid or outside image boundaries. Please make a valid selection.");
+            }
+        });
+        return regionsToMask(regions, imageWidth, imageHeight);
     }
 
-    // Convert processed image data back to a blob
-    async toBlob(imageData) {
+    // Convert processed image data back to a blob in the format of exportSettings ({ format, quality, metadata },
+    // see imageExport.js; PNG by default). With metadata "preserve", the source's EXIF/XMP (as loadImage
+    // read it) is written into the result; onNotice(message) is told when some of it doesn't fit the format.
+    async toBlob(imageData, exportSettings = {}, sourceMetadata = null, onNotice = null) {
         // Ensure canvas dimensions match the imageData to be drawn
         if (this.canvas.width !== imageData.width || this.canvas.height !== imageData.height) {
             this.canvas.width = imageData.width;
             this.canvas.height = imageData.height;
         }
         this.ctx.putImageData(imageData, 0, 0);
-        
-        return new Promise((resolve, reject) => {
-            this.canvas.toBlob((blob) => {
-                if (blob) {
-                    resolve(blob);
+
+        const format = getImageFormat(exportSettings.format);
+        const quality = format.lossy ? exportSettings.quality ?? DEFAULT_IMAGE_QUALITY : undefined;
+        const blob = await new Promise((resolve, reject) => {
+            this.canvas.toBlob((result) => {
+                if (result) {
+                    resolve(result);
                 } else {
                     // This case might occur if canvas is tainted or dimensions are 0.
                     reject(new Error("Failed to convert canvas to Blob. The canvas might be empty or tainted."));
                 }
-            }, "image/png"); // Default to PNG, could be parameterized if other formats are needed.
+            }, format.mimeType, quality);
         });
+        // Browsers fall back to PNG for formats they can't encode
+        if (blob.type !== format.mimeType) {
+            throw new Error(`This browser can't save ${format.label} images. Please choose another format.`);
+        }
+
+        if (exportSettings.metadata === "preserve" && sourceMetadata) {
+            const metadata = prepareMetadataForExport(sourceMetadata, imageData.width, imageData.height);
+            const result = await writeImageMetadata(blob, metadata);
+            if (result.dropped.length > 0 && onNotice) {
+                onNotice(`The image's ${result.dropped.join(" and ")} metadata is too large for a ${format.label} file, so it was left out.`);
+            }
+            return result.blob;
+        }
+        return blob;
     }
 }
 
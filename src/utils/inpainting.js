@@ -0,0 +1,161 @@
+import { getMaskBounds } from "./mask";
+
+const DIAGONAL_WEIGHT = Math.SQRT1_2;
+
+// Rebuild masked pixels from the pixels around them (diffusion inpainting).
+// Pass 1 peels the hole like an onion: each ring touching known pixels is filled with the
+// weighted average of its known 8-neighbours, so colours flow inwards from the boundary.
+// Pass 2 runs Gauss-Seidel iterations of the Laplace equation over the hole, which smooths
+// the seams between rings and leaves a continuous fill with no trace of the old shape.
+export function diffusionInpaint(targetPixels, sourcePixels, mask, imageWidth, imageHeight, options = {}) {
+    const bounds = getMaskBounds(mask);
+    if (!bounds) return;
+
+    // Work inside the mask bounds plus a one-pixel ring of known pixels to read from
+    const boxX = Math.max(0, bounds.x - 1);
+    const boxY = Math.max(0, bounds.y - 1);
+    const boxW = Math.min(imageWidth, bounds.x + bounds.width + 1) - boxX;
+    const boxH = Math.min(imageHeight, bounds.y + bounds.height + 1) - boxY;
+    const boxSize = boxW * boxH;
+
+    const red = new Float32Array(boxSize);
+    const green = new Float32Array(boxSize);
+    const blue = new Float32Array(boxSize);
+    const known = new Uint8Array(boxSize);
+    let unknownCount = 0;
+
+    for (let by = 0; by < boxH; by++) {
+        for (let bx = 0; bx < boxW; bx++) {
+            const i = by * boxW + bx;
+            const pixelIdx = (boxY + by) * imageWidth + (boxX + bx);
+            const srcIdx = pixelIdx * 4;
+            red[i] = sourcePixels[srcIdx];
+            green[i] = sourcePixels[srcIdx + 1];
+            blue[i] = sourcePixels[srcIdx + 2];
+            if (mask.data[pixelIdx]) {
+                unknownCount++;
+            } else {
+                known[i] = 1;
+            }
+        }
+    }
+
+    // Nothing outside the mask to borrow colours from (e.g. the whole image is selected)
+    if (unknownCount === boxSize) return;
+
+    // Pass 1: onion-peel fill, ring by ring. The first ring is every unknown pixel touching a known one;
+    // each following ring is the unknown neighbours of the ring just filled.
+    const queued = new Uint8Array(boxSize);
+    let ring = [];
+    for (let i = 0; i < boxSize; i++) {
+        if (!known[i] && hasKnownNeighbour(known, i, boxW, boxH)) {
+            queued[i] = 1;
+            ring.push(i);
+        }
+    }
+
+    const fillOrder = [];
+    const ringColours = [];
+    while (ring.length > 0) {
+        ringColours.length = 0;
+        for (let k = 0; k < ring.length; k++) {
+            const i = ring[k];
+            const bx = i % boxW;
+            const by = (i - bx) / boxW;
+
+            let r = 0, g = 0, b = 0, weightSum = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = by + dy;
+                if (ny < 0 || ny >= boxH) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = bx + dx;
+                    if ((dx === 0 && dy === 0) || nx < 0 || nx >= boxW) continue;
+                    const n = ny * boxW + nx;
+                    if (!known[n]) continue;
+                    const weight = dx !== 0 && dy !== 0 ? DIAGONAL_WEIGHT : 1;
+                    r += red[n] * weight;
+                    g += green[n] * weight;
+                    b += blue[n] * weight;
+                    weightSum += weight;
+                }
+            }
+            ringColours.push(r / weightSum, g / weightSum, b / weightSum);
+        }
+
+        // Commit the ring only after it is fully computed so the fill spreads evenly
+        const nextRing = [];
+        for (let k = 0; k < ring.length; k++) {
+            const i = ring[k];
+            red[i] = ringColours[k * 3];
+            green[i] = ringColours[k * 3 + 1];
+            blue[i] = ringColours[k * 3 + 2];
+            known[i] = 1;
+            fillOrder.push(i);
+        }
+        for (let k = 0; k < ring.length; k++) {
+            const i = ring[k];
+            const bx = i % boxW;
+            const by = (i - bx) / boxW;
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = by + dy;
+                if (ny < 0 || ny >= boxH) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = bx + dx;
+                    if (nx < 0 || nx >= boxW) continue;
+                    const n = ny * boxW + nx;
+                    if (!known[n] && !queued[n]) {
+                        queued[n] = 1;
+                        nextRing.push(n);
+                    }
+                }
+            }
+        }
+        ring = nextRing;
+    }
+
+    // Pass 2: Gauss-Seidel relaxation over the filled pixels
+    const iterations = options.iterations ?? Math.min(100, Math.max(10, Math.round(Math.min(bounds.width, bounds.height) / 2)));
+    for (let iter = 0; iter < iterations; iter++) {
+        for (let k = 0; k < fillOrder.length; k++) {
+            const i = fillOrder[k];
+            const bx = i % boxW;
+            const by = (i - bx) / boxW;
+
+            let r = 0, g = 0, b = 0, count = 0;
+            if (bx > 0) { r += red[i - 1]; g += green[i - 1]; b += blue[i - 1]; count++; }
+            if (bx < boxW - 1) { r += red[i + 1]; g += green[i + 1]; b += blue[i + 1]; count++; }
+            if (by > 0) { r += red[i - boxW]; g += green[i - boxW]; b += blue[i - boxW]; count++; }
+            if (by < boxH - 1) { r += red[i + boxW]; g += green[i + boxW]; b += blue[i + boxW]; count++; }
+
+            red[i] = r / count;
+            green[i] = g / count;
+            blue[i] = b / count;
+        }
+    }
+
+    // Write the filled colours back, preserving each pixel's original alpha
+    for (let k = 0; k < fillOrder.length; k++) {
+        const i = fillOrder[k];
+        const bx = i % boxW;
+        const by = (i - bx) / boxW;
+        const targetIdx = ((boxY + by) * imageWidth + (boxX + bx)) * 4;
+        targetPixels[targetIdx] = red[i];
+        targetPixels[targetIdx + 1] = green[i];
+        targetPixels[targetIdx + 2] = blue[i];
+        targetPixels[targetIdx + 3] = sourcePixels[targetIdx + 3];
+    }
+}
+
+function hasKnownNeighbour(known, i, boxW, boxH) {
+    const bx = i % boxW;
+    const by = (i - bx) / boxW;
+    for (let dy = -1; dy <= 1; dy++) {
+        const ny = by + dy;
+        if (ny < 0 || ny >= boxH) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+            const nx = bx + dx;
+            if (nx >= 0 && nx < boxW && known[ny * boxW + nx]) return true;
+        }
+    }
+    return false;
+}
@@ -0,0 +1,74 @@
+// Keyframed watermark regions for video: the region is set at chosen times and interpolated in between.
+// A keyframe is { time (seconds), x, y, width, height, interpolation, confidence? } where interpolation says
+// how the region gets from this keyframe to the next: "linear" moves and resizes it smoothly, "hold" keeps
+// it in place until the next keyframe (for watermarks that jump between positions). Keyframes found by
+// tracking carry the tracking confidence (0-1); keyframes set by hand have none.
+// Keyframe lists are kept sorted by time.
+
+export const KEYFRAME_INTERPOLATIONS = [
+    { value: "linear", label: "Linear" },
+    { value: "hold", label: "Hold" }
+];
+const SAME_TIME_TOLERANCE = 1e-3; // Seconds; keyframes closer than this are the same keyframe
+
+// Add a keyframe, replacing any keyframe at the same time. Returns a new sorted list.
+export function setKeyframe(keyframes, keyframe) {
+    const existing = findKeyframe(keyframes, keyframe.time);
+    const entry = {
+        interpolation: existing ? existing.interpolation : "linear",
+        ...keyframe,
+        x: Math.round(keyframe.x),
+        y: Math.round(keyframe.y),
+        width: Math.round(keyframe.width),
+        height: Math.round(keyframe.height)
+    };
+    return [...keyframes.filter((other) => other !== existing), entry].sort((a, b) => a.time - b.time);
+}
+
+export function removeKeyframe(keyframes, time) {
+    const existing = findKeyframe(keyframes, time);
+    return keyframes.filter((other) => other !== existing);
+}
+
+// Remove the keyframes after (direction "forward") or before ("backward") this time, e.g. the ones a
+// track from this time replaces
+export function removeKeyframesBeyond(keyframes, time, direction) {
+    return keyframes.filter((keyframe) => direction === "backward"
+        ? keyframe.time > time - SAME_TIME_TOLERANCE
+        : keyframe.time < time + SAME_TIME_TOLERANCE);
+}
+
+// Change one keyframe's properties (e.g. its interpolation)
+export function updateKeyframe(keyframes, time, changes) {
+    const existing = findKeyframe(keyframes, time);
+    return keyframes.map((other) => other === existing ? { ...other, ...changes, time: other.time } : other);
+}
+
+// The keyframe at this time, if there is one
+export function findKeyframe(keyframes, time) {
+    return keyframes.find((keyframe) => Math.abs(keyframe.time - time) < SAME_TIME_TOLERANCE) || null;
+}
+
+// Region ({ x, y, width, height } in whole pixels) at a time. Before the first keyframe the first one applies,
+// after the last keyframe the last one. Returns null without keyframes.
+export function interpolateRegion(keyframes, time) {
+    if (keyframes.length === 0) return null;
+
+    let next = keyframes.findIndex((keyframe) => keyframe.time > time);
+    if (next === -1) next = keyframes.length;
+    if (next === 0) return toRegion(keyframes[0]);
+
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    if (!to || from.interpolation === "hold") return toRegion(from);
+
+    const t = (time - from.time) / (to.time - from.time);
+    const mix = (key) => from[key] + (to[key] - from[key]) * t;
+    return toRegion({ x: mix("x"), y: mix("y"), width: mix("width"), height: mix("height") });
+}
+
+// Whole pixels, rounding the edges (not the size) so an interpolated region never leaves the frame
+function toRegion({ x, y, width, height }) {
+    const left = Math.round(x), top = Math.round(y);
+    return { x: left, y: top, width: Math.round(x + width) - left, height: Math.round(y + height) - top };
+}
@@ -0,0 +1,57 @@
+import { setKeyframe, removeKeyframesBeyond, interpolateRegion } from "./keyframes";
+
+const keyframe = (time, x, y, width, height, interpolation = "linear") => ({ time, x, y, width, height, interpolation });
+
+describe("setKeyframe", () => {
+    test("keeps the list sorted and replaces a keyframe at the same time", () => {
+        let keyframes = setKeyframe([], keyframe(2, 0, 0, 10, 10));
+        keyframes = setKeyframe(keyframes, keyframe(1, 5, 5, 10, 10));
+        keyframes = setKeyframe(keyframes, { time: 2.0001, x: 7.4, y: 8.6, width: 10, height: 10 });
+        expect(keyframes.map((entry) => entry.time)).toEqual([1, 2.0001]);
+        expect(keyframes[1]).toMatchObject({ x: 7, y: 9, interpolation: "linear" });
+    });
+
+    test("keeps the interpolation of the keyframe it replaces", () => {
+        const keyframes = setKeyframe([keyframe(1, 0, 0, 10, 10, "hold")], { time: 1, x: 3, y: 3, width: 10, height: 10 });
+        expect(keyframes[0].interpolation).toBe("hold");
+    });
+});
+
+describe("removeKeyframesBeyond", () => {
+    const keyframes = [keyframe(1, 0, 0, 1, 1), keyframe(2, 0, 0, 1, 1), keyframe(3, 0, 0, 1, 1)];
+
+    test("keeps the keyframe at the time itself", () => {
+        expect(removeKeyframesBeyond(keyframes, 2, "forward").map((entry) => entry.time)).toEqual([1, 2]);
+        expect(removeKeyframesBeyond(keyframes, 2, "backward").map((entry) => entry.time)).toEqual([2, 3]);
+    });
+});
+
+describe("interpolateRegion", () => {
+    test("is null without keyframes", () => {
+        expect(interpolateRegion([], 1)).toBeNull();
+    });
+
+    test("holds the first and last keyframes outside them", () => {
+        const keyframes = [keyframe(1, 10, 20, 30, 40), keyframe(2, 50, 60, 30, 40)];
+        expect(interpolateRegion(keyframes, 0)).toEqual({ x: 10, y: 20, width: 30, height: 40 });
+        expect(interpolateRegion(keyframes, 5)).toEqual({ x: 50, y: 60, width: 30, height: 40 });
+    });
+
+    test("moves and resizes linearly between keyframes", () => {
+        const keyframes = [keyframe(0, 0, 0, 10, 10), keyframe(2, 20, 40, 30, 50)];
+        expect(interpolateRegion(keyframes, 1)).toEqual({ x: 10, y: 20, width: 20, height: 30 });
+    });
+
+    test("rounds the edges rather than the size", () => {
+        const keyframes = [keyframe(0, 0, 0, 10, 10), keyframe(1, 1, 1, 10, 10)];
+        const region = interpolateRegion(keyframes, 0.5);
+        expect(region.x + region.width).toBe(Math.round(0.5 + 10));
+        expect(region.width).toBe(10);
+    });
+
+    test("keeps a hold keyframe's region until the next keyframe", () => {
+        const keyframes = [keyframe(0, 0, 0, 10, 10, "hold"), keyframe(2, 100, 100, 10, 10)];
+        expect(interpolateRegion(keyframes, 1.99)).toEqual({ x: 0, y: 0, width: 10, height: 10 });
+        expect(interpolateRegion(keyframes, 2)).toEqual({ x: 100, y: 100, width: 10, height: 10 });
+    });
+});
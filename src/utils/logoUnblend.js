@@ -0,0 +1,273 @@
+import { createMask } from "./mask";
+import { diffusionInpaint } from "./inpainting";
+
+// Removal of a known semi-transparent logo by inverting the alpha blend.
+// A watermarked pixel is I = a * W + (1 - a) * J, where W is the logo colour, a its alpha (the alpha of the
+// logo PNG scaled by the watermark's opacity) and J the original pixel, so J = (I - a * W) / (1 - a).
+// A logo is ImageData-like ({ data, width, height }) and is placed with its top-left corner at (x, y).
+
+const MAX_RECOVERABLE_ALPHA = 0.98; // Above this the original is too faint to recover; inpainted instead
+const SATURATION_TOLERANCE = 24; // How far a recovered value may fall outside 0-255 before it counts as wrong
+const MAX_ALIGN_SIZE = 512; // Longest side of the image for the coarse alignment search
+const MAX_ALIGN_COST = 4e7; // Pixel comparisons the coarse search may take
+const MIN_ALIGN_SCORE = 0.3; // Correlation below which the logo is considered not found
+const MIN_OPACITY = 0.02;
+const MAX_OPACITY = 0.96;
+
+// Recover the masked pixels the logo covers. Pixels that can't be recovered (the logo is almost opaque
+// there, or the recovered colour falls outside 0-255 by more than rounding explains, so the blend doesn't
+// fit) are inpainted from the recovered pixels around them.
+// opacity (0-1) scales the logo's own alpha.
+export function unblendLogo(targetPixels, sourcePixels, mask, imageWidth, imageHeight, logo, logoX, logoY, opacity) {
+    const saturated = createMask(imageWidth, imageHeight);
+    let saturatedCount = 0;
+    const x0 = Math.max(0, logoX), y0 = Math.max(0, logoY);
+    const x1 = Math.min(imageWidth, logoX + logo.width), y1 = Math.min(imageHeight, logoY + logo.height);
+
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const pixelIdx = y * imageWidth + x;
+            if (!mask.data[pixelIdx]) continue;
+            const logoIdx = ((y - logoY) * logo.width + (x - logoX)) * 4;
+            const alpha = opacity * logo.data[logoIdx + 3] / 255;
+            if (alpha <= 0) continue;
+
+            const srcIdx = pixelIdx * 4;
+            let recoverable = alpha < MAX_RECOVERABLE_ALPHA;
+            for (let c = 0; c < 3 && recoverable; c++) {
+                const value = sourcePixels[srcIdx + c];
+                const original = (value - alpha * logo.data[logoIdx + c]) / (1 - alpha);
+                if (original < -SATURATION_TOLERANCE || original > 255 + SATURATION_TOLERANCE) {
+                    recoverable = false;
+                } else {
+                    targetPixels[srcIdx + c] = original;
+                }
+            }
+            if (!recoverable) {
+                saturated.data[pixelIdx] = 1;
+                saturatedCount++;
+            }
+        }
+    }
+
+    if (saturatedCount > 0) {
+        diffusionInpaint(targetPixels, new Uint8ClampedArray(targetPixels), saturated, imageWidth, imageHeight);
+    }
+}
+
+// Estimate the watermark's opacity (0-1) from the image: the opacity whose unblended result is the smoothest
+// across the logo. Too low an opacity leaves the logo's edges in, too high an opacity brings them back inverted.
+export function estimateLogoOpacity(pixels, logo, logoX, logoY) {
+    const area = logoArea(pixels, logo, logoX, logoY, 1);
+    if (!area) return 0;
+    const { width, height } = area;
+    const image = new Float32Array(width * height);
+    const logoGrey = new Float32Array(width * height);
+    const logoAlpha = new Float32Array(width * height);
+    for (let ay = 0; ay < height; ay++) {
+        for (let ax = 0; ax < width; ax++) {
+            const x = area.x + ax, y = area.y + ay;
+            const i = ay * width + ax;
+            image[i] = grey(pixels.data, (y * pixels.width + x) * 4);
+            const lx = x - logoX, ly = y - logoY;
+            if (lx >= 0 && ly >= 0 && lx < logo.width && ly < logo.height) {
+                const logoIdx = (ly * logo.width + lx) * 4;
+                logoGrey[i] = grey(logo.data, logoIdx);
+                logoAlpha[i] = logo.data[logoIdx + 3] / 255;
+            }
+        }
+    }
+
+    const roughness = (opacity) => {
+        const recovered = new Float32Array(width * height);
+        const valid = new Uint8Array(width * height);
+        for (let i = 0; i < recovered.length; i++) {
+            const alpha = opacity * logoAlpha[i];
+            valid[i] = alpha < MAX_RECOVERABLE_ALPHA && image[i] > 0 && image[i] < 255 ? 1 : 0;
+            recovered[i] = alpha > 0 ? (image[i] - alpha * logoGrey[i]) / (1 - alpha) : image[i];
+        }
+        let sum = 0, count = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (!valid[i]) continue;
+                if (x + 1 < width && valid[i + 1] && (logoAlpha[i] > 0 || logoAlpha[i + 1] > 0)) {
+                    sum += Math.abs(recovered[i + 1] - recovered[i]);
+                    count++;
+                }
+                if (y + 1 < height && valid[i + width] && (logoAlpha[i] > 0 || logoAlpha[i + width] > 0)) {
+                    sum += Math.abs(recovered[i + width] - recovered[i]);
+                    count++;
+                }
+            }
+        }
+        return count > 0 ? sum / count : Infinity;
+    };
+
+    // Coarse sweep, then a finer one around the best value
+    let best = MIN_OPACITY;
+    let bestRoughness = Infinity;
+    const sweep = (from, to, step) => {
+        for (let opacity = from; opacity <= to + 1e-9; opacity += step) {
+            const value = roughness(opacity);
+            if (value < bestRoughness) {
+                bestRoughness = value;
+                best = opacity;
+            }
+        }
+    };
+    sweep(MIN_OPACITY, MAX_OPACITY, 0.02);
+    sweep(Math.max(MIN_OPACITY, best - 0.02), Math.min(MAX_OPACITY, best + 0.02), 0.002);
+    return best;
+}
+
+// Find where the logo sits in the image by correlating edges: the logo's edges over a mid grey against the
+// image's. A coarse search over the whole (downscaled) image is refined at full resolution.
+// Returns { x, y, score } (score is the correlation, up to 1), or null when no good match was found.
+export function alignLogo(pixels, logo) {
+    if (logo.width > pixels.width || logo.height > pixels.height) {
+        throw new Error("The logo is larger than the image.");
+    }
+
+    let factor = Math.max(1, Math.ceil(Math.max(pixels.width, pixels.height) / MAX_ALIGN_SIZE));
+    const searchCost = (f) => {
+        const lw = Math.floor(logo.width / f), lh = Math.floor(logo.height / f);
+        return (Math.floor(pixels.width / f) - lw + 1) * (Math.floor(pixels.height / f) - lh + 1) * lw * lh;
+    };
+    while (searchCost(factor) > MAX_ALIGN_COST && Math.min(logo.width, logo.height) / (factor + 1) >= 4) factor++;
+
+    // Coarse search
+    const image = downscaleGrey(pixels, factor, false);
+    const template = downscaleGrey(logo, factor, true);
+    const coarse = bestMatch(
+        edgeStrength(image.values, image.width, image.height), image.width, image.height,
+        edgeStrength(template.values, template.width, template.height), template.width, template.height,
+        { x: 0, y: 0, width: image.width - template.width + 1, height: image.height - template.height + 1 }
+    );
+    if (!coarse) return null;
+    if (factor === 1) return coarse.score >= MIN_ALIGN_SCORE ? coarse : null;
+
+    // Refine within one coarse pixel of the match, on the part of the image it can reach
+    const x0 = Math.max(0, (coarse.x - 1) * factor);
+    const y0 = Math.max(0, (coarse.y - 1) * factor);
+    const x1 = Math.min(pixels.width - logo.width, (coarse.x + 1) * factor);
+    const y1 = Math.min(pixels.height - logo.height, (coarse.y + 1) * factor);
+    const crop = { x: x0, y: y0, width: x1 - x0 + logo.width, height: y1 - y0 + logo.height };
+    const cropGrey = new Float32Array(crop.width * crop.height);
+    for (let y = 0; y < crop.height; y++) {
+        for (let x = 0; x < crop.width; x++) {
+            cropGrey[y * crop.width + x] = grey(pixels.data, ((crop.y + y) * pixels.width + crop.x + x) * 4);
+        }
+    }
+    const fullTemplate = downscaleGrey(logo, 1, true);
+    const fine = bestMatch(
+        edgeStrength(cropGrey, crop.width, crop.height), crop.width, crop.height,
+        edgeStrength(fullTemplate.values, logo.width, logo.height), logo.width, logo.height,
+        { x: 0, y: 0, width: x1 - x0 + 1, height: y1 - y0 + 1 }
+    );
+    if (!fine || fine.score < MIN_ALIGN_SCORE) return null;
+    return { x: x0 + fine.x, y: y0 + fine.y, score: fine.score };
+}
+
+// Part of the image covered by the logo, grown by margin pixels and clipped to the image, or null
+function logoArea(pixels, logo, logoX, logoY, margin) {
+    const x = Math.max(0, logoX - margin), y = Math.max(0, logoY - margin);
+    const right = Math.min(pixels.width, logoX + logo.width + margin);
+    const bottom = Math.min(pixels.height, logoY + logo.height + margin);
+    return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null;
+}
+
+function grey(data, i) {
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+// Greyscale copy averaging factor x factor blocks. With overGrey, the pixels are composited over a mid
+// grey by their alpha first (how a logo looks over an average background).
+function downscaleGrey(pixels, factor, overGrey) {
+    const width = Math.floor(pixels.width / factor);
+    const height = Math.floor(pixels.height / factor);
+    const values = new Float32Array(width * height);
+    for (let y = 0; y < height * factor; y++) {
+        const row = Math.floor(y / factor) * width;
+        for (let x = 0; x < width * factor; x++) {
+            const i = (y * pixels.width + x) * 4;
+            let value = grey(pixels.data, i);
+            if (overGrey) {
+                const alpha = pixels.data[i + 3] / 255;
+                value = alpha * value + (1 - alpha) * 128;
+            }
+            values[row + Math.floor(x / factor)] += value;
+        }
+    }
+    for (let i = 0; i < values.length; i++) values[i] /= factor * factor;
+    return { values, width, height };
+}
+
+// Gradient magnitude (sum of the absolute forward differences)
+function edgeStrength(values, width, height) {
+    const result = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const dx = x + 1 < width ? values[i + 1] - values[i] : 0;
+            const dy = y + 1 < height ? values[i + width] - values[i] : 0;
+            result[i] = Math.abs(dx) + Math.abs(dy);
+        }
+    }
+    return result;
+}
+
+// Position (within the positions rectangle) where the template correlates best with the image
+// (normalised cross-correlation), as { x, y, score }, or null if the template is flat
+function bestMatch(image, imageWidth, imageHeight, template, templateWidth, templateHeight, positions) {
+    const n = templateWidth * templateHeight;
+    let templateMean = 0;
+    for (let i = 0; i < n; i++) templateMean += template[i];
+    templateMean /= n;
+    const centred = new Float32Array(n);
+    let templateNorm = 0;
+    for (let i = 0; i < n; i++) {
+        centred[i] = template[i] - templateMean;
+        templateNorm += centred[i] * centred[i];
+    }
+    if (templateNorm === 0) return null;
+    templateNorm = Math.sqrt(templateNorm);
+
+    // Summed-area tables of the image and its square give each window's variance in constant time
+    const stride = imageWidth + 1;
+    const sums = new Float64Array(stride * (imageHeight + 1));
+    const squares = new Float64Array(stride * (imageHeight + 1));
+    for (let y = 0; y < imageHeight; y++) {
+        let rowSum = 0, rowSquares = 0;
+        for (let x = 0; x < imageWidth; x++) {
+            const value = image[y * imageWidth + x];
+            rowSum += value;
+            rowSquares += value * value;
+            sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+            squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+        }
+    }
+    const windowSum = (table, x, y) => table[(y + templateHeight) * stride + x + templateWidth] -
+        table[y * stride + x + templateWidth] - table[(y + templateHeight) * stride + x] + table[y * stride + x];
+
+    let best = null;
+    for (let y = positions.y; y < positions.y + positions.height; y++) {
+        for (let x = positions.x; x < positions.x + positions.width; x++) {
+            const sum = windowSum(sums, x, y);
+            const variance = windowSum(squares, x, y) - (sum * sum) / n;
+            if (variance <= 1e-6) continue;
+
+            let product = 0;
+            for (let ty = 0; ty < templateHeight; ty++) {
+                const imageRow = (y + ty) * imageWidth + x;
+                const templateRow = ty * templateWidth;
+                for (let tx = 0; tx < templateWidth; tx++) {
+                    product += centred[templateRow + tx] * image[imageRow + tx];
+                }
+            }
+            const score = product / (templateNorm * Math.sqrt(variance));
+            if (!best || score > best.score) best = { x, y, score };
+        }
+    }
+    return best;
+}
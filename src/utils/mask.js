@@ -0,0 +1,169 @@
+// Helpers for per-pixel selection masks.
+// A mask is { width, height, data } where data holds one byte per pixel (1 = selected, 0 = untouched).
+
+// Create an empty mask matching the given image dimensions
+export function createMask(width, height) {
+    return { width, height, data: new Uint8Array(width * height) };
+}
+
+// True when the value is a mask object rather than an {x, y, width, height} region (or list of regions)
+export function isMask(target) {
+    return Boolean(target && target.data instanceof Uint8Array && target.width > 0 && target.height > 0);
+}
+
+// Copy a mask so it can be changed without touching the original
+export function cloneMask(mask) {
+    return { width: mask.width, height: mask.height, data: new Uint8Array(mask.data) };
+}
+
+// True when no pixel is selected
+export function isMaskEmpty(mask) {
+    return mask.data.indexOf(1) === -1;
+}
+
+// Build a mask that selects a rectangular {x, y, width, height} region
+export function regionToMask(region, imageWidth, imageHeight) {
+    return regionsToMask([region], imageWidth, imageHeight);
+}
+
+// Build a mask that selects the union of several rectangular regions
+export function regionsToMask(regions, imageWidth, imageHeight) {
+    const mask = createMask(imageWidth, imageHeight);
+    regions.forEach((region) => {
+        const x0 = Math.max(0, Math.floor(region.x));
+        const y0 = Math.max(0, Math.floor(region.y));
+        const x1 = Math.min(imageWidth, Math.ceil(region.x + region.width));
+        const y1 = Math.min(imageHeight, Math.ceil(region.y + region.height));
+
+        for (let y = y0; y < y1; y++) {
+            mask.data.fill(1, y * imageWidth + x0, y * imageWidth + x1);
+        }
+    });
+    return mask;
+}
+
+// Smallest rectangle containing every selected pixel, or null for an empty mask
+export function getMaskBounds(mask) {
+    const { width, height, data } = mask;
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * width;
+        for (let x = 0; x < width; x++) {
+            if (data[rowStart + x]) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+    }
+
+    if (maxX < 0) return null;
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+// Split the selected pixels into 8-connected areas.
+// Returns { labels, count } where labels holds the area number of each pixel (-1 when unselected).
+export function labelMaskComponents(mask) {
+    const { width, height, data } = mask;
+    const labels = new Int32Array(width * height).fill(-1);
+    let count = 0;
+
+    for (let start = 0; start < data.length; start++) {
+        if (!data[start] || labels[start] >= 0) continue;
+        const stack = [start];
+        labels[start] = count;
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const x = i % width;
+            const y = (i - x) / width;
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    const n = ny * width + nx;
+                    if (data[n] && labels[n] < 0) {
+                        labels[n] = count;
+                        stack.push(n);
+                    }
+                }
+            }
+        }
+        count++;
+    }
+    return { labels, count };
+}
+
+// Scale a mask to another size (nearest neighbour), e.g. to fit a mask found on a downscaled image
+export function resizeMask(mask, width, height) {
+    const result = createMask(width, height);
+    for (let y = 0; y < height; y++) {
+        const sourceRow = Math.min(mask.height - 1, Math.floor(((y + 0.5) * mask.height) / height)) * mask.width;
+        for (let x = 0; x < width; x++) {
+            const sourceX = Math.min(mask.width - 1, Math.floor(((x + 0.5) * mask.width) / width));
+            result.data[y * width + x] = mask.data[sourceRow + sourceX];
+        }
+    }
+    return result;
+}
+
+// Paint (value 1) or erase (value 0) a round brush stroke from one point to another, in place
+export function paintStroke(mask, from, to, radius, value = 1) {
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    // Stamp discs close enough together that the stroke has no gaps
+    const steps = Math.max(1, Math.ceil(distance / Math.max(1, radius / 2)));
+    for (let step = 0; step <= steps; step++) {
+        const t = step / steps;
+        stampDisc(mask, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, radius, value);
+    }
+}
+
+function stampDisc(mask, centerX, centerY, radius, value) {
+    const { width, height, data } = mask;
+    const y0 = Math.max(0, Math.floor(centerY - radius));
+    const y1 = Math.min(height - 1, Math.ceil(centerY + radius));
+    for (let y = y0; y <= y1; y++) {
+        const dy = y - centerY;
+        const halfSpan = Math.sqrt(Math.max(0, radius * radius - dy * dy));
+        const x0 = Math.max(0, Math.round(centerX - halfSpan));
+        const x1 = Math.min(width, Math.round(centerX + halfSpan) + 1);
+        if (x1 > x0) data.fill(value, y * width + x0, y * width + x1);
+    }
+}
+
+// Combine two masks of the same size into a new one.
+// "add" selects pixels in either mask; "subtract" keeps base pixels that are not in the other mask.
+export function combineMasks(base, other, operation = "add") {
+    const result = cloneMask(base);
+    for (let i = 0; i < result.data.length; i++) {
+        if (operation === "subtract") {
+            if (other.data[i]) result.data[i] = 0;
+        } else if (other.data[i]) {
+            result.data[i] = 1;
+        }
+    }
+    return result;
+}
+
+// Work out what the processors should remove: the rectangles alone, or (once anything is painted)
+// a mask of the rectangles combined with the brush mask. Returns null when nothing is selected.
+export function resolveRemovalTarget(regions, brushMask, operation = "add") {
+    if (!brushMask || isMaskEmpty(brushMask)) {
+        return regions.length > 0 ? regions : null;
+    }
+    const combined = combineMasks(regionsToMask(regions, brushMask.width, brushMask.height), brushMask, operation);
+    return isMaskEmpty(combined) ? null : combined;
+}
+
+// Render a mask as ImageData in a single RGBA colour (unselected pixels stay transparent)
+export function maskToImageData(mask, color) {
+    const pixels = new Uint8ClampedArray(mask.width * mask.height * 4);
+    for (let i = 0; i < mask.data.length; i++) {
+        if (!mask.data[i]) continue;
+        pixels.set(color, i * 4);
+    }
+    return new ImageData(pixels, mask.width, mask.height);
+}
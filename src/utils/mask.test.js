@@ -0,0 +1,71 @@
+import { createMask, regionsToMask, getMaskBounds, isMaskEmpty, labelMaskComponents, combineMasks, resolveRemovalTarget } from "./mask";
+
+describe("regionsToMask", () => {
+    test("selects the union of the regions", () => {
+        const mask = regionsToMask([{ x: 0, y: 0, width: 2, height: 2 }, { x: 1, y: 1, width: 2, height: 1 }], 4, 3);
+        expect(Array.from(mask.data)).toEqual([
+            1, 1, 0, 0,
+            1, 1, 1, 0,
+            0, 0, 0, 0
+        ]);
+    });
+
+    test("clips regions to the image and covers fractional edges", () => {
+        const mask = regionsToMask([{ x: -2, y: 1.5, width: 3.2, height: 10 }], 3, 3);
+        expect(Array.from(mask.data)).toEqual([
+            0, 0, 0,
+            1, 1, 0,
+            1, 1, 0
+        ]);
+    });
+});
+
+describe("getMaskBounds", () => {
+    test("is null for an empty mask", () => {
+        expect(getMaskBounds(createMask(5, 5))).toBeNull();
+    });
+
+    test("is the smallest rectangle around the selected pixels", () => {
+        const mask = createMask(6, 5);
+        mask.data[1 * 6 + 4] = 1;
+        mask.data[3 * 6 + 2] = 1;
+        expect(getMaskBounds(mask)).toEqual({ x: 2, y: 1, width: 3, height: 3 });
+    });
+});
+
+describe("labelMaskComponents", () => {
+    test("joins diagonal neighbours and separates areas that don't touch", () => {
+        const mask = createMask(5, 3);
+        [0, 6, 12, 4, 9].forEach((i) => { mask.data[i] = 1; }); // A diagonal line, and a short column on the right
+        const { labels, count } = labelMaskComponents(mask);
+        expect(count).toBe(2);
+        expect(labels[0]).toBe(labels[12]);
+        expect(labels[4]).toBe(labels[9]);
+        expect(labels[0]).not.toBe(labels[4]);
+        expect(labels[1]).toBe(-1);
+    });
+});
+
+describe("combineMasks", () => {
+    test("adds and subtracts", () => {
+        const base = regionsToMask([{ x: 0, y: 0, width: 2, height: 1 }], 3, 1);
+        const other = regionsToMask([{ x: 1, y: 0, width: 2, height: 1 }], 3, 1);
+        expect(Array.from(combineMasks(base, other, "add").data)).toEqual([1, 1, 1]);
+        expect(Array.from(combineMasks(base, other, "subtract").data)).toEqual([1, 0, 0]);
+        expect(Array.from(base.data)).toEqual([1, 1, 0]);
+    });
+});
+
+describe("resolveRemovalTarget", () => {
+    test("keeps the rectangles while nothing is painted", () => {
+        const regions = [{ x: 0, y: 0, width: 1, height: 1 }];
+        expect(resolveRemovalTarget(regions, createMask(2, 2))).toBe(regions);
+        expect(resolveRemovalTarget([], null)).toBeNull();
+    });
+
+    test("is null when erasing leaves nothing", () => {
+        const brush = regionsToMask([{ x: 0, y: 0, width: 2, height: 2 }], 2, 2);
+        expect(isMaskEmpty(brush)).toBe(false);
+        expect(resolveRemovalTarget([{ x: 0, y: 0, width: 1, height: 1 }], brush, "subtract")).toBeNull();
+    });
+});
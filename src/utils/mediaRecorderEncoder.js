@@ -0,0 +1,131 @@
+import FrameScaler from "./frameScaler";
+
+const DEFAULT_MIME_TYPE = "video/webm;codecs=vp9"; // VP9 is good for quality and compatibility
+const AUDIO_MIME_TYPE = "video/webm;codecs=vp9,opus";
+const DEFAULT_BITRATE = 2500000;
+
+// Encodes frames one at a time with MediaRecorder, so no more than the current frame is held in memory.
+// MediaRecorder timestamps frames by wall-clock time, so the recorder stays paused while the next frame
+// is being prepared and only runs for one frame duration after each frame is drawn. However long the
+// processing takes, every frame lasts exactly 1 / frameRate in the output. Frames of another size than
+// the output (width x height) are scaled to it.
+// Given the source audio (an AudioBuffer), the slice of audio belonging to each frame is played into the
+// recording while that frame is shown, which keeps picture and sound in sync across the pauses.
+class MediaRecorderEncoder {
+    constructor(width, height, frameRate, { mimeType, videoBitsPerSecond = DEFAULT_BITRATE, audioBuffer = null } = {}) {
+        this.scaler = new FrameScaler(width, height);
+        this.canvas = this.scaler.canvas;
+        this.frameDuration = 1000 / frameRate;
+
+        // With a frame rate of 0 the stream only emits a frame when asked to (requestFrame).
+        // Browsers without requestFrame capture at the target rate instead.
+        this.stream = this.canvas.captureStream(0);
+        this.track = this.stream.getVideoTracks()[0];
+        if (!this.track || typeof this.track.requestFrame !== "function") {
+            this.stream.getTracks().forEach((track) => track.stop());
+            this.stream = this.canvas.captureStream(frameRate);
+            this.track = null;
+        }
+
+        this.audioBuffer = audioBuffer;
+        this.audioContext = null;
+        if (audioBuffer) {
+            this.audioContext = new AudioContext({ sampleRate: audioBuffer.sampleRate });
+            this.audioDestination = this.audioContext.createMediaStreamDestination();
+            this.stream = new MediaStream([
+                ...this.stream.getVideoTracks(),
+                ...this.audioDestination.stream.getAudioTracks()
+            ]);
+        }
+
+        const canCheckType = typeof MediaRecorder.isTypeSupported === "function";
+        if (mimeType && canCheckType && !MediaRecorder.isTypeSupported(mimeType)) {
+            this.releaseStream();
+            throw new Error(`This browser can't record "${mimeType}" video.`);
+        }
+        mimeType = mimeType || (audioBuffer ? AUDIO_MIME_TYPE : DEFAULT_MIME_TYPE);
+        if (canCheckType && !MediaRecorder.isTypeSupported(mimeType)) {
+            mimeType = "video/webm"; // Let the browser pick its default codecs
+        }
+        this.recorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond });
+        this.chunks = [];
+        this.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+        this.finished = new Promise((resolve, reject) => {
+            this.recorder.onstop = () => {
+                this.releaseStream();
+                if (this.chunks.length === 0) {
+                    reject(new Error("MediaRecorder produced no data. Video assembly failed."));
+                    return;
+                }
+                resolve(new Blob(this.chunks, { type: mimeType.split(";")[0] }));
+            };
+            this.recorder.onerror = (event) => {
+                console.error("MediaRecorder error:", event.error || event);
+                reject(new Error("MediaRecorder error during video assembly: " + (event.error?.name || "Unknown error")));
+            };
+        });
+        // Rejections are surfaced through finish(); avoid an unhandled rejection before then
+        this.finished.catch(() => {});
+        this.frameCount = 0;
+    }
+
+    // Encode one frame (ImageData) taken at timestamp (microseconds) of the source. Frames always last one
+    // frame duration of the recording's rate, whatever duration is passed. Resolves once the frame has
+    // been shown for its full duration, after which the caller may reuse or drop it.
+    async addFrame(frameData, timestamp) {
+        const timeInSeconds = timestamp / 1e6;
+        if (this.audioContext && this.audioContext.state === "suspended") {
+            await this.audioContext.resume();
+        }
+        if (this.recorder.state === "inactive") {
+            this.recorder.start();
+        } else {
+            this.recorder.resume();
+        }
+
+        this.scaler.draw(frameData);
+        if (this.track) this.track.requestFrame();
+        if (this.audioBuffer && timeInSeconds < this.audioBuffer.duration) {
+            const source = this.audioContext.createBufferSource();
+            source.buffer = this.audioBuffer;
+            source.connect(this.audioDestination);
+            source.start(this.audioContext.currentTime, timeInSeconds, this.frameDuration / 1000);
+        }
+        this.frameCount++;
+
+        await new Promise((resolve) => setTimeout(resolve, this.frameDuration));
+        this.recorder.pause();
+    }
+
+    // Stop recording and resolve with the encoded video Blob
+    async finish() {
+        if (this.frameCount === 0) {
+            throw new Error("No frames to assemble.");
+        }
+        this.recorder.stop();
+        return this.finished;
+    }
+
+    // Abandon the recording (e.g. after an error), releasing the stream
+    abort() {
+        if (this.recorder.state !== "inactive") {
+            this.recorder.onstop = null;
+            this.recorder.stop();
+        }
+        this.releaseStream();
+    }
+
+    releaseStream() {
+        this.stream.getTracks().forEach((track) => track.stop());
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
+
+export default MediaRecorderEncoder;
@@ -0,0 +1,112 @@
+import { createFile, DataStream, Endianness, MP4BoxBuffer } from "mp4box";
+
+const READ_CHUNK_SIZE = 4 * 1024 * 1024; // Bytes of the file parsed at a time
+const SAMPLES_PER_BATCH = 50;
+
+// Reads the video samples of an MP4 (or MOV) file for WebCodecs, with their real timestamps.
+// The file is parsed a chunk at a time and samples are released once read, so memory use stays
+// bounded for files with the index (moov box) at the start. Files with it at the end have to be
+// read completely before the first sample is available.
+class Mp4Demuxer {
+    constructor(file) {
+        this.file = file;
+        this.offset = 0;
+        this.samples = [];
+        this.track = null;
+        this.error = null;
+
+        this.mp4File = createFile();
+        this.mp4File.onError = (error) => {
+            this.error = new Error("Could not read the MP4 file: " + error);
+        };
+        this.mp4File.onReady = (info) => {
+            this.info = info;
+            this.track = info.videoTracks[0] || null;
+            if (!this.track) return;
+            this.mp4File.setExtractionOptions(this.track.id, null, { nbSamples: SAMPLES_PER_BATCH });
+            this.mp4File.start();
+        };
+        this.mp4File.onSamples = (trackId, user, samples) => {
+            this.samples.push(...samples);
+        };
+    }
+
+    // Parse up to the movie header. Resolves to the track details and a VideoDecoder configuration,
+    // or null when the file has no video track.
+    async open() {
+        while (!this.info && (await this.readChunk())) {
+            // Keep reading until onReady has fired
+        }
+        if (this.error) throw this.error;
+        if (!this.track) return null;
+
+        const { track } = this;
+        return {
+            width: track.video.width,
+            height: track.video.height,
+            frameCount: track.nb_samples,
+            duration: track.duration / track.timescale, // Seconds
+            frameRate: track.nb_samples / (track.duration / track.timescale),
+            decoderConfig: {
+                codec: track.codec,
+                codedWidth: track.video.width,
+                codedHeight: track.video.height,
+                description: this.getCodecDescription(track.id)
+            }
+        };
+    }
+
+    // Continue from the last key frame at or before the time (seconds), so that a part further into the
+    // file is decoded without everything before it. Call after open().
+    seekToKeyFrame(time) {
+        const { offset } = this.mp4File.seek(time, true);
+        this.samples = [];
+        this.offset = offset;
+    }
+
+    // Next video sample as an EncodedVideoChunk (timestamps in microseconds), or null at the end of the file
+    async nextChunk() {
+        while (this.samples.length === 0) {
+            if (this.error) throw this.error;
+            if (!(await this.readChunk())) return null;
+        }
+        const sample = this.samples.shift();
+        const chunk = new EncodedVideoChunk({
+            type: sample.is_sync ? "key" : "delta",
+            timestamp: (sample.cts * 1e6) / sample.timescale,
+            duration: (sample.duration * 1e6) / sample.timescale,
+            data: sample.data
+        });
+        // The chunk holds its own copy of the data
+        this.mp4File.releaseUsedSamples(this.track.id, sample.number + 1);
+        return chunk;
+    }
+
+    // Feed the next part of the file to the parser. Returns false once the whole file has been read.
+    async readChunk() {
+        if (this.offset >= this.file.size) return false;
+
+        const end = Math.min(this.file.size, this.offset + READ_CHUNK_SIZE);
+        const buffer = MP4BoxBuffer.fromArrayBuffer(await this.file.slice(this.offset, end).arrayBuffer(), this.offset);
+        this.offset = end;
+        this.mp4File.appendBuffer(buffer, end === this.file.size);
+        if (end === this.file.size) this.mp4File.flush();
+        return true;
+    }
+
+    // The codec-specific configuration record (avcC, hvcC, vpcC or av1C) VideoDecoder needs as `description`
+    getCodecDescription(trackId) {
+        const trak = this.mp4File.getTrackById(trackId);
+        for (const entry of trak.mdia.minf.stbl.stsd.entries) {
+            const box = entry.avcC || entry.hvcC || entry.vpcC || entry.av1C;
+            if (box) {
+                const stream = new DataStream(undefined, 0, Endianness.BIG_ENDIAN);
+                box.write(stream);
+                return new Uint8Array(stream.buffer, 8); // Skip the box header
+            }
+        }
+        return undefined;
+    }
+}
+
+export default Mp4Demuxer;
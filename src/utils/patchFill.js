@@ -0,0 +1,213 @@
+import { createMask, getMaskBounds } from "./mask";
+import { diffusionInpaint } from "./inpainting";
+
+export const DEFAULT_PATCH_SIZE = 7;
+export const DEFAULT_SEARCH_RADIUS = 60;
+export const DEFAULT_SEED = 1;
+const RANDOM_CANDIDATES = 24;
+const PROGRESS_INTERVAL = 4096; // Pixels filled between progress reports
+
+// Content-aware fill that copies texture from outside the mask (exemplar / PatchMatch style).
+// Masked pixels are synthesised from the boundary inwards. For each pixel the patch around it
+// (its already-known pixels only) is compared against fully-known source patches found by:
+//   - propagation: reusing the source offsets of neighbours that were just filled, so texture
+//     continues coherently across the hole, and
+//   - random search: seeded random samples within `searchRadius`, refined around the best match.
+// The centre pixel of the best-matching source patch is copied. Pixels with no usable source
+// patch (e.g. a tiny search radius) fall back to diffusion inpainting.
+// The same seed always gives the same output, so results are reproducible.
+export function exemplarFill(targetPixels, sourcePixels, mask, imageWidth, imageHeight, options = {}) {
+    const bounds = getMaskBounds(mask);
+    if (!bounds) return;
+
+    const half = Math.max(1, Math.floor((options.patchSize ?? DEFAULT_PATCH_SIZE) / 2));
+    const searchRadius = Math.max(half + 1, Math.round(options.searchRadius ?? DEFAULT_SEARCH_RADIUS));
+    const random = createSeededRandom(options.seed ?? DEFAULT_SEED);
+
+    // Area that can hold source patches: the mask bounds grown by the search radius
+    const areaX = Math.max(0, bounds.x - searchRadius);
+    const areaY = Math.max(0, bounds.y - searchRadius);
+    const areaW = Math.min(imageWidth, bounds.x + bounds.width + searchRadius) - areaX;
+    const areaH = Math.min(imageHeight, bounds.y + bounds.height + searchRadius) - areaY;
+
+    // Summed-area table of the mask over that area, to test "patch contains no masked pixel" in O(1)
+    const sat = new Uint32Array((areaW + 1) * (areaH + 1));
+    for (let ay = 0; ay < areaH; ay++) {
+        let rowSum = 0;
+        for (let ax = 0; ax < areaW; ax++) {
+            rowSum += mask.data[(areaY + ay) * imageWidth + (areaX + ax)] ? 1 : 0;
+            sat[(ay + 1) * (areaW + 1) + (ax + 1)] = sat[ay * (areaW + 1) + (ax + 1)] + rowSum;
+        }
+    }
+    const isValidSource = (cx, cy) => {
+        const x0 = cx - half - areaX, y0 = cy - half - areaY;
+        const x1 = cx + half + 1 - areaX, y1 = cy + half + 1 - areaY;
+        if (x0 < 0 || y0 < 0 || x1 > areaW || y1 > areaH) return false;
+        const stride = areaW + 1;
+        return sat[y1 * stride + x1] - sat[y0 * stride + x1] - sat[y1 * stride + x0] + sat[y0 * stride + x0] === 0;
+    };
+
+    const known = new Uint8Array(imageWidth * imageHeight);
+    for (let i = 0; i < known.length; i++) known[i] = mask.data[i] ? 0 : 1;
+
+    // Source offset chosen for each filled pixel (used for propagation)
+    const offsetX = new Int32Array(imageWidth * imageHeight);
+    const offsetY = new Int32Array(imageWidth * imageHeight);
+    const hasOffset = new Uint8Array(imageWidth * imageHeight);
+
+    // Mean squared colour difference over the target pixels that are already known
+    const patchArea = (2 * half + 1) * (2 * half + 1);
+    const patchDistance = (px, py, cx, cy, limit) => {
+        let distance = 0, count = 0;
+        for (let dy = -half; dy <= half; dy++) {
+            const ty = py + dy;
+            if (ty < 0 || ty >= imageHeight) continue;
+            for (let dx = -half; dx <= half; dx++) {
+                const tx = px + dx;
+                if (tx < 0 || tx >= imageWidth || !known[ty * imageWidth + tx]) continue;
+                const t = (ty * imageWidth + tx) * 4;
+                const s = ((cy + dy) * imageWidth + (cx + dx)) * 4;
+                const dr = targetPixels[t] - sourcePixels[s];
+                const dg = targetPixels[t + 1] - sourcePixels[s + 1];
+                const db = targetPixels[t + 2] - sourcePixels[s + 2];
+                distance += dr * dr + dg * dg + db * db;
+                count++;
+            }
+            if (distance > limit * patchArea) return Infinity; // Early exit: the mean can no longer beat the best
+        }
+        return count > 0 ? distance / count : Infinity;
+    };
+
+    const leftover = createMask(imageWidth, imageHeight);
+    let leftoverCount = 0;
+
+    const order = onionOrder(mask, bounds, imageWidth, imageHeight);
+    for (let k = 0; k < order.length; k++) {
+        if (options.onProgress && k % PROGRESS_INTERVAL === 0) options.onProgress(k / order.length);
+        const pixelIdx = order[k];
+        const px = pixelIdx % imageWidth;
+        const py = (pixelIdx - px) / imageWidth;
+
+        let bestX = -1, bestY = -1, bestDistance = Infinity;
+        const tryCandidate = (cx, cy) => {
+            if (Math.abs(cx - px) > searchRadius || Math.abs(cy - py) > searchRadius) return;
+            if (!isValidSource(cx, cy)) return;
+            const distance = patchDistance(px, py, cx, cy, bestDistance);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestX = cx;
+                bestY = cy;
+            }
+        };
+
+        // Propagation from already-filled neighbours
+        for (let n = 0; n < 4; n++) {
+            const nx = px + (n === 0 ? -1 : n === 1 ? 1 : 0);
+            const ny = py + (n === 2 ? -1 : n === 3 ? 1 : 0);
+            if (nx < 0 || nx >= imageWidth || ny < 0 || ny >= imageHeight) continue;
+            const neighbourIdx = ny * imageWidth + nx;
+            if (hasOffset[neighbourIdx]) {
+                tryCandidate(px + offsetX[neighbourIdx], py + offsetY[neighbourIdx]);
+            }
+        }
+
+        // Random search within the search radius
+        for (let candidate = 0; candidate < RANDOM_CANDIDATES; candidate++) {
+            const cx = px + Math.round((random() * 2 - 1) * searchRadius);
+            const cy = py + Math.round((random() * 2 - 1) * searchRadius);
+            tryCandidate(cx, cy);
+        }
+
+        // Refinement: sample around the best match with an exponentially shrinking window
+        if (bestX >= 0) {
+            for (let radius = searchRadius / 2; radius >= 1; radius /= 2) {
+                const cx = bestX + Math.round((random() * 2 - 1) * radius);
+                const cy = bestY + Math.round((random() * 2 - 1) * radius);
+                tryCandidate(cx, cy);
+            }
+        }
+
+        const targetIdx = pixelIdx * 4;
+        if (bestX >= 0) {
+            const sourceIdx = (bestY * imageWidth + bestX) * 4;
+            targetPixels[targetIdx] = sourcePixels[sourceIdx];
+            targetPixels[targetIdx + 1] = sourcePixels[sourceIdx + 1];
+            targetPixels[targetIdx + 2] = sourcePixels[sourceIdx + 2];
+            targetPixels[targetIdx + 3] = sourcePixels[targetIdx + 3]; // Preserve original alpha
+            offsetX[pixelIdx] = bestX - px;
+            offsetY[pixelIdx] = bestY - py;
+            hasOffset[pixelIdx] = 1;
+            known[pixelIdx] = 1;
+        } else {
+            leftover.data[pixelIdx] = 1;
+            leftoverCount++;
+        }
+    }
+
+    if (leftoverCount > 0) {
+        diffusionInpaint(targetPixels, new Uint8ClampedArray(targetPixels), leftover, imageWidth, imageHeight);
+    }
+}
+
+// Masked pixel indices ordered from the mask boundary inwards
+function onionOrder(mask, bounds, imageWidth, imageHeight) {
+    const order = [];
+    const queued = new Uint8Array(imageWidth * imageHeight);
+    let ring = [];
+
+    for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+        for (let x = bounds.x; x < bounds.x + bounds.width; x++) {
+            const i = y * imageWidth + x;
+            if (mask.data[i] && touchesUnmasked(mask, x, y, imageWidth, imageHeight)) {
+                queued[i] = 1;
+                ring.push(i);
+            }
+        }
+    }
+
+    while (ring.length > 0) {
+        const nextRing = [];
+        for (const i of ring) {
+            order.push(i);
+            const x = i % imageWidth;
+            const y = (i - x) / imageWidth;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx, ny = y + dy;
+                    if (nx < 0 || nx >= imageWidth || ny < 0 || ny >= imageHeight) continue;
+                    const n = ny * imageWidth + nx;
+                    if (mask.data[n] && !queued[n]) {
+                        queued[n] = 1;
+                        nextRing.push(n);
+                    }
+                }
+            }
+        }
+        ring = nextRing;
+    }
+    return order;
+}
+
+function touchesUnmasked(mask, x, y, imageWidth, imageHeight) {
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx, ny = y + dy;
+            if (nx >= 0 && nx < imageWidth && ny >= 0 && ny < imageHeight && !mask.data[ny * imageWidth + nx]) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Small deterministic PRNG (mulberry32) so a given seed always produces the same fill
+function createSeededRandom(seed) {
+    let state = (Number(seed) >>> 0) || 1;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
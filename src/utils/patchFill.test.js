@@ -0,0 +1,78 @@
+import { exemplarFill } from "./patchFill";
+import { regionToMask } from "./mask";
+
+// Diagonal stripes with some irregular texture for the fill to copy
+function makeTexture(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const stripe = (x + y) % 8 < 4 ? 200 : 40;
+            data[i] = stripe;
+            data[i + 1] = (stripe + ((x * 31 + y * 17) % 23)) % 256;
+            data[i + 2] = (x * y) % 256;
+            data[i + 3] = 255;
+        }
+    }
+    return data;
+}
+
+describe("exemplarFill", () => {
+    const width = 48, height = 40;
+    const source = makeTexture(width, height);
+    const mask = regionToMask({ x: 18, y: 14, width: 12, height: 10 }, width, height);
+    const fill = (options) => {
+        const target = new Uint8ClampedArray(source);
+        exemplarFill(target, source, mask, width, height, { searchRadius: 20, ...options });
+        return target;
+    };
+
+    test("gives the same result for the same seed", () => {
+        expect(fill({ seed: 7 })).toEqual(fill({ seed: 7 }));
+    });
+
+    test("only changes masked pixels", () => {
+        const result = fill({ seed: 1 });
+        let changed = 0;
+        for (let i = 0; i < width * height; i++) {
+            const same = [0, 1, 2, 3].every((c) => result[i * 4 + c] === source[i * 4 + c]);
+            if (!mask.data[i]) expect(same).toBe(true);
+            else if (!same) changed++;
+        }
+        expect(changed).toBeGreaterThan(0);
+    });
+
+    test("continues the texture into a mask many rings deep", () => {
+        // Stripes repeat every 4 pixels along both axes, so exact matches exist all around the hole
+        const stripes = new Uint8ClampedArray(64 * 64 * 4);
+        const stripe = (x, y) => ((x + y) % 4 < 2 ? 220 : 30);
+        for (let i = 0; i < 64 * 64; i++) {
+            stripes.fill(stripe(i % 64, Math.floor(i / 64)), i * 4, i * 4 + 3);
+            stripes[i * 4 + 3] = 255;
+        }
+        const hole = regionToMask({ x: 24, y: 24, width: 16, height: 16 }, 64, 64);
+        const target = new Uint8ClampedArray(stripes);
+        for (let i = 0; i < 64 * 64; i++) {
+            if (hole.data[i]) target.fill(128, i * 4, i * 4 + 3); // Grey over the hole, as left by a watermark
+        }
+        exemplarFill(target, stripes, hole, 64, 64, { searchRadius: 20, seed: 3 });
+        for (let i = 0; i < 64 * 64; i++) {
+            if (hole.data[i]) expect(target[i * 4]).toBe(stripe(i % 64, Math.floor(i / 64)));
+        }
+    });
+
+    test("reports its progress in order while filling a large mask", () => {
+        const size = 100;
+        const large = makeTexture(size, size);
+        const onProgress = jest.fn();
+        const largeMask = regionToMask({ x: 15, y: 15, width: 70, height: 70 }, size, size);
+        exemplarFill(new Uint8ClampedArray(large), large, largeMask, size, size, { searchRadius: 12, onProgress });
+        const reported = onProgress.mock.calls.map(([progress]) => progress);
+        expect(reported.length).toBeGreaterThan(1);
+        expect(reported[0]).toBe(0);
+        reported.forEach((progress, i) => {
+            expect(progress).toBeLessThan(1);
+            if (i > 0) expect(progress).toBeGreaterThan(reported[i - 1]);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import { toRelativeRegion } from "./regionTemplate";
+import { getStrategy } from "./strategies";
+
+// Named presets of watermark regions plus the removal strategy and its settings, kept in localStorage.
+// Regions are stored relative to the image size (see regionTemplate.js), so a preset fits files of any
+// resolution. A preset is { id, name, regions: [{ x, y, width, height }], strategy, options, createdAt }.
+// Presets are shared as JSON files: { format: PRESET_FILE_FORMAT, version, presets: [...] }.
+
+const STORAGE_KEY = "watermark-remover.presets";
+const PRESET_FILE_FORMAT = "watermark-remover-presets";
+const PRESET_FILE_VERSION = 1;
+
+// Saved presets, oldest first, leaving out any of a strategy that is not registered. Unreadable storage
+// gives an empty list.
+export function loadPresets() {
+    try {
+        const stored = window.localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored).filter(isValidPreset) : [];
+    } catch (error) {
+        console.error("Could not read saved presets:", error);
+        return [];
+    }
+}
+
+export function savePresets(presets) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.error("Could not save presets:", error);
+        throw new Error("The presets could not be saved. The browser's storage may be full or disabled.");
+    }
+}
+
+// New preset from pixel regions on an image of the given size
+export function createPreset(name, regions, imageWidth, imageHeight, strategy, options) {
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: name.trim(),
+        regions: regions.map(({ x, y, width, height }) => toRelativeRegion({ x, y, width, height }, imageWidth, imageHeight)),
+        strategy,
+        options: { ...options },
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Add presets to the list. A preset with the same name as an existing one replaces it.
+export function mergePresets(presets, additions) {
+    const names = new Set(additions.map((preset) => preset.name.toLowerCase()));
+    return [...presets.filter((preset) => !names.has(preset.name.toLowerCase())), ...additions];
+}
+
+export function exportPresetsJson(presets) {
+    return JSON.stringify({ format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, presets }, null, 2);
+}
+
+// Presets from an exported JSON file. Throws if the file is not a preset file.
+export function parsePresetsJson(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error("The file is not valid JSON.");
+    }
+    if (!parsed || parsed.format !== PRESET_FILE_FORMAT || !Array.isArray(parsed.presets)) {
+        throw new Error("The file does not contain watermark remover presets.");
+    }
+    if (parsed.version > PRESET_FILE_VERSION) {
+        throw new Error("The presets were saved by a newer version of this app.");
+    }
+
+    const unknown = parsed.presets.filter((preset) => preset && typeof preset.strategy === "string" && !getStrategy(preset.strategy));
+    if (unknown.length > 0) {
+        const ids = Array.from(new Set(unknown.map((preset) => `"${preset.strategy}"`)));
+        throw new Error(`The presets use removal methods this version doesn't have: ${ids.join(", ")}.`);
+    }
+
+    const presets = parsed.presets.filter(isValidPreset);
+    if (presets.length === 0) {
+        throw new Error("The file does not contain any valid presets.");
+    }
+    return presets;
+}
+
+function isValidPreset(preset) {
+    return Boolean(
+        preset &&
+        typeof preset.id === "string" &&
+        typeof preset.name === "string" &&
+        preset.name.trim() !== "" &&
+        typeof preset.strategy === "string" &&
+        getStrategy(preset.strategy) !== null &&
+        Array.isArray(preset.regions) &&
+        preset.regions.length > 0 &&
+        preset.regions.every(isValidRelativeRegion)
+    );
+}
+
+function isValidRelativeRegion(region) {
+    return Boolean(region) && ["x", "y", "width", "height"].every((key) => Number.isFinite(region[key])) &&
+        region.x >= 0 && region.y >= 0 && region.width > 0 && region.height > 0 &&
+        region.x + region.width <= 1.0001 && region.y + region.height <= 1.0001; // Allow for rounding
+}
@@ -0,0 +1,50 @@
+import { loadPresets, savePresets, createPreset, mergePresets, exportPresetsJson, parsePresetsJson } from "./presetStore";
+
+const makePreset = (name, strategy = "blur") => createPreset(name, [{ x: 100, y: 50, width: 200, height: 100 }], 1000, 500, strategy, { radius: 4 });
+
+describe("presetStore", () => {
+    afterEach(() => window.localStorage.clear());
+
+    test("stores regions relative to the image size", () => {
+        const preset = makePreset("  Corner logo ");
+        expect(preset.name).toBe("Corner logo");
+        expect(preset.regions).toEqual([{ x: 0.1, y: 0.1, width: 0.2, height: 0.2 }]);
+        expect(preset.options).toEqual({ radius: 4 });
+    });
+
+    test("round-trips through an exported file", () => {
+        const presets = [makePreset("One"), makePreset("Two", "pixelate")];
+        expect(parsePresetsJson(exportPresetsJson(presets))).toEqual(presets);
+    });
+
+    test("round-trips through storage", () => {
+        const presets = [makePreset("One")];
+        savePresets(presets);
+        expect(loadPresets()).toEqual(presets);
+    });
+
+    test("gives an empty list for unreadable storage", () => {
+        window.localStorage.setItem("watermark-remover.presets", "{not json");
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        expect(loadPresets()).toEqual([]);
+        console.error.mockRestore();
+    });
+
+    test("rejects files that are not preset files", () => {
+        expect(() => parsePresetsJson("not json")).toThrow("not valid JSON");
+        expect(() => parsePresetsJson(JSON.stringify({ presets: [] }))).toThrow("does not contain watermark remover presets");
+        expect(() => parsePresetsJson(exportPresetsJson([]))).toThrow("does not contain any valid presets");
+    });
+
+    test("rejects presets of strategies that are not registered", () => {
+        const json = exportPresetsJson([makePreset("One"), makePreset("Two", "no-such-strategy")]);
+        expect(() => parsePresetsJson(json)).toThrow('"no-such-strategy"');
+    });
+
+    test("replaces presets with the same name when merging", () => {
+        const old = makePreset("Logo");
+        const other = makePreset("Other");
+        const replacement = makePreset("LOGO", "pixelate");
+        expect(mergePresets([old, other], [replacement])).toEqual([other, replacement]);
+    });
+});
@@ -0,0 +1,47 @@
+// Pause, resume and cancel controls for a long-running job (see VideoProcessor.processVideo), which calls
+// checkpoint() between units of work. Cancelling aborts signal (an AbortSignal); with keepFinished the job
+// is asked to wrap up and return what it has finished instead of discarding it.
+class ProcessingControl {
+    constructor() {
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        this.paused = false;
+        this.keepFinished = false;
+        this.resumeWaiters = [];
+    }
+
+    pause() {
+        if (!this.signal.aborted) this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.resumeWaiters.splice(0).forEach((resolve) => resolve());
+    }
+
+    cancel({ keepFinished = false } = {}) {
+        this.keepFinished = keepFinished;
+        this.controller.abort();
+        this.resume(); // A paused job has to wake up to notice
+    }
+
+    // False once the job is paused or cancelled, for work it would start ahead of its next checkpoint
+    isRunning() {
+        return !this.paused && !this.signal.aborted;
+    }
+
+    // Resolves once the job may go on (straight away, or when resumed). Rejects with error.cancelled set
+    // once the job has been cancelled.
+    async checkpoint() {
+        while (this.paused) {
+            await new Promise((resolve) => this.resumeWaiters.push(resolve));
+        }
+        if (this.signal.aborted) {
+            const error = new Error("Processing was cancelled.");
+            error.cancelled = true;
+            throw error;
+        }
+    }
+}
+
+export default ProcessingControl;
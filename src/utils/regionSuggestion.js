@@ -0,0 +1,253 @@
+import { createMask, labelMaskComponents } from "./mask";
+
+const MAX_WORKING_SIZE = 512; // Longest side of the downscaled copy the scan runs on
+const MIN_EDGE_STRENGTH = 40; // Sobel magnitude (0-255 grey) that counts as an edge
+const DENSITY_RADIUS = 4; // Half size of the window edge density is measured over
+const MIN_EDGE_DENSITY = 0.12; // Share of edge pixels in that window for it to look like text or a logo
+const JOIN_X = 6; // Pixels the dense areas are grown by to join letters into words and lines
+const JOIN_Y = 2;
+const MIN_CANDIDATE_AREA = 60; // Working pixels; smaller areas are specks
+const MAX_CANDIDATE_SHARE = 0.25; // Candidates covering more of the image than this are content, not a watermark
+const MAX_OVERLAP = 0.3; // Intersection over union above which a lower ranked candidate is dropped
+const MIN_SCORE = 0.3; // Weaker candidates are not worth showing
+export const DEFAULT_MAX_SUGGESTIONS = 5;
+
+// Weights of the cues in a candidate's score (they add up to 1)
+const WEIGHTS = { density: 0.25, strokes: 0.2, neutral: 0.2, uniform: 0.15, position: 0.2 };
+
+// Suggest where the watermark of a single image probably is, from cues typical of watermarks:
+//   density   many edges in a small area (text and logos), measured against the image's own texture
+//   strokes   text-like strokes: many edge crossings along the rows
+//   neutral   little colour: watermarks are mostly white, grey or black
+//   uniform   edges of even strength, as left by a flat semi-transparent overlay
+//   position  near a corner or the middle of the top/bottom edge, where watermarks are usually placed
+// Everything runs locally on a downscaled copy. Returns up to maxSuggestions candidates, best first:
+// { x, y, width, height (image pixels), score (0-1), reasons: [cue labels] }.
+export function suggestWatermarkRegions(imageData, { maxSuggestions = DEFAULT_MAX_SUGGESTIONS } = {}) {
+    const scale = Math.min(1, MAX_WORKING_SIZE / Math.max(imageData.width, imageData.height));
+    const width = Math.max(1, Math.round(imageData.width * scale));
+    const height = Math.max(1, Math.round(imageData.height * scale));
+    const { grey, chroma } = resample(imageData, width, height);
+    const magnitude = sobelMagnitude(grey, width, height);
+
+    const edges = new Uint8Array(width * height);
+    let edgeCount = 0;
+    for (let i = 0; i < edges.length; i++) {
+        if (magnitude[i] > MIN_EDGE_STRENGTH) {
+            edges[i] = 1;
+            edgeCount++;
+        }
+    }
+    if (edgeCount === 0) return [];
+    const imageDensity = edgeCount / edges.length;
+
+    // Areas dense in edges, grown so the letters of a word (and the words of a line) join up
+    const density = boxDensity(edges, width, height, DENSITY_RADIUS);
+    const denseThreshold = Math.max(MIN_EDGE_DENSITY, imageDensity * 2);
+    const dense = createMask(width, height);
+    for (let i = 0; i < density.length; i++) {
+        if (edges[i] && density[i] >= denseThreshold) dense.data[i] = 1;
+    }
+    const { labels, count } = labelMaskComponents(grow(dense, JOIN_X, JOIN_Y));
+
+    const candidates = [];
+    componentBounds(labels, count, width).forEach((box) => {
+        const area = box.width * box.height;
+        if (area < MIN_CANDIDATE_AREA || area > width * height * MAX_CANDIDATE_SHARE) return;
+        const cues = measureCues(box, edges, magnitude, chroma, width, height, imageDensity);
+        const score = Object.keys(WEIGHTS).reduce((sum, cue) => sum + WEIGHTS[cue] * cues[cue], 0);
+        if (score >= MIN_SCORE) candidates.push({ box, score, cues });
+    });
+
+    // Best first, skipping candidates that mostly repeat a better one
+    candidates.sort((a, b) => b.score - a.score);
+    const chosen = [];
+    for (const candidate of candidates) {
+        if (chosen.length >= maxSuggestions) break;
+        if (chosen.some((other) => overlap(other.box, candidate.box) > MAX_OVERLAP)) continue;
+        chosen.push(candidate);
+    }
+
+    return chosen.map(({ box, score, cues }) => ({
+        ...toImageBox(box, JOIN_X, JOIN_Y, scale, imageData.width, imageData.height),
+        score,
+        reasons: describeCues(cues)
+    }));
+}
+
+// Greyscale and colourfulness (max - min channel) at the working size, averaging the source pixels
+function resample(imageData, width, height) {
+    const { data, width: sourceWidth, height: sourceHeight } = imageData;
+    const grey = new Float32Array(width * height);
+    const chroma = new Float32Array(width * height);
+    const counts = new Uint32Array(width * height);
+    for (let y = 0; y < sourceHeight; y++) {
+        const targetRow = Math.min(height - 1, Math.floor((y * height) / sourceHeight)) * width;
+        for (let x = 0; x < sourceWidth; x++) {
+            const i = (y * sourceWidth + x) * 4;
+            const target = targetRow + Math.min(width - 1, Math.floor((x * width) / sourceWidth));
+            const r = data[i], g = data[i + 1], b = data[i + 2];
+            grey[target] += 0.299 * r + 0.587 * g + 0.114 * b;
+            chroma[target] += Math.max(r, g, b) - Math.min(r, g, b);
+            counts[target]++;
+        }
+    }
+    for (let i = 0; i < counts.length; i++) {
+        if (counts[i] === 0) continue;
+        grey[i] /= counts[i];
+        chroma[i] /= counts[i];
+    }
+    return { grey, chroma };
+}
+
+function sobelMagnitude(grey, width, height) {
+    const magnitude = new Float32Array(width * height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const gx = (grey[i - width + 1] + 2 * grey[i + 1] + grey[i + width + 1]) -
+                (grey[i - width - 1] + 2 * grey[i - 1] + grey[i + width - 1]);
+            const gy = (grey[i + width - 1] + 2 * grey[i + width] + grey[i + width + 1]) -
+                (grey[i - width - 1] + 2 * grey[i - width] + grey[i - width + 1]);
+            magnitude[i] = Math.hypot(gx, gy) / 4; // Back to the 0-255 range of a single step
+        }
+    }
+    return magnitude;
+}
+
+// Share of set pixels in the (2r+1)x(2r+1) window around each pixel, clipped to the image
+function boxDensity(values, width, height, radius) {
+    const stride = width + 1;
+    const table = new Uint32Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+            row += values[y * width + x];
+            table[(y + 1) * stride + x + 1] = table[y * stride + x + 1] + row;
+        }
+    }
+    const density = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+            const sum = table[y1 * stride + x1] - table[y0 * stride + x1] - table[y1 * stride + x0] + table[y0 * stride + x0];
+            density[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+        }
+    }
+    return density;
+}
+
+// Grow the selected pixels by growX sideways and growY up and down
+function grow(mask, growX, growY) {
+    const { width, height, data } = mask;
+    const rows = createMask(width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[y * width + x]) {
+                rows.data.fill(1, y * width + Math.max(0, x - growX), y * width + Math.min(width, x + growX + 1));
+            }
+        }
+    }
+    const result = createMask(width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!rows.data[y * width + x]) continue;
+            for (let yy = Math.max(0, y - growY); yy <= Math.min(height - 1, y + growY); yy++) {
+                result.data[yy * width + x] = 1;
+            }
+        }
+    }
+    return result;
+}
+
+function componentBounds(labels, count, width) {
+    const boxes = Array.from({ length: count }, () => ({ x0: Infinity, y0: Infinity, x1: -1, y1: -1 }));
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] < 0) continue;
+        const box = boxes[labels[i]];
+        const x = i % width;
+        const y = (i - x) / width;
+        if (x < box.x0) box.x0 = x;
+        if (x > box.x1) box.x1 = x;
+        if (y < box.y0) box.y0 = y;
+        if (y > box.y1) box.y1 = y;
+    }
+    return boxes.map(({ x0, y0, x1, y1 }) => ({ x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1 }));
+}
+
+// Each cue of a candidate box, from 0 (unlike a watermark) to 1 (typical of one)
+function measureCues(box, edges, magnitude, chroma, width, height, imageDensity) {
+    let edgeCount = 0, strengthSum = 0, strengthSquares = 0, chromaSum = 0, crossings = 0;
+    for (let y = box.y; y < box.y + box.height; y++) {
+        for (let x = box.x; x < box.x + box.width; x++) {
+            const i = y * width + x;
+            chromaSum += chroma[i];
+            if (!edges[i]) continue;
+            edgeCount++;
+            strengthSum += magnitude[i];
+            strengthSquares += magnitude[i] * magnitude[i];
+            if (x > box.x && !edges[i - 1]) crossings++;
+        }
+    }
+    const area = box.width * box.height;
+    const boxDensity = edgeCount / area;
+    const meanStrength = edgeCount > 0 ? strengthSum / edgeCount : 0;
+    const strengthSpread = edgeCount > 0 ? Math.sqrt(Math.max(0, strengthSquares / edgeCount - meanStrength * meanStrength)) : 0;
+    const crossingsPerRow = crossings / box.height;
+
+    // How close the box centre is to a corner, or to the middle of the top or bottom edge
+    const cx = (box.x + box.width / 2) / width;
+    const cy = (box.y + box.height / 2) / height;
+    const edgeDistanceX = Math.min(cx, 1 - cx);
+    const edgeDistanceY = Math.min(cy, 1 - cy);
+    const cornerDistance = Math.hypot(edgeDistanceX, edgeDistanceY);
+    const bandDistance = Math.hypot(Math.abs(cx - 0.5), edgeDistanceY);
+
+    return {
+        density: clamp01((boxDensity / Math.max(imageDensity, 0.01) - 1) / 4),
+        strokes: clamp01(crossingsPerRow / Math.max(4, box.width / 12)),
+        neutral: clamp01(1 - chromaSum / area / 64),
+        uniform: meanStrength > 0 ? clamp01(1 - strengthSpread / meanStrength) : 0,
+        position: clamp01(1 - Math.min(cornerDistance, bandDistance) / 0.35)
+    };
+}
+
+const CUE_LABELS = {
+    density: "dense edges",
+    strokes: "text-like strokes",
+    neutral: "low colour",
+    uniform: "even overlay edges",
+    position: "typical position"
+};
+
+// Labels of the cues that stand out, strongest first
+function describeCues(cues) {
+    return Object.keys(CUE_LABELS)
+        .filter((cue) => cues[cue] >= 0.6)
+        .sort((a, b) => cues[b] - cues[a])
+        .map((cue) => CUE_LABELS[cue]);
+}
+
+// A working-size box in image pixels, shrunk back by the growth that joined it up (but keeping a
+// small margin) and clipped to the image
+function toImageBox(box, growX, growY, scale, imageWidth, imageHeight) {
+    const marginX = Math.max(0, growX - 2), marginY = Math.max(0, growY - 1);
+    const x = Math.max(0, Math.floor((box.x + marginX) / scale));
+    const y = Math.max(0, Math.floor((box.y + marginY) / scale));
+    const right = Math.min(imageWidth, Math.ceil((box.x + box.width - marginX) / scale));
+    const bottom = Math.min(imageHeight, Math.ceil((box.y + box.height - marginY) / scale));
+    return { x, y, width: Math.max(1, right - x), height: Math.max(1, bottom - y) };
+}
+
+function overlap(a, b) {
+    const w = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const h = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    if (w <= 0 || h <= 0) return 0;
+    const intersection = w * h;
+    return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,27 @@
+// Regions stored relative to the image size (fractions from 0 to 1), so one template of watermark
+// regions fits images of any resolution.
+
+export function toRelativeRegion(region, imageWidth, imageHeight) {
+    return {
+        x: region.x / imageWidth,
+        y: region.y / imageHeight,
+        width: region.width / imageWidth,
+        height: region.height / imageHeight
+    };
+}
+
+// Whole-pixel region for an image of the given size, clipped to the image
+export function fromRelativeRegion(relativeRegion, imageWidth, imageHeight) {
+    const x = Math.max(0, Math.round(relativeRegion.x * imageWidth));
+    const y = Math.max(0, Math.round(relativeRegion.y * imageHeight));
+    const right = Math.min(imageWidth, Math.round((relativeRegion.x + relativeRegion.width) * imageWidth));
+    const bottom = Math.min(imageHeight, Math.round((relativeRegion.y + relativeRegion.height) * imageHeight));
+    return { x, y, width: Math.max(0, right - x), height: Math.max(0, bottom - y) };
+}
+
+// Pixel regions of a template for an image of the given size, leaving out any that end up empty
+export function resolveRegionTemplate(relativeRegions, imageWidth, imageHeight) {
+    return relativeRegions
+        .map((region) => fromRelativeRegion(region, imageWidth, imageHeight))
+        .filter((region) => region.width > 0 && region.height > 0);
+}
@@ -0,0 +1,25 @@
+import { toRelativeRegion, fromRelativeRegion, resolveRegionTemplate } from "./regionTemplate";
+
+describe("regionTemplate", () => {
+    test("round-trips a region on an image of the same size", () => {
+        const region = { x: 17, y: 33, width: 120, height: 45 };
+        expect(fromRelativeRegion(toRelativeRegion(region, 640, 480), 640, 480)).toEqual(region);
+    });
+
+    test("scales a region to another resolution", () => {
+        const relative = toRelativeRegion({ x: 100, y: 50, width: 200, height: 100 }, 1000, 500);
+        expect(fromRelativeRegion(relative, 2000, 1000)).toEqual({ x: 200, y: 100, width: 400, height: 200 });
+    });
+
+    test("clips regions to the image", () => {
+        expect(fromRelativeRegion({ x: -0.1, y: 0.9, width: 0.3, height: 0.3 }, 100, 100)).toEqual({ x: 0, y: 90, width: 20, height: 10 });
+    });
+
+    test("leaves out regions that end up empty", () => {
+        const regions = resolveRegionTemplate([
+            { x: 0.1, y: 0.1, width: 0.5, height: 0.5 },
+            { x: 0.5, y: 0.5, width: 0.001, height: 0.001 }
+        ], 100, 100);
+        expect(regions).toEqual([{ x: 10, y: 10, width: 50, height: 50 }]);
+    });
+});
@@ -0,0 +1,126 @@
+// Follows a watermark region from frame to frame by template matching.
+// The region's pixels on the frame it was drawn on are the template; on each following frame the tracker
+// searches around the last position for the window that correlates best with it (normalised
+// cross-correlation on grey levels, so a change of brightness doesn't throw it off). Matching always
+// against the original template keeps the track from drifting. The correlation of the best match is the
+// tracking confidence: 1 for an exact match, dropping towards 0 as the watermark is lost.
+// The region keeps its size; only its position is tracked.
+
+const MIN_SEARCH_RADIUS = 16; // Pixels the region may move between two tracked frames...
+const SEARCH_RADIUS_SHARE = 0.5; // ...or this share of its larger side, whichever is more
+const MAX_SEARCH_RADIUS = 64; // Keeps the search of large regions affordable
+const COARSE_MIN_SIZE = 24; // Regions at least this large are searched at half resolution first
+
+class RegionTracker {
+    // frame: ImageData the region was drawn on; region: { x, y, width, height } in whole pixels
+    constructor(frame, region) {
+        this.width = region.width;
+        this.height = region.height;
+        this.x = region.x;
+        this.y = region.y;
+        const grey = toGrey(frame);
+        this.template = centredTemplate(grey, frame.width, region);
+        const coarseRegion = { x: region.x >> 1, y: region.y >> 1, width: region.width >> 1, height: region.height >> 1 };
+        this.coarse = Math.min(region.width, region.height) >= COARSE_MIN_SIZE
+            ? centredTemplate(halve(grey, frame.width, frame.height), frame.width >> 1, coarseRegion)
+            : null;
+    }
+
+    // Find the region on the next frame. Returns { x, y, width, height, confidence } and moves the
+    // tracker there.
+    track(frame) {
+        const grey = toGrey(frame);
+        const radius = Math.min(MAX_SEARCH_RADIUS,
+            Math.round(Math.max(MIN_SEARCH_RADIUS, Math.max(this.width, this.height) * SEARCH_RADIUS_SHARE)));
+        let match;
+        if (this.coarse) {
+            // Search the whole radius at half resolution, then refine around the best position
+            const coarseWidth = frame.width >> 1;
+            const coarseHeight = frame.height >> 1;
+            const coarseMatch = bestMatch(halve(grey, frame.width, frame.height), coarseWidth, coarseHeight,
+                this.coarse, this.x >> 1, this.y >> 1, Math.ceil(radius / 2));
+            match = bestMatch(grey, frame.width, frame.height, this.template, coarseMatch.x * 2, coarseMatch.y * 2, 2);
+        } else {
+            match = bestMatch(grey, frame.width, frame.height, this.template, this.x, this.y, radius);
+        }
+
+        this.x = match.x;
+        this.y = match.y;
+        return { x: match.x, y: match.y, width: this.width, height: this.height, confidence: Math.max(0, match.score) };
+    }
+}
+
+function toGrey(frame) {
+    const grey = new Float32Array(frame.width * frame.height);
+    for (let i = 0; i < grey.length; i++) {
+        grey[i] = 0.299 * frame.data[i * 4] + 0.587 * frame.data[i * 4 + 1] + 0.114 * frame.data[i * 4 + 2];
+    }
+    return grey;
+}
+
+// Half-size copy, averaging 2x2 blocks
+function halve(grey, width, height) {
+    const halfWidth = width >> 1, halfHeight = height >> 1;
+    const result = new Float32Array(halfWidth * halfHeight);
+    for (let y = 0; y < halfHeight; y++) {
+        for (let x = 0; x < halfWidth; x++) {
+            const i = 2 * y * width + 2 * x;
+            result[y * halfWidth + x] = (grey[i] + grey[i + 1] + grey[i + width] + grey[i + width + 1]) / 4;
+        }
+    }
+    return result;
+}
+
+// The region's grey levels minus their mean, with their norm
+function centredTemplate(grey, imageWidth, region) {
+    const { x, y, width, height } = region;
+    const values = new Float32Array(width * height);
+    let mean = 0;
+    for (let ty = 0; ty < height; ty++) {
+        for (let tx = 0; tx < width; tx++) {
+            const value = grey[(y + ty) * imageWidth + x + tx];
+            values[ty * width + tx] = value;
+            mean += value;
+        }
+    }
+    mean /= values.length;
+    let norm = 0;
+    for (let i = 0; i < values.length; i++) {
+        values[i] -= mean;
+        norm += values[i] * values[i];
+    }
+    return { values, width, height, norm: Math.sqrt(norm) };
+}
+
+// Best normalised cross-correlation of the template within radius of (centreX, centreY), keeping the
+// window inside the image. Returns { x, y, score }.
+function bestMatch(grey, imageWidth, imageHeight, template, centreX, centreY, radius) {
+    const { values, width, height, norm } = template;
+    const n = width * height;
+    const x0 = Math.max(0, centreX - radius), x1 = Math.min(imageWidth - width, centreX + radius);
+    const y0 = Math.max(0, centreY - radius), y1 = Math.min(imageHeight - height, centreY + radius);
+    let best = { x: Math.min(Math.max(centreX, 0), imageWidth - width), y: Math.min(Math.max(centreY, 0), imageHeight - height), score: -1 };
+
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            let sum = 0, squares = 0, product = 0;
+            for (let ty = 0; ty < height; ty++) {
+                const row = (y + ty) * imageWidth + x;
+                const templateRow = ty * width;
+                for (let tx = 0; tx < width; tx++) {
+                    const value = grey[row + tx];
+                    sum += value;
+                    squares += value * value;
+                    product += value * values[templateRow + tx];
+                }
+            }
+            const variance = squares - (sum * sum) / n;
+            // A flat window (or template) can't be matched; it only counts when nothing else does
+            const score = variance > 1e-6 && norm > 0 ? product / (norm * Math.sqrt(variance)) : 0;
+            if (score > best.score) best = { x, y, score };
+        }
+    }
+    return best;
+}
+
+export default RegionTracker;
@@ -0,0 +1,184 @@
+import { labelMaskComponents } from "../mask";
+
+export const BLUR_KERNELS = [
+    { value: "box", label: "Box" },
+    { value: "gaussian", label: "Gaussian" }
+];
+const MAX_AUTO_BLUR_RADIUS = 50;
+const MAX_BLUR_RADIUS = 150;
+
+// Calculate an appropriate blur radius based on region size
+export function calculateBlurRadius(regionWidth, regionHeight) {
+    // Ensure width and height are positive for calculation
+    const w = Math.max(1, regionWidth);
+    const h = Math.max(1, regionHeight);
+
+    const minDim = Math.min(w, h);
+
+    // Heuristic: e.g., 5% of the smaller dimension for radius
+    // This value can be tuned for desired blur intensity.
+    let radius = Math.floor(minDim * 0.05);
+
+    // Clamp the radius to a sensible range
+    radius = Math.max(2, radius);                   // Minimum blur radius of 2px (results in a 5x5 kernel)
+    radius = Math.min(MAX_AUTO_BLUR_RADIUS, radius); // The blur cost no longer depends on the radius, this only
+                                                     // stops large regions from being blurred beyond recognition.
+    return radius;
+}
+
+// Box blur of the masked pixels (every pixel within bounds when groupMask is null) in constant time per
+// pixel, using summed-area tables of the source.
+// Every pixel averages the (2r+1)x(2r+1) window around it, clipped to the image.
+function applyBoxBlur(targetPixels, sourcePixels, groupMask, bounds, radius, imageWidth, imageHeight) {
+    const area = expandBounds(bounds, radius, imageWidth, imageHeight);
+    const stride = area.width + 1;
+
+    // Uint32 tables wrap around on very large images, but window sums stay below 2^32,
+    // so differences taken modulo 2^32 (>>> 0) are still exact
+    const satR = new Uint32Array(stride * (area.height + 1));
+    const satG = new Uint32Array(stride * (area.height + 1));
+    const satB = new Uint32Array(stride * (area.height + 1));
+    for (let ay = 0; ay < area.height; ay++) {
+        let rowR = 0, rowG = 0, rowB = 0;
+        for (let ax = 0; ax < area.width; ax++) {
+            const srcIdx = ((area.y + ay) * imageWidth + (area.x + ax)) * 4;
+            rowR += sourcePixels[srcIdx];
+            rowG += sourcePixels[srcIdx + 1];
+            rowB += sourcePixels[srcIdx + 2];
+            const i = (ay + 1) * stride + (ax + 1);
+            satR[i] = satR[i - stride] + rowR;
+            satG[i] = satG[i - stride] + rowG;
+            satB[i] = satB[i - stride] + rowB;
+        }
+    }
+
+    for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+        for (let x = bounds.x; x < bounds.x + bounds.width; x++) {
+            if (groupMask && !groupMask[y * imageWidth + x]) continue;
+
+            const x0 = Math.max(0, x - radius) - area.x, x1 = Math.min(imageWidth, x + radius + 1) - area.x;
+            const y0 = Math.max(0, y - radius) - area.y, y1 = Math.min(imageHeight, y + radius + 1) - area.y;
+            const count = (x1 - x0) * (y1 - y0);
+            const a = y0 * stride + x0, b = y0 * stride + x1, c = y1 * stride + x0, d = y1 * stride + x1;
+
+            // Alpha is left untouched to preserve the original transparency of the region
+            const targetIdx = (y * imageWidth + x) * 4;
+            targetPixels[targetIdx]     = ((satR[d] - satR[b] - satR[c] + satR[a]) >>> 0) / count;
+            targetPixels[targetIdx + 1] = ((satG[d] - satG[b] - satG[c] + satG[a]) >>> 0) / count;
+            targetPixels[targetIdx + 2] = ((satB[d] - satB[b] - satB[c] + satB[a]) >>> 0) / count;
+        }
+    }
+}
+
+// Gaussian blur of the masked pixels (sigma = radius / 3, so the kernel covers three standard deviations),
+// approximated by three box blurs in a row so it also takes constant time per pixel. The first two passes
+// blur everything the passes after them read, the last one only the masked pixels. The box radii add up
+// to at most the radius, so the blur reaches no further than the radius (which tiling relies on).
+function applyGaussianBlur(targetPixels, sourcePixels, groupMask, bounds, radius, imageWidth, imageHeight) {
+    const [first, second, third] = gaussianBoxRadii(radius);
+    const firstPass = new Uint8ClampedArray(sourcePixels);
+    applyBoxBlur(firstPass, sourcePixels, null, expandBounds(bounds, second + third, imageWidth, imageHeight), first, imageWidth, imageHeight);
+    const secondPass = new Uint8ClampedArray(firstPass);
+    applyBoxBlur(secondPass, firstPass, null, expandBounds(bounds, third, imageWidth, imageHeight), second, imageWidth, imageHeight);
+    applyBoxBlur(targetPixels, secondPass, groupMask, bounds, third, imageWidth, imageHeight);
+}
+
+// Radii of three box blurs whose variances add up to (about) that of the Gaussian: the ideal box width
+// sqrt(12 sigma^2 / 3 + 1) rounded down to an odd width for some of them and up for the rest
+function gaussianBoxRadii(radius) {
+    const variance = Math.max(0.5, radius / 3) ** 2;
+    let lowerWidth = Math.floor(Math.sqrt(4 * variance + 1));
+    if (lowerWidth % 2 === 0) lowerWidth--;
+    const lowerCount = Math.round((12 * variance - 3 * lowerWidth * lowerWidth - 12 * lowerWidth - 9) / (-4 * lowerWidth - 4));
+    return [0, 1, 2].map((pass) => ((pass < lowerCount ? lowerWidth : lowerWidth + 2) - 1) / 2);
+}
+
+// Grow a rectangle by the blur radius on every side, clipped to the image
+function expandBounds(bounds, radius, imageWidth, imageHeight) {
+    const x = Math.max(0, bounds.x - radius);
+    const y = Math.max(0, bounds.y - radius);
+    return {
+        x,
+        y,
+        width: Math.min(imageWidth, bounds.x + bounds.width + radius) - x,
+        height: Math.min(imageHeight, bounds.y + bounds.height + radius) - y
+    };
+}
+
+// Bounding box of each separate masked area
+function areaBounds(labels, count, imageWidth) {
+    const minX = new Array(count).fill(Infinity), minY = new Array(count).fill(Infinity);
+    const maxX = new Array(count).fill(-1), maxY = new Array(count).fill(-1);
+    for (let i = 0; i < labels.length; i++) {
+        const label = labels[i];
+        if (label < 0) continue;
+        const x = i % imageWidth;
+        const y = (i - x) / imageWidth;
+        if (x < minX[label]) minX[label] = x;
+        if (x > maxX[label]) maxX[label] = x;
+        if (y < minY[label]) minY[label] = y;
+        if (y > maxY[label]) maxY[label] = y;
+    }
+    return minX.map((x, label) => ({ x, y: minY[label], width: maxX[label] - x + 1, height: maxY[label] - minY[label] + 1 }));
+}
+
+// options.radius within range, or 0 for the automatic radius
+function getFixedRadius(options) {
+    return Math.min(MAX_BLUR_RADIUS, Math.round(options.radius || 0));
+}
+
+// Blur radius of each area: options.radius when set, otherwise picked from the area's size
+function resolveRadii(bounds, options) {
+    const fixedRadius = getFixedRadius(options);
+    return bounds.map((box) => fixedRadius || calculateBlurRadius(box.width, box.height));
+}
+
+const blurStrategy = {
+    id: "blur",
+    label: "Blur",
+    actionLabel: "Apply Blur",
+    livePreview: true,
+    params: [
+        { name: "kernel", label: "Kernel", input: "select", choices: BLUR_KERNELS, defaultValue: "box" },
+        // 0 picks a radius per area from its size (see calculateBlurRadius)
+        { name: "radius", label: "Radius", min: 0, max: MAX_BLUR_RADIUS, step: 1, defaultValue: 0, zeroLabel: "Auto" }
+    ],
+    // Each pixel only reads pixels within the radius, so bands of the image can be blurred separately.
+    // That needs a fixed radius: the automatic one depends on the size of each whole area, which takes
+    // labelling the mask, so it runs as one job and the labelling happens in the worker.
+    tiling(pixels, mask, options) {
+        const radius = getFixedRadius(options);
+        return radius ? { halo: radius, options: { ...options, radius } } : null;
+    },
+    apply(pixels, mask, options) {
+        const { data: sourcePixels, width: imageWidth, height: imageHeight } = pixels;
+        const processedPixels = new Uint8ClampedArray(sourcePixels);
+        const { labels, count } = labelMaskComponents(mask);
+        if (count === 0) return processedPixels;
+
+        const bounds = areaBounds(labels, count, imageWidth);
+        const radii = resolveRadii(bounds, options);
+        const blur = options.kernel === "gaussian" ? applyGaussianBlur : applyBoxBlur;
+
+        // Areas sharing a radius are blurred together in one pass
+        new Set(radii).forEach((radius) => {
+            const groupMask = new Uint8Array(labels.length);
+            let x0 = imageWidth, y0 = imageHeight, x1 = 0, y1 = 0;
+            for (let i = 0; i < labels.length; i++) {
+                if (labels[i] >= 0 && radii[labels[i]] === radius) groupMask[i] = 1;
+            }
+            bounds.forEach((box, label) => {
+                if (radii[label] !== radius) return;
+                x0 = Math.min(x0, box.x);
+                y0 = Math.min(y0, box.y);
+                x1 = Math.max(x1, box.x + box.width);
+                y1 = Math.max(y1, box.y + box.height);
+            });
+            const groupBounds = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+            blur(processedPixels, sourcePixels, groupMask, groupBounds, radius, imageWidth, imageHeight);
+        });
+        return processedPixels;
+    }
+};
+
+export default blurStrategy;
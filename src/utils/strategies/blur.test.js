@@ -0,0 +1,97 @@
+import blurStrategy from "./blur";
+import { createMask } from "../mask";
+
+// Image whose red channel is the pixel index, green a fixed value and alpha varying
+function makePixels(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data[i * 4] = i * 10;
+        data[i * 4 + 1] = 100;
+        data[i * 4 + 2] = (i * 37) % 256;
+        data[i * 4 + 3] = 200 + (i % 50);
+    }
+    return { data, width, height };
+}
+
+// Mean of a channel over the window of the given radius around (x, y), clipped to the image
+function windowMean(pixels, x, y, radius, channel) {
+    let sum = 0, count = 0;
+    for (let wy = Math.max(0, y - radius); wy <= Math.min(pixels.height - 1, y + radius); wy++) {
+        for (let wx = Math.max(0, x - radius); wx <= Math.min(pixels.width - 1, x + radius); wx++) {
+            sum += pixels.data[(wy * pixels.width + wx) * 4 + channel];
+            count++;
+        }
+    }
+    return sum / count;
+}
+
+describe("box blur", () => {
+    const pixels = makePixels(5, 4);
+    const mask = createMask(5, 4);
+    const corners = [[0, 0], [4, 0], [0, 3], [4, 3], [2, 1]];
+    corners.forEach(([x, y]) => { mask.data[y * 5 + x] = 1; });
+    const result = blurStrategy.apply(pixels, mask, { kernel: "box", radius: 1 });
+
+    test.each(corners)("averages the window clipped to the image at (%i, %i)", (x, y) => {
+        const i = (y * 5 + x) * 4;
+        for (let channel = 0; channel < 3; channel++) {
+            // Stored the way the result array stores it (rounding halves to even)
+            expect(result[i + channel]).toBe(new Uint8ClampedArray([windowMean(pixels, x, y, 1, channel)])[0]);
+        }
+    });
+
+    test("leaves alpha and unmasked pixels alone", () => {
+        for (let i = 0; i < 5 * 4; i++) {
+            expect(result[i * 4 + 3]).toBe(pixels.data[i * 4 + 3]);
+            if (!mask.data[i]) {
+                expect(Array.from(result.subarray(i * 4, i * 4 + 4))).toEqual(Array.from(pixels.data.subarray(i * 4, i * 4 + 4)));
+            }
+        }
+    });
+});
+
+describe("gaussian blur", () => {
+    // A bright square on a dark background, blurred inside and around it
+    const size = 60;
+    const pixels = { data: new Uint8ClampedArray(size * size * 4), width: size, height: size };
+    for (let i = 0; i < size * size; i++) {
+        const x = i % size, y = Math.floor(i / size);
+        pixels.data.fill(x >= 20 && x < 40 && y >= 20 && y < 40 ? 240 : 10, i * 4, i * 4 + 3);
+        pixels.data[i * 4 + 3] = 255;
+    }
+    const mask = createMask(size, size);
+    mask.data.fill(1);
+
+    // Exact Gaussian (sigma = radius / 3) of the red channel at (x, y), away from the image edges
+    const gaussianAt = (x, y, radius) => {
+        const sigma = radius / 3;
+        let sum = 0, weightSum = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const weight = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+                sum += pixels.data[((y + dy) * size + x + dx) * 4] * weight;
+                weightSum += weight;
+            }
+        }
+        return sum / weightSum;
+    };
+
+    test.each([6, 12])("stays close to the exact kernel at radius %i", (radius) => {
+        const result = blurStrategy.apply(pixels, mask, { kernel: "gaussian", radius });
+        for (let y = 15; y < 45; y += 3) {
+            for (let x = 15; x < 45; x += 3) {
+                expect(Math.abs(result[(y * size + x) * 4] - gaussianAt(x, y, radius))).toBeLessThan(8);
+            }
+        }
+    });
+});
+
+describe("blur tiling", () => {
+    test("splits into bands with the fixed radius as the halo", () => {
+        expect(blurStrategy.tiling(null, null, { radius: 6 })).toEqual({ halo: 6, options: { radius: 6 } });
+    });
+
+    test("runs the automatic radius as one job", () => {
+        expect(blurStrategy.tiling(null, null, { radius: 0 })).toBeNull();
+    });
+});
@@ -0,0 +1,168 @@
+import { getMaskBounds, labelMaskComponents } from "../mask";
+
+const DEFAULT_SOLID_COLOR = "#808080";
+const SURROUND_WIDTH = 3; // Thickness (px) of the band around each area that is averaged
+
+// Fill every masked pixel with one colour chosen by the user
+export const solidFillStrategy = {
+    id: "fill-solid",
+    label: "Solid color fill",
+    actionLabel: "Apply Fill",
+    livePreview: true,
+    params: [
+        { name: "color", label: "Color", input: "color", defaultValue: DEFAULT_SOLID_COLOR }
+    ],
+    tiling() {
+        return { halo: 0 };
+    },
+    apply(pixels, mask, options) {
+        const processedPixels = new Uint8ClampedArray(pixels.data);
+        const [r, g, b] = parseHexColor(options.color ?? DEFAULT_SOLID_COLOR);
+        for (let i = 0; i < mask.data.length; i++) {
+            if (!mask.data[i]) continue;
+            processedPixels[i * 4] = r;
+            processedPixels[i * 4 + 1] = g;
+            processedPixels[i * 4 + 2] = b;
+        }
+        return processedPixels;
+    }
+};
+
+// Fill each separate masked area with the average colour of the pixels just around it
+export const averageFillStrategy = {
+    id: "fill-average",
+    label: "Average color fill",
+    actionLabel: "Apply Fill",
+    livePreview: true,
+    params: [],
+    apply(pixels, mask) {
+        const { data: sourcePixels, width: imageWidth, height: imageHeight } = pixels;
+        const processedPixels = new Uint8ClampedArray(sourcePixels);
+        const { labels, count } = labelMaskComponents(mask);
+        if (count === 0) return processedPixels;
+
+        // Sum the unmasked pixels within SURROUND_WIDTH of each area
+        const sums = new Float64Array(count * 4); // r, g, b, samples per area
+        const bounds = getMaskBounds(mask);
+        const y0 = Math.max(0, bounds.y - SURROUND_WIDTH);
+        const y1 = Math.min(imageHeight, bounds.y + bounds.height + SURROUND_WIDTH);
+        const x0 = Math.max(0, bounds.x - SURROUND_WIDTH);
+        const x1 = Math.min(imageWidth, bounds.x + bounds.width + SURROUND_WIDTH);
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const i = y * imageWidth + x;
+                if (mask.data[i]) continue;
+                const label = nearbyLabel(labels, x, y, imageWidth, imageHeight);
+                if (label < 0) continue;
+                sums[label * 4] += sourcePixels[i * 4];
+                sums[label * 4 + 1] += sourcePixels[i * 4 + 1];
+                sums[label * 4 + 2] += sourcePixels[i * 4 + 2];
+                sums[label * 4 + 3]++;
+            }
+        }
+
+        for (let i = 0; i < mask.data.length; i++) {
+            const label = labels[i];
+            if (label < 0) continue;
+            const samples = sums[label * 4 + 3];
+            if (samples === 0) continue; // Area covers the whole image; nothing to average
+            processedPixels[i * 4] = sums[label * 4] / samples;
+            processedPixels[i * 4 + 1] = sums[label * 4 + 1] / samples;
+            processedPixels[i * 4 + 2] = sums[label * 4 + 2] / samples;
+        }
+        return processedPixels;
+    }
+};
+
+// Stretch the colours on the edge of each area inwards: every masked pixel blends the nearest
+// unmasked pixels to its left, right, top and bottom, weighted by inverse distance
+export const edgeFillStrategy = {
+    id: "fill-edge",
+    label: "Edge color fill",
+    actionLabel: "Apply Fill",
+    livePreview: true,
+    params: [],
+    apply(pixels, mask) {
+        const { data: sourcePixels, width: imageWidth, height: imageHeight } = pixels;
+        const processedPixels = new Uint8ClampedArray(sourcePixels);
+        const bounds = getMaskBounds(mask);
+        if (!bounds) return processedPixels;
+
+        const boxSize = bounds.width * bounds.height;
+        const sums = new Float32Array(boxSize * 3);
+        const weights = new Float32Array(boxSize);
+
+        const addSample = (boxIdx, pixelIdx, distance) => {
+            const weight = 1 / distance;
+            sums[boxIdx * 3] += sourcePixels[pixelIdx * 4] * weight;
+            sums[boxIdx * 3 + 1] += sourcePixels[pixelIdx * 4 + 1] * weight;
+            sums[boxIdx * 3 + 2] += sourcePixels[pixelIdx * 4 + 2] * weight;
+            weights[boxIdx] += weight;
+        };
+
+        // Horizontal runs of masked pixels, and the edge pixels on either side of each run
+        for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+            let x = bounds.x;
+            while (x < bounds.x + bounds.width) {
+                if (!mask.data[y * imageWidth + x]) { x++; continue; }
+                const runStart = x;
+                while (x < imageWidth && mask.data[y * imageWidth + x]) x++;
+                const left = runStart - 1, right = x;
+                for (let rx = runStart; rx < x; rx++) {
+                    const boxIdx = (y - bounds.y) * bounds.width + (rx - bounds.x);
+                    if (left >= 0) addSample(boxIdx, y * imageWidth + left, rx - left);
+                    if (right < imageWidth) addSample(boxIdx, y * imageWidth + right, right - rx);
+                }
+            }
+        }
+
+        // Vertical runs
+        for (let x = bounds.x; x < bounds.x + bounds.width; x++) {
+            let y = bounds.y;
+            while (y < bounds.y + bounds.height) {
+                if (!mask.data[y * imageWidth + x]) { y++; continue; }
+                const runStart = y;
+                while (y < imageHeight && mask.data[y * imageWidth + x]) y++;
+                const top = runStart - 1, bottom = y;
+                for (let ry = runStart; ry < y; ry++) {
+                    const boxIdx = (ry - bounds.y) * bounds.width + (x - bounds.x);
+                    if (top >= 0) addSample(boxIdx, top * imageWidth + x, ry - top);
+                    if (bottom < imageHeight) addSample(boxIdx, bottom * imageWidth + x, bottom - ry);
+                }
+            }
+        }
+
+        for (let by = 0; by < bounds.height; by++) {
+            for (let bx = 0; bx < bounds.width; bx++) {
+                const boxIdx = by * bounds.width + bx;
+                if (weights[boxIdx] === 0) continue;
+                const idx = ((bounds.y + by) * imageWidth + (bounds.x + bx)) * 4;
+                processedPixels[idx] = sums[boxIdx * 3] / weights[boxIdx];
+                processedPixels[idx + 1] = sums[boxIdx * 3 + 1] / weights[boxIdx];
+                processedPixels[idx + 2] = sums[boxIdx * 3 + 2] / weights[boxIdx];
+            }
+        }
+        return processedPixels;
+    }
+};
+
+// Label of a masked pixel within SURROUND_WIDTH of (x, y), or -1 if none
+function nearbyLabel(labels, x, y, imageWidth, imageHeight) {
+    for (let dy = -SURROUND_WIDTH; dy <= SURROUND_WIDTH; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= imageHeight) continue;
+        for (let dx = -SURROUND_WIDTH; dx <= SURROUND_WIDTH; dx++) {
+            const nx = x + dx;
+            if (nx < 0 || nx >= imageWidth) continue;
+            const label = labels[ny * imageWidth + nx];
+            if (label >= 0) return label;
+        }
+    }
+    return -1;
+}
+
+function parseHexColor(hex) {
+    const value = parseInt(String(hex).replace("#", ""), 16);
+    if (Number.isNaN(value)) return [128, 128, 128];
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
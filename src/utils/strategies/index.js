@@ -0,0 +1,23 @@
+import { registerStrategy } from "./registry";
+import blurStrategy from "./blur";
+import pixelateStrategy from "./pixelate";
+import { solidFillStrategy, averageFillStrategy, edgeFillStrategy } from "./colorFill";
+import inpaintStrategy from "./inpaint";
+import patchStrategy from "./patch";
+import unblendStrategy from "./unblend";
+import temporalStrategy from "./temporal";
+
+// Built-in strategies, in the order the pickers list them
+[
+    blurStrategy,
+    pixelateStrategy,
+    averageFillStrategy,
+    edgeFillStrategy,
+    solidFillStrategy,
+    inpaintStrategy,
+    patchStrategy,
+    unblendStrategy,
+    temporalStrategy
+].forEach(registerStrategy);
+
+export { registerStrategy, getStrategy, listStrategies, applyStrategy, DEFAULT_STRATEGY_ID } from "./registry";
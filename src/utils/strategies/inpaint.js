@@ -0,0 +1,16 @@
+import { diffusionInpaint } from "../inpainting";
+
+// Rebuild the masked pixels from their surroundings (see diffusionInpaint)
+const inpaintStrategy = {
+    id: "inpaint",
+    label: "Inpaint (fill from surroundings)",
+    actionLabel: "Apply Fill",
+    params: [],
+    apply(pixels, mask, options) {
+        const processedPixels = new Uint8ClampedArray(pixels.data);
+        diffusionInpaint(processedPixels, pixels.data, mask, pixels.width, pixels.height, options);
+        return processedPixels;
+    }
+};
+
+export default inpaintStrategy;
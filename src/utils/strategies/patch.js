@@ -0,0 +1,20 @@
+import { exemplarFill, DEFAULT_PATCH_SIZE, DEFAULT_SEARCH_RADIUS, DEFAULT_SEED } from "../patchFill";
+
+// Copy matching texture from outside the mask into it (see exemplarFill)
+const patchStrategy = {
+    id: "patch",
+    label: "Content-aware fill (texture)",
+    actionLabel: "Apply Fill",
+    params: [
+        { name: "patchSize", label: "Patch size", min: 3, max: 15, step: 2, defaultValue: DEFAULT_PATCH_SIZE },
+        { name: "searchRadius", label: "Search radius", min: 10, max: 200, step: 5, defaultValue: DEFAULT_SEARCH_RADIUS },
+        { name: "seed", label: "Seed", min: 1, max: 9999, step: 1, defaultValue: DEFAULT_SEED, input: "number" }
+    ],
+    apply(pixels, mask, options) {
+        const processedPixels = new Uint8ClampedArray(pixels.data);
+        exemplarFill(processedPixels, pixels.data, mask, pixels.width, pixels.height, options);
+        return processedPixels;
+    }
+};
+
+export default patchStrategy;
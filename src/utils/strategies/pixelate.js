@@ -0,0 +1,66 @@
+import { getMaskBounds } from "../mask";
+
+export const DEFAULT_BLOCK_SIZE = 12;
+
+// Mosaic: the image is divided into a grid of blocks and every masked pixel takes
+// the average colour of the block it falls in
+const pixelateStrategy = {
+    id: "pixelate",
+    label: "Pixelate (mosaic)",
+    actionLabel: "Apply Mosaic",
+    livePreview: true,
+    params: [
+        { name: "blockSize", label: "Block size", min: 2, max: 64, step: 1, defaultValue: DEFAULT_BLOCK_SIZE }
+    ],
+    // Bands aligned to the block grid, with a block of margin, give identical blocks
+    tiling(pixels, mask, options) {
+        const blockSize = Math.max(1, Math.round(options.blockSize ?? DEFAULT_BLOCK_SIZE));
+        return { halo: blockSize, align: blockSize };
+    },
+    apply(pixels, mask, options) {
+        const { data: sourcePixels, width: imageWidth, height: imageHeight } = pixels;
+        const processedPixels = new Uint8ClampedArray(sourcePixels);
+        const bounds = getMaskBounds(mask);
+        if (!bounds) return processedPixels;
+
+        const blockSize = Math.max(1, Math.round(options.blockSize ?? DEFAULT_BLOCK_SIZE));
+
+        // Only blocks overlapping the mask bounds need visiting
+        const firstBlockX = Math.floor(bounds.x / blockSize) * blockSize;
+        const firstBlockY = Math.floor(bounds.y / blockSize) * blockSize;
+
+        for (let blockY = firstBlockY; blockY < bounds.y + bounds.height; blockY += blockSize) {
+            for (let blockX = firstBlockX; blockX < bounds.x + bounds.width; blockX += blockSize) {
+                const x1 = Math.min(imageWidth, blockX + blockSize);
+                const y1 = Math.min(imageHeight, blockY + blockSize);
+
+                let r = 0, g = 0, b = 0, count = 0, touchesMask = false;
+                for (let y = blockY; y < y1; y++) {
+                    for (let x = blockX; x < x1; x++) {
+                        const idx = (y * imageWidth + x) * 4;
+                        r += sourcePixels[idx];
+                        g += sourcePixels[idx + 1];
+                        b += sourcePixels[idx + 2];
+                        count++;
+                        if (mask.data[y * imageWidth + x]) touchesMask = true;
+                    }
+                }
+                if (!touchesMask) continue;
+
+                r /= count; g /= count; b /= count;
+                for (let y = blockY; y < y1; y++) {
+                    for (let x = blockX; x < x1; x++) {
+                        if (!mask.data[y * imageWidth + x]) continue;
+                        const idx = (y * imageWidth + x) * 4;
+                        processedPixels[idx] = r;
+                        processedPixels[idx + 1] = g;
+                        processedPixels[idx + 2] = b;
+                    }
+                }
+            }
+        }
+        return processedPixels;
+    }
+};
+
+export default pixelateStrategy;
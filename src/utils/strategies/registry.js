@@ -0,0 +1,52 @@
+// Registry of watermark removal strategies shared by ImageProcessor and VideoProcessor.
+//
+// A strategy is an object:
+//   id           unique key, passed as options.strategy to the processors
+//   label        name shown in the strategy pickers
+//   actionLabel  text for the apply button (e.g. "Apply Blur")
+//   params       tunable options: { name, label, min, max, step, defaultValue, input?, choices?, zeroLabel? }
+//                (input is "range" by default, or "number" / "color" / "select" with choices: [{ value, label }];
+//                zeroLabel is shown instead of 0 on a range, e.g. "Auto")
+//   livePreview  true if fast enough to rerun while a region is being dragged
+//   needsLogo    true if it works from an uploaded watermark logo, passed as options.logo (see unblend.js);
+//                only offered where a logo can be placed
+//   needsFrames  true if it rebuilds pixels from nearby video frames, passed as options.frames (see temporal.js);
+//                only offered for video. Such strategies also define frameWindow(options), returning
+//                { reach, spacing }: how many frames on either side it wants and how many frames apart.
+//   tiling(pixels, mask, options)
+//                optional; lets WorkerPool split the work into horizontal bands. Returns null when the
+//                strategy can't be split for these inputs, otherwise { halo, align?, options? }: the margin
+//                each band needs around it, a grid the bands must start on, and options to use for every
+//                band (e.g. with values that depend on the whole mask resolved up front).
+//   apply(pixels, mask, options)
+//                pixels is ImageData-like ({ data, width, height }), mask a per-pixel mask of the same size.
+//                Returns a new Uint8ClampedArray; only masked pixels may differ from pixels.data.
+//                Long-running strategies may report progress (0 to 1) through options.onProgress.
+const strategies = new Map();
+
+export const DEFAULT_STRATEGY_ID = "blur";
+
+export function registerStrategy(strategy) {
+    if (!strategy || !strategy.id || typeof strategy.apply !== "function") {
+        throw new Error("A removal strategy needs an id and an apply(pixels, mask, options) function.");
+    }
+    strategies.set(strategy.id, { params: [], livePreview: false, needsLogo: false, needsFrames: false, actionLabel: "Apply", ...strategy });
+}
+
+// Look up a strategy (the default one when no id is given). Returns null for unknown ids.
+export function getStrategy(id) {
+    return strategies.get(id || DEFAULT_STRATEGY_ID) || null;
+}
+
+// Every registered strategy, in registration order
+export function listStrategies() {
+    return Array.from(strategies.values());
+}
+
+export function applyStrategy(id, pixels, mask, options = {}) {
+    const strategy = getStrategy(id);
+    if (!strategy) {
+        throw new Error(`Unknown removal strategy "${id}".`);
+    }
+    return strategy.apply(pixels, mask, options);
+}
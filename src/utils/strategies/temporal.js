@@ -0,0 +1,32 @@
+import { temporalFill } from "../temporalFill";
+
+const DEFAULT_REACH = 6;
+const DEFAULT_SPACING = 3;
+
+// Rebuild the background behind a static watermark from nearby video frames (see temporalFill).
+// options.frames are the nearby frames, cropped around the mask (see cropFrame); without them (e.g. on the
+// single-frame preview) the whole mask is inpainted from its surroundings.
+const temporalStrategy = {
+    id: "temporal",
+    label: "Rebuild from nearby frames (video)",
+    actionLabel: "Rebuild Background",
+    needsFrames: true,
+    params: [
+        { name: "reach", label: "Frames each side", min: 1, max: 12, step: 1, defaultValue: DEFAULT_REACH },
+        { name: "spacing", label: "Frame spacing", min: 1, max: 10, step: 1, defaultValue: DEFAULT_SPACING }
+    ],
+    // The nearby frames to pass: reach frames on either side, spacing frames apart
+    frameWindow(options) {
+        return {
+            reach: Math.max(1, Math.round(options.reach ?? DEFAULT_REACH)),
+            spacing: Math.max(1, Math.round(options.spacing ?? DEFAULT_SPACING))
+        };
+    },
+    apply(pixels, mask, options) {
+        const processedPixels = new Uint8ClampedArray(pixels.data);
+        temporalFill(processedPixels, pixels.data, mask, pixels.width, pixels.height, options.frames || []);
+        return processedPixels;
+    }
+};
+
+export default temporalStrategy;
@@ -0,0 +1,28 @@
+import { unblendLogo, estimateLogoOpacity } from "../logoUnblend";
+
+// Recover the pixels under a known semi-transparent logo by inverting the alpha blend (see unblendLogo).
+// options.logo is { image, x, y }: the logo's pixels (ImageData-like, with alpha) and its placement.
+const unblendStrategy = {
+    id: "unblend",
+    label: "Reverse blend (known logo)",
+    actionLabel: "Remove Logo",
+    needsLogo: true,
+    params: [
+        // 0 estimates the opacity from the image (see estimateLogoOpacity)
+        { name: "opacity", label: "Opacity %", min: 0, max: 100, step: 1, defaultValue: 0, zeroLabel: "Auto" }
+    ],
+    apply(pixels, mask, options) {
+        const { logo } = options;
+        if (!logo) {
+            throw new Error("Please upload the watermark logo first.");
+        }
+        const opacity = options.opacity
+            ? options.opacity / 100
+            : estimateLogoOpacity(pixels, logo.image, logo.x, logo.y);
+        const processedPixels = new Uint8ClampedArray(pixels.data);
+        unblendLogo(processedPixels, pixels.data, mask, pixels.width, pixels.height, logo.image, logo.x, logo.y, opacity);
+        return processedPixels;
+    }
+};
+
+export default unblendStrategy;
@@ -0,0 +1,14 @@
+import { applyStrategy } from "./strategies";
+
+// Worker side of WorkerPool: runs one removal strategy on the pixels it is sent and transfers
+// the result back. Progress reported by the strategy is forwarded as "progress" messages.
+globalThis.onmessage = (event) => {
+    const { jobId, strategy, options, width, height, pixels, mask } = event.data;
+    try {
+        const onProgress = (progress) => globalThis.postMessage({ type: "progress", jobId, progress });
+        const result = applyStrategy(strategy, { data: pixels, width, height }, { width, height, data: mask }, { ...options, onProgress });
+        globalThis.postMessage({ type: "done", jobId, pixels: result }, [result.buffer]);
+    } catch (error) {
+        globalThis.postMessage({ type: "error", jobId, message: error.message });
+    }
+};
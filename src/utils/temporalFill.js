@@ -0,0 +1,248 @@
+import { getMaskBounds } from "./mask";
+import { diffusionInpaint } from "./inpainting";
+
+// Rebuild the pixels behind a static watermark in a video frame from nearby frames.
+// When the camera moves, the background the watermark hides on one frame shows on others. Each nearby frame
+// is aligned to this one by the shift that best matches the pixels around the watermark (a ring just outside
+// the mask), its brightness is matched to this frame over that ring, and every masked pixel takes the
+// per-channel median of the aligned frames that show background there (pixels masked on a nearby frame are
+// never borrowed). The median keeps the fill sharp, like real footage, while ignoring a frame or two where
+// something passes by. Only pixels that no frame shows are inpainted from their surroundings.
+
+const MAX_SHIFT = 32; // Largest movement (pixels) looked for between this frame and a nearby one
+const RING_WIDTH = 8; // Pixels around the mask compared when aligning
+const MAX_RING_SAMPLES = 4000; // Ring pixels compared per shift; larger rings are sampled evenly
+const COARSE_STEP = 4; // Shifts are searched on this grid first (on smoothed grey levels), then refined
+const MAX_ALIGN_ERROR = 12; // Mean grey difference above which a nearby frame doesn't line up with this one
+export const TEMPORAL_MARGIN = MAX_SHIFT + RING_WIDTH;
+
+// Rectangle of the frame that nearby frames are cropped to for this mask: its bounds plus TEMPORAL_MARGIN.
+// Returns null for an empty mask.
+export function temporalCropBox(mask) {
+    const bounds = getMaskBounds(mask);
+    if (!bounds) return null;
+    const x = Math.max(0, bounds.x - TEMPORAL_MARGIN);
+    const y = Math.max(0, bounds.y - TEMPORAL_MARGIN);
+    return {
+        x,
+        y,
+        width: Math.min(mask.width, bounds.x + bounds.width + TEMPORAL_MARGIN) - x,
+        height: Math.min(mask.height, bounds.y + bounds.height + TEMPORAL_MARGIN) - y
+    };
+}
+
+// A nearby frame as temporalFill takes it: the crop box of its pixels ({ x, y, width, height, data }, in frame
+// coordinates) and of its own watermark mask (mask: Uint8Array, or null when nothing on it is masked)
+export function cropFrame(frameData, frameMask, box) {
+    const data = new Uint8ClampedArray(box.width * box.height * 4);
+    const mask = frameMask ? new Uint8Array(box.width * box.height) : null;
+    for (let y = 0; y < box.height; y++) {
+        const rowStart = (box.y + y) * frameData.width + box.x;
+        data.set(frameData.data.subarray(rowStart * 4, (rowStart + box.width) * 4), y * box.width * 4);
+        if (mask) mask.set(frameMask.data.subarray(rowStart, rowStart + box.width), y * box.width);
+    }
+    return { x: box.x, y: box.y, width: box.width, height: box.height, data, mask };
+}
+
+// Fill the masked pixels of sourcePixels into targetPixels from frames (see cropFrame), falling back to
+// diffusionInpaint where none of them shows the background. Returns the number of pixels filled from frames.
+export function temporalFill(targetPixels, sourcePixels, mask, imageWidth, imageHeight, frames) {
+    const box = temporalCropBox(mask);
+    if (!box) return 0;
+
+    const grey = toGrey(sourcePixels, imageWidth, box);
+    const ring = ringPixels(mask, box);
+    const aligned = frames
+        .map((frame) => alignFrame(frame, grey, sourcePixels, imageWidth, box, ring))
+        .filter(Boolean);
+
+    const holeMask = new Uint8Array(imageWidth * imageHeight);
+    const reds = new Float32Array(aligned.length);
+    const greens = new Float32Array(aligned.length);
+    const blues = new Float32Array(aligned.length);
+    let borrowed = 0, holes = 0;
+
+    for (let y = box.y; y < box.y + box.height; y++) {
+        for (let x = box.x; x < box.x + box.width; x++) {
+            const pixelIdx = y * imageWidth + x;
+            if (!mask.data[pixelIdx]) continue;
+
+            let count = 0;
+            for (const { frame, dx, dy, offset } of aligned) {
+                const fx = x + dx - frame.x, fy = y + dy - frame.y;
+                if (fx < 0 || fy < 0 || fx >= frame.width || fy >= frame.height) continue;
+                const fi = fy * frame.width + fx;
+                if (frame.mask && frame.mask[fi]) continue;
+                reds[count] = frame.data[fi * 4] + offset[0];
+                greens[count] = frame.data[fi * 4 + 1] + offset[1];
+                blues[count] = frame.data[fi * 4 + 2] + offset[2];
+                count++;
+            }
+
+            const targetIdx = pixelIdx * 4;
+            if (count === 0) {
+                holeMask[pixelIdx] = 1;
+                holes++;
+                continue;
+            }
+            targetPixels[targetIdx] = median(reds, count);
+            targetPixels[targetIdx + 1] = median(greens, count);
+            targetPixels[targetIdx + 2] = median(blues, count);
+            targetPixels[targetIdx + 3] = sourcePixels[targetIdx + 3];
+            borrowed++;
+        }
+    }
+
+    // What no frame shows is filled from around it, including the pixels just borrowed
+    if (holes > 0) {
+        diffusionInpaint(targetPixels, new Uint8ClampedArray(targetPixels), { width: imageWidth, height: imageHeight, data: holeMask }, imageWidth, imageHeight);
+    }
+    return borrowed;
+}
+
+// Grey levels of the crop box
+function toGrey(pixels, imageWidth, box) {
+    const grey = new Float32Array(box.width * box.height);
+    for (let y = 0; y < box.height; y++) {
+        for (let x = 0; x < box.width; x++) {
+            const i = ((box.y + y) * imageWidth + box.x + x) * 4;
+            grey[y * box.width + x] = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+        }
+    }
+    return grey;
+}
+
+// Box-local indices of the unmasked pixels within RING_WIDTH of the mask, sampled down to MAX_RING_SAMPLES
+function ringPixels(mask, box) {
+    // Dilate the mask by RING_WIDTH in two passes (rows, then columns)
+    const rows = new Uint8Array(box.width * box.height);
+    for (let y = 0; y < box.height; y++) {
+        let last = -Infinity;
+        for (let x = 0; x < box.width; x++) {
+            if (mask.data[(box.y + y) * mask.width + box.x + x]) last = x;
+            if (x - last <= RING_WIDTH) rows[y * box.width + x] = 1;
+        }
+        last = Infinity;
+        for (let x = box.width - 1; x >= 0; x--) {
+            if (mask.data[(box.y + y) * mask.width + box.x + x]) last = x;
+            if (last - x <= RING_WIDTH) rows[y * box.width + x] = 1;
+        }
+    }
+
+    const ring = [];
+    for (let x = 0; x < box.width; x++) {
+        let last = -Infinity;
+        const near = new Uint8Array(box.height);
+        for (let y = 0; y < box.height; y++) {
+            if (rows[y * box.width + x]) last = y;
+            if (y - last <= RING_WIDTH) near[y] = 1;
+        }
+        last = Infinity;
+        for (let y = box.height - 1; y >= 0; y--) {
+            if (rows[y * box.width + x]) last = y;
+            if (last - y <= RING_WIDTH) near[y] = 1;
+        }
+        for (let y = 0; y < box.height; y++) {
+            if (near[y] && !mask.data[(box.y + y) * mask.width + box.x + x]) ring.push(y * box.width + x);
+        }
+    }
+
+    if (ring.length <= MAX_RING_SAMPLES) return ring;
+    const stride = ring.length / MAX_RING_SAMPLES;
+    return Array.from({ length: MAX_RING_SAMPLES }, (_, k) => ring[Math.floor(k * stride)]);
+}
+
+// The shift (dx, dy) that lines a nearby frame up with this one around the mask, and the colour offset
+// that matches its brightness. Returns null when it doesn't line up.
+function alignFrame(frame, grey, sourcePixels, imageWidth, box, ring) {
+    if (ring.length === 0) return null;
+    const frameGrey = toGrey(frame.data, frame.width, { x: 0, y: 0, width: frame.width, height: frame.height });
+
+    // Mean grey difference over the ring at a shift, or Infinity when too little of the ring can be compared
+    const alignmentError = (thisGrey, otherGrey, dx, dy) => {
+        let sum = 0, count = 0;
+        for (const i of ring) {
+            const x = i % box.width, y = (i - x) / box.width;
+            const fx = box.x + x + dx - frame.x, fy = box.y + y + dy - frame.y;
+            if (fx < 0 || fy < 0 || fx >= frame.width || fy >= frame.height) continue;
+            const fi = fy * frame.width + fx;
+            if (frame.mask && frame.mask[fi]) continue;
+            sum += Math.abs(thisGrey[i] - otherGrey[fi]);
+            count++;
+        }
+        return count * 2 >= ring.length ? sum / count : Infinity;
+    };
+
+    // Coarse search on smoothed grey levels, so a coarse step can't step over the match
+    const smoothGrey = boxBlur(grey, box.width, box.height);
+    const smoothFrameGrey = boxBlur(frameGrey, frame.width, frame.height);
+    let best = { dx: 0, dy: 0, error: Infinity };
+    for (let dy = -MAX_SHIFT; dy <= MAX_SHIFT; dy += COARSE_STEP) {
+        for (let dx = -MAX_SHIFT; dx <= MAX_SHIFT; dx += COARSE_STEP) {
+            const error = alignmentError(smoothGrey, smoothFrameGrey, dx, dy);
+            if (error < best.error) best = { dx, dy, error };
+        }
+    }
+    if (best.error === Infinity) return null;
+
+    const coarse = best;
+    best = { dx: 0, dy: 0, error: Infinity };
+    for (let dy = coarse.dy - COARSE_STEP + 1; dy < coarse.dy + COARSE_STEP; dy++) {
+        for (let dx = coarse.dx - COARSE_STEP + 1; dx < coarse.dx + COARSE_STEP; dx++) {
+            if (Math.abs(dx) > MAX_SHIFT || Math.abs(dy) > MAX_SHIFT) continue;
+            const error = alignmentError(grey, frameGrey, dx, dy);
+            if (error < best.error) best = { dx, dy, error };
+        }
+    }
+    if (best.error > MAX_ALIGN_ERROR) return null;
+
+    // Brightness: the mean colour difference over the ring at that shift
+    const offset = [0, 0, 0];
+    let count = 0;
+    for (const i of ring) {
+        const x = i % box.width, y = (i - x) / box.width;
+        const fx = box.x + x + best.dx - frame.x, fy = box.y + y + best.dy - frame.y;
+        if (fx < 0 || fy < 0 || fx >= frame.width || fy >= frame.height) continue;
+        const fi = fy * frame.width + fx;
+        if (frame.mask && frame.mask[fi]) continue;
+        const si = ((box.y + y) * imageWidth + box.x + x) * 4;
+        for (let c = 0; c < 3; c++) offset[c] += sourcePixels[si + c] - frame.data[fi * 4 + c];
+        count++;
+    }
+    return { frame, dx: best.dx, dy: best.dy, offset: offset.map((sum) => sum / count) };
+}
+
+// Mean over a (2 * radius + 1)-pixel square, radius COARSE_STEP / 2
+function boxBlur(grey, width, height) {
+    const radius = COARSE_STEP >> 1;
+    const rows = new Float32Array(grey.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0, count = 0;
+            for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+                sum += grey[y * width + k];
+                count++;
+            }
+            rows[y * width + x] = sum / count;
+        }
+    }
+    const result = new Float32Array(grey.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0, count = 0;
+            for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+                sum += rows[k * width + x];
+                count++;
+            }
+            result[y * width + x] = sum / count;
+        }
+    }
+    return result;
+}
+
+// Median of the first count values (sorted in place)
+function median(values, count) {
+    const sorted = values.subarray(0, count).sort();
+    const middle = count >> 1;
+    return count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
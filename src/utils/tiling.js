@@ -0,0 +1,66 @@
+// Splitting a strategy's work into horizontal bands for WorkerPool, and putting the results back together.
+
+const MIN_TILE_PIXELS = 256 * 256; // Smaller selections are not worth splitting across workers
+
+// Split the work into jobs. Each tile has a crop rectangle (what the worker receives) and the
+// core rows it is responsible for (what is copied back).
+export function planTiles(strategy, pixels, mask, bounds, options, poolSize) {
+    const { width: imageWidth, height: imageHeight } = pixels;
+    const plan = strategy.tiling ? strategy.tiling(pixels, mask, options) : null;
+
+    if (!plan) {
+        const crop = { x: 0, y: 0, width: imageWidth, height: imageHeight };
+        return [{ crop, coreY: 0, coreHeight: imageHeight, options }];
+    }
+
+    const { halo = 0, align = 1 } = plan;
+    const alignDown = (value) => Math.floor(value / align) * align;
+    const tileCount = bounds.width * bounds.height >= MIN_TILE_PIXELS ? poolSize : 1;
+
+    const startY = alignDown(bounds.y);
+    const endY = bounds.y + bounds.height;
+    const rowsPerTile = Math.ceil(Math.ceil((endY - startY) / tileCount) / align) * align;
+    const cropX = alignDown(Math.max(0, bounds.x - halo));
+    const cropWidth = Math.min(imageWidth, bounds.x + bounds.width + halo) - cropX;
+
+    const tiles = [];
+    for (let coreY = startY; coreY < endY; coreY += rowsPerTile) {
+        const coreEnd = Math.min(endY, coreY + rowsPerTile);
+        const cropY = alignDown(Math.max(0, coreY - halo));
+        const cropHeight = Math.min(imageHeight, coreEnd + halo) - cropY;
+        tiles.push({
+            crop: { x: cropX, y: cropY, width: cropWidth, height: cropHeight },
+            coreY,
+            coreHeight: coreEnd - coreY,
+            options: plan.options || options
+        });
+    }
+    return tiles;
+}
+
+export function cropPixels(data, imageWidth, rect) {
+    const cropped = new Uint8ClampedArray(rect.width * rect.height * 4);
+    for (let y = 0; y < rect.height; y++) {
+        const start = ((rect.y + y) * imageWidth + rect.x) * 4;
+        cropped.set(data.subarray(start, start + rect.width * 4), y * rect.width * 4);
+    }
+    return cropped;
+}
+
+export function cropMask(data, imageWidth, rect) {
+    const cropped = new Uint8Array(rect.width * rect.height);
+    for (let y = 0; y < rect.height; y++) {
+        const start = (rect.y + y) * imageWidth + rect.x;
+        cropped.set(data.subarray(start, start + rect.width), y * rect.width);
+    }
+    return cropped;
+}
+
+// Copy a tile's core rows from the worker result into the full image
+export function pasteTile(targetPixels, imageWidth, tilePixels, tile) {
+    const { crop } = tile;
+    for (let y = tile.coreY; y < tile.coreY + tile.coreHeight; y++) {
+        const tileRow = (y - crop.y) * crop.width * 4;
+        targetPixels.set(tilePixels.subarray(tileRow, tileRow + crop.width * 4), (y * imageWidth + crop.x) * 4);
+    }
+}
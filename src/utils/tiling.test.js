@@ -0,0 +1,67 @@
+import { planTiles, cropPixels, pasteTile } from "./tiling";
+
+const bandStrategy = (plan) => ({ tiling: () => plan });
+
+describe("planTiles", () => {
+    test("gives one whole-image job to strategies that can't be split", () => {
+        const tiles = planTiles({}, { width: 100, height: 80 }, null, { x: 10, y: 10, width: 20, height: 20 }, { a: 1 }, 4);
+        expect(tiles).toEqual([{ crop: { x: 0, y: 0, width: 100, height: 80 }, coreY: 0, coreHeight: 80, options: { a: 1 } }]);
+    });
+
+    test("doesn't split small selections", () => {
+        const tiles = planTiles(bandStrategy({ halo: 2 }), { width: 100, height: 80 }, null, { x: 10, y: 10, width: 20, height: 20 }, {}, 4);
+        expect(tiles).toHaveLength(1);
+        expect(tiles[0].crop).toEqual({ x: 8, y: 8, width: 24, height: 24 });
+    });
+
+    test("covers the selected rows once, with the halo around each band clipped to the image", () => {
+        const bounds = { x: 0, y: 3, width: 600, height: 500 };
+        const tiles = planTiles(bandStrategy({ halo: 5, options: { radius: 5 } }), { width: 600, height: 510 }, null, bounds, {}, 4);
+        expect(tiles).toHaveLength(4);
+
+        let nextRow = bounds.y;
+        tiles.forEach((tile) => {
+            expect(tile.coreY).toBe(nextRow);
+            nextRow += tile.coreHeight;
+            expect(tile.crop.x).toBe(0);
+            expect(tile.crop.width).toBe(600);
+            expect(tile.crop.y).toBe(Math.max(0, tile.coreY - 5));
+            expect(tile.crop.y + tile.crop.height).toBe(Math.min(510, tile.coreY + tile.coreHeight + 5));
+            expect(tile.options).toEqual({ radius: 5 });
+        });
+        expect(nextRow).toBe(bounds.y + bounds.height);
+    });
+
+    test("starts bands and crops on the alignment grid", () => {
+        const tiles = planTiles(bandStrategy({ halo: 3, align: 8 }), { width: 700, height: 700 }, null, { x: 13, y: 21, width: 600, height: 600 }, {}, 3);
+        tiles.forEach((tile) => {
+            expect(tile.coreY % 8).toBe(0);
+            expect(tile.crop.x % 8).toBe(0);
+            expect(tile.crop.y % 8).toBe(0);
+        });
+    });
+});
+
+describe("pasteTile", () => {
+    test("puts the bands back together", () => {
+        const width = 300, height = 260;
+        const source = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < source.length; i++) source[i] = (i * 7) % 251;
+
+        const tiles = planTiles(bandStrategy({ halo: 4 }), { width, height }, null, { x: 20, y: 10, width: 270, height: 245 }, {}, 4);
+        expect(tiles.length).toBeGreaterThan(1);
+        const target = new Uint8ClampedArray(source.length);
+        tiles.forEach((tile) => pasteTile(target, width, cropPixels(source, width, tile.crop), tile));
+
+        for (let y = 0; y < height; y++) {
+            const row = Array.from(target.subarray(y * width * 4, (y + 1) * width * 4));
+            const inCore = y >= 10 && y < 255;
+            if (!inCore) {
+                expect(row.every((value) => value === 0)).toBe(true);
+                continue;
+            }
+            // Only the crop's columns are pasted
+            expect(row.slice(16 * 4, 294 * 4)).toEqual(Array.from(source.subarray((y * width + 16) * 4, (y * width + 294) * 4)));
+        }
+    });
+});
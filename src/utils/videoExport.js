@@ -0,0 +1,137 @@
+// Output formats for processed videos: the container, video codec, bitrate and resolution a user can pick,
+// and the codec strings each encoder (WebCodecs, MediaRecorder) and muxer needs for them.
+
+export const VIDEO_CONTAINERS = [
+    {
+        value: "mp4",
+        label: "MP4",
+        mimeType: "video/mp4",
+        extension: "mp4",
+        // Audio codecs in order of preference
+        audioCodecs: [
+            { codec: "mp4a.40.2", muxerCodec: "aac", recorderCodec: "mp4a.40.2" },
+            { codec: "opus", muxerCodec: "opus", recorderCodec: "opus" }
+        ]
+    },
+    {
+        value: "webm",
+        label: "WebM",
+        mimeType: "video/webm",
+        extension: "webm",
+        audioCodecs: [
+            { codec: "opus", muxerCodec: "A_OPUS", recorderCodec: "opus" }
+        ]
+    }
+];
+
+// muxerCodecs maps each container the codec can be stored in to the muxer's name for it
+export const VIDEO_CODECS = [
+    { value: "h264", label: "H.264", codec: "avc1.640033", recorderCodec: "avc1.640033", muxerCodecs: { mp4: "avc" } },
+    { value: "vp9", label: "VP9", codec: "vp09.00.40.08", recorderCodec: "vp9", muxerCodecs: { mp4: "vp9", webm: "V_VP9" } },
+    { value: "av1", label: "AV1", codec: "av01.0.08M.08", recorderCodec: "av01", muxerCodecs: { mp4: "av1", webm: "V_AV1" } },
+    { value: "vp8", label: "VP8", codec: "vp8", recorderCodec: "vp8", muxerCodecs: { webm: "V_VP8" } }
+];
+
+export const VIDEO_BITRATES = [
+    { value: 1000000, label: "1 Mbps (smaller file)" },
+    { value: 2500000, label: "2.5 Mbps" },
+    { value: 5000000, label: "5 Mbps" },
+    { value: 8000000, label: "8 Mbps" },
+    { value: 16000000, label: "16 Mbps (higher quality)" }
+];
+
+// Output heights; 0 keeps the source size. Videos are never scaled up.
+export const VIDEO_RESOLUTIONS = [
+    { value: 0, label: "Same as source" },
+    { value: 2160, label: "2160p" },
+    { value: 1080, label: "1080p" },
+    { value: 720, label: "720p" },
+    { value: 480, label: "480p" },
+    { value: 360, label: "360p" }
+];
+
+export const DEFAULT_EXPORT_SETTINGS = { container: "webm", codec: "vp9", bitrate: 2500000, resolution: 0 };
+
+// Frame rate assumed when checking support before the real one is known
+const DEFAULT_FRAME_RATE = 30;
+
+export function getContainer(value) {
+    return VIDEO_CONTAINERS.find((container) => container.value === value) || VIDEO_CONTAINERS[0];
+}
+
+export function getVideoCodec(value) {
+    return VIDEO_CODECS.find((codec) => codec.value === value) || VIDEO_CODECS[0];
+}
+
+// Codecs that can be stored in the container
+export function getCodecsForContainer(containerValue) {
+    return VIDEO_CODECS.filter((codec) => codec.muxerCodecs[containerValue]);
+}
+
+// Output frame size for the settings. Dimensions are rounded down to even numbers, which H.264 requires.
+export function getOutputSize(settings, sourceWidth, sourceHeight) {
+    let width = sourceWidth;
+    let height = sourceHeight;
+    if (settings.resolution > 0 && settings.resolution < sourceHeight) {
+        height = settings.resolution;
+        width = Math.round((sourceWidth * height) / sourceHeight);
+    }
+    return { width: Math.max(2, width - (width % 2)), height: Math.max(2, height - (height % 2)) };
+}
+
+// VideoEncoder configuration for the settings at the given output size
+export function getVideoEncoderConfig(settings, width, height, frameRate = DEFAULT_FRAME_RATE) {
+    return {
+        codec: getVideoCodec(settings.codec).codec,
+        width,
+        height,
+        bitrate: settings.bitrate,
+        framerate: frameRate
+    };
+}
+
+// MediaRecorder mime type for the settings, with the container's first audio codec the browser can record
+// when withAudio is set. Resolves to null when the browser can't record the video codec in that container.
+export function getRecorderMimeType(settings, withAudio) {
+    if (typeof MediaRecorder === "undefined" || typeof MediaRecorder.isTypeSupported !== "function") return null;
+
+    const container = getContainer(settings.container);
+    const videoType = `${container.mimeType};codecs=${getVideoCodec(settings.codec).recorderCodec}`;
+    if (withAudio) {
+        for (const { recorderCodec } of container.audioCodecs) {
+            const mimeType = `${videoType},${recorderCodec}`;
+            if (MediaRecorder.isTypeSupported(mimeType)) return mimeType;
+        }
+    }
+    return MediaRecorder.isTypeSupported(videoType) ? videoType : null;
+}
+
+// Which encoders can produce the settings at the given source size. Resolves to { webCodecs, mediaRecorder }.
+export async function checkExportSupport(settings, sourceWidth, sourceHeight) {
+    const codec = getVideoCodec(settings.codec);
+    if (!codec.muxerCodecs[settings.container]) {
+        return { webCodecs: false, mediaRecorder: false };
+    }
+
+    const { width, height } = getOutputSize(settings, sourceWidth, sourceHeight);
+    let webCodecs = false;
+    if (typeof VideoEncoder !== "undefined") {
+        try {
+            webCodecs = (await VideoEncoder.isConfigSupported(getVideoEncoderConfig(settings, width, height))).supported;
+        } catch (error) {
+            webCodecs = false; // Thrown for configurations the browser doesn't understand at all
+        }
+    }
+    return { webCodecs, mediaRecorder: getRecorderMimeType(settings, false) !== null };
+}
+
+// Human-readable name of the settings' format, e.g. "MP4 (H.264)"
+export function describeExportFormat(settings) {
+    return `${getContainer(settings.container).label} (${getVideoCodec(settings.codec).label})`;
+}
+
+// File extension for a processed video Blob, based on its container
+export function getVideoExtension(blob) {
+    const container = VIDEO_CONTAINERS.find((entry) => entry.mimeType === blob.type.split(";")[0]);
+    return container ? container.extension : "webm";
+}
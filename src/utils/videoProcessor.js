@@ -1,17 +1,36 @@
-// Utility functions for video processing and watermark removal (blur-based)
+import { regionToMask, isMask, isMaskEmpty } from "./mask";
+import { applyStrategy, getStrategy } from "./strategies";
+import { getSharedWorkerPool } from "./workerPool";
+import MediaRecorderEncoder from "./mediaRecorderEncoder";
+import WebCodecsEncoder from "./webCodecsEncoder";
+import Mp4Demuxer from "./mp4Demuxer";
+import RegionTracker from "./regionTracker";
+import { temporalCropBox, cropFrame } from "./temporalFill";
+import { resolveRange, sliceAudioBuffer } from "./videoRange";
+import { DEFAULT_EXPORT_SETTINGS, getOutputSize, getRecorderMimeType, describeExportFormat } from "./videoExport";
+
+export const FALLBACK_FRAME_RATE = 30; // Frames per second sampled when the real rate is unknown
+const TRACKING_SAMPLE_RATE = 10; // Frames per second tracking looks at; the keyframes are interpolated in between
+export const MIN_TRACKING_CONFIDENCE = 0.5; // Below this the tracked region has lost the watermark
+const MAX_DECODE_QUEUE = 8; // Encoded samples waiting in the VideoDecoder before reading pauses
+const MAX_FRAME_WINDOW_BYTES = 384 * 1024 * 1024; // Decoded frames held for strategies that read nearby frames
+const MAX_AUDIO_DECODE_BYTES = 1024 * 1024 * 1024; // Source file plus decoded sound held at once to decode the audio
+const NO_AUDIO_ENCODER_NOTICE = "This browser can't encode the audio track in the chosen format, so the processed video has no sound.";
+
+// Utility functions for video processing and watermark removal (using the shared removal strategies)
 class VideoProcessor {
     constructor() {
         this.canvas = document.createElement("canvas");
         this.ctx = this.canvas.getContext("2d");
+        this.workerPool = getSharedWorkerPool();
     }
 
     // Extract a single frame from video at specified time
     async extractFrame(videoElement, timeInSeconds) {
         return new Promise((resolve, reject) => {
-            // Set video to desired time
-            videoElement.currentTime = timeInSeconds;
-
-            videoElement.onseeked = () => {
+            const captureFrame = () => {
+                videoElement.onseeked = null;
+                videoElement.onerror = null;
                 if (videoElement.videoWidth === 0 || videoElement.videoHeight === 0) {
                     // This can happen if metadata is not fully loaded or video is invalid
                     reject(new Error("Video dimensions are zero. Cannot extract frame."));
@@ -33,104 +52,367 @@ class VideoProcessor {
                 resolve(frameData);
             };
 
+            // Already showing that time: no seek (and so no seeked event) is needed
+            if (!videoElement.seeking && videoElement.currentTime === timeInSeconds && videoElement.readyState >= 2 /* HAVE_CURRENT_DATA */) {
+                captureFrame();
+                return;
+            }
+
+            videoElement.onseeked = captureFrame;
             videoElement.onerror = (e) => {
+                videoElement.onseeked = null;
                 reject(new Error("Error seeking video: " + (e.target.error?.message || "Unknown error")));
             };
 
-            // Fallback if onseeked doesn't fire (e.g. if already at that time)
-            // or if the video is already seekable.
-            if (videoElement.readyState >= 2 /* HAVE_CURRENT_DATA */) {
-                 // Directly try to draw if data is available
-                if (videoElement.videoWidth > 0 && videoElement.videoHeight > 0) {
-                    this.canvas.width = videoElement.videoWidth;
-                    this.canvas.height = videoElement.videoHeight;
-                    this.ctx.drawImage(videoElement, 0, 0, this.canvas.width, this.canvas.height);
-                    const frameData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-                    resolve(frameData);
-                }
-            }
+            // Set video to desired time
+            videoElement.currentTime = timeInSeconds;
         });
     }
 
-    // Calculate an appropriate blur radius based on region size
-    calculateBlurRadius(regionWidth, regionHeight) {
-        const w = Math.max(1, regionWidth);
-        const h = Math.max(1, regionHeight);
-        const minDim = Math.min(w, h);
-        let radius = Math.floor(minDim * 0.05);
-        radius = Math.max(2, radius); // Min radius 2px (5x5 kernel)
-        radius = Math.min(10, radius); // Max radius 10px (21x21 kernel)
-        return radius;
+    // Remove the watermark on a single frame with the strategy named by options.strategy (blur by default).
+    // target is an {x, y, width, height} region or a per-pixel mask ({ width, height, data }).
+    blurWatermark(frameData, target, options = {}) {
+        const mask = this.resolveFrameMask(frameData, target);
+        // Return original frame if the target is unusable to avoid errors
+        if (!mask) return frameData;
+
+        const processedPixels = applyStrategy(options.strategy, frameData, mask, options);
+        return new ImageData(processedPixels, frameData.width, frameData.height);
     }
 
-    // Apply a box blur effect to a specified region of the frame
-    applyBlurEffect(targetPixels, sourcePixels, region, radius, imageWidth, imageHeight) {
-        const { x: regionX, y: regionY, width: regionWidth, height: regionHeight } = region;
-
-        for (let y = regionY; y < regionY + regionHeight; y++) {
-            for (let x = regionX; x < regionX + regionWidth; x++) {
-                let r_sum = 0, g_sum = 0, b_sum = 0;
-                let count = 0;
-
-                for (let ky = -radius; ky <= radius; ky++) {
-                    for (let kx = -radius; kx <= radius; kx++) {
-                        const sampleX = x + kx;
-                        const sampleY = y + ky;
-
-                        if (sampleX >= 0 && sampleX < imageWidth && sampleY >= 0 && sampleY < imageHeight) {
-                            const sampleIdx = (sampleY * imageWidth + sampleX) * 4;
-                            r_sum += sourcePixels[sampleIdx];
-                            g_sum += sourcePixels[sampleIdx + 1];
-                            b_sum += sourcePixels[sampleIdx + 2];
-                            count++;
-                        }
-                    }
+    // Same as blurWatermark, with the pixel work done in the shared worker pool (see WorkerPool.applyStrategy
+    // for jobOptions)
+    async blurWatermarkAsync(frameData, target, options = {}, jobOptions = {}) {
+        const mask = this.resolveFrameMask(frameData, target);
+        if (!mask) return frameData;
+
+        const processedPixels = await this.workerPool.applyStrategy(frameData, mask, options.strategy, options, jobOptions);
+        return new ImageData(processedPixels, frameData.width, frameData.height);
+    }
+
+    // Mask of the watermark target on this frame, or null if the target is missing or invalid for it
+    resolveFrameMask(frameData, target) {
+        if (!target) return null;
+        const imageWidth = frameData.width;
+        const imageHeight = frameData.height;
+
+        if (isMask(target)) {
+            if (target.width !== imageWidth || target.height !== imageHeight || isMaskEmpty(target)) {
+                console.error("Invalid watermark mask for blurring:", target.width, target.height, "Frame dimensions:", imageWidth, imageHeight);
+                return null;
+            }
+            return target;
+        }
+
+        const { x, y, width, height } = target;
+        if (x < 0 || y < 0 || x + width > imageWidth || y + height > imageHeight || width <= 0 || height <=0) {
+            console.error("Invalid watermark region for blurring:", target, "Frame dimensions:", imageWidth, imageHeight);
+            return null;
+        }
+        return regionToMask(target, imageWidth, imageHeight);
+    }
+
+    // Follow a region drawn on the frame at startTime through the video (see RegionTracker), forwards to the
+    // end or backwards to the start (trackOptions.direction "forward" or "backward"). Frames are sampled by
+    // seeking the video element. Every tracked sample is reported as a keyframe through
+    // trackOptions.onKeyframe({ time, x, y, width, height, confidence }); tracking stops early when the
+    // confidence drops below MIN_TRACKING_CONFIDENCE or trackOptions.signal (an AbortSignal) is aborted.
+    // Resolves to { lost: { time, confidence } or null, stopped }.
+    async trackRegion(videoElement, startTime, region, trackOptions = {}) {
+        const { direction = "forward", signal, onKeyframe, onProgress } = trackOptions;
+        const duration = videoElement.duration;
+        const step = (direction === "backward" ? -1 : 1) / TRACKING_SAMPLE_RATE;
+        const endTime = direction === "backward" ? 0 : duration;
+        const sampleCount = Math.floor(Math.abs(endTime - startTime) * TRACKING_SAMPLE_RATE);
+
+        const tracker = new RegionTracker(await this.extractFrame(videoElement, startTime), region);
+        for (let i = 1; i <= sampleCount; i++) {
+            if (signal && signal.aborted) return { lost: null, stopped: true };
+
+            // Seeking to the very end of a video shows no frame, so stay a frame short of it
+            const time = Math.min(duration - 1 / FALLBACK_FRAME_RATE, Math.max(0, startTime + i * step));
+            const tracked = tracker.track(await this.extractFrame(videoElement, time));
+            if (tracked.confidence < MIN_TRACKING_CONFIDENCE) {
+                return { lost: { time, confidence: tracked.confidence }, stopped: false };
+            }
+            if (onKeyframe) onKeyframe({ time, ...tracked });
+            if (onProgress) onProgress(i / sampleCount);
+        }
+        return { lost: null, stopped: false };
+    }
+
+    // Processes frames in order on their way to the encoder: push(frameData, timeInSeconds, payload) resolves to
+    // the frames ready to encode ([{ frame, payload }]), and flush() to the rest once the last frame is in.
+    // Most strategies work frame by frame. Those rebuilding from nearby frames (needsFrames) get them as
+    // options.frames, cropped around the mask, so each frame waits until the frames after it have arrived.
+    createFrameQueue(watermarkTarget, options) {
+        const strategy = getStrategy(options.strategy);
+        if (!strategy || !strategy.needsFrames) {
+            return {
+                push: async (frameData, timeInSeconds, payload) => [{
+                    frame: await this.blurWatermarkAsync(frameData, targetAt(watermarkTarget, timeInSeconds), options),
+                    payload
+                }],
+                flush: async () => []
+            };
+        }
+
+        let { reach, spacing } = strategy.frameWindow(options);
+        let span = null; // Frames needed on either side of a frame; set from the size of the first frame
+        const buffered = []; // { frameData, mask, payload }, oldest first
+        let next = 0; // Index in buffered of the next frame to process
+
+        const processAt = async (index) => {
+            const { frameData, mask, payload } = buffered[index];
+            if (!mask) return { frame: frameData, payload };
+            const box = temporalCropBox(mask);
+            const frames = [];
+            for (let k = 1; k <= reach; k++) {
+                for (const nearby of [buffered[index - k * spacing], buffered[index + k * spacing]]) {
+                    if (nearby) frames.push(cropFrame(nearby.frameData, nearby.mask, box));
                 }
+            }
+            return { frame: await this.blurWatermarkAsync(frameData, mask, { ...options, frames }), payload };
+        };
+
+        const processReady = async (isLast) => {
+            const ready = [];
+            while (next < buffered.length && (isLast || buffered.length - 1 - next >= span)) {
+                ready.push(await processAt(next));
+                next++;
+                // Frames further back than span are no longer needed
+                const stale = next - span;
+                if (stale > 0) {
+                    buffered.splice(0, stale);
+                    next -= stale;
+                }
+            }
+            return ready;
+        };
 
-                const targetIdx = (y * imageWidth + x) * 4;
-                if (count > 0) {
-                    targetPixels[targetIdx]     = r_sum / count;
-                    targetPixels[targetIdx + 1] = g_sum / count;
-                    targetPixels[targetIdx + 2] = b_sum / count;
-                    targetPixels[targetIdx + 3] = sourcePixels[targetIdx + 3]; // Preserve original alpha
-                } else {
-                    targetPixels[targetIdx]     = sourcePixels[targetIdx];
-                    targetPixels[targetIdx + 1] = sourcePixels[targetIdx + 1];
-                    targetPixels[targetIdx + 2] = sourcePixels[targetIdx + 2];
-                    targetPixels[targetIdx + 3] = sourcePixels[targetIdx + 3];
+        return {
+            push: async (frameData, timeInSeconds, payload) => {
+                if (span === null) {
+                    // Keep the buffered frames within MAX_FRAME_WINDOW_BYTES, giving up reach before spacing
+                    const maxFrames = Math.max(3, Math.floor(MAX_FRAME_WINDOW_BYTES / frameData.data.length));
+                    while (2 * reach * spacing + 1 > maxFrames && (reach > 1 || spacing > 1)) {
+                        if (reach > 1) reach--;
+                        else spacing--;
+                    }
+                    span = reach * spacing;
                 }
+                buffered.push({ frameData, mask: this.resolveFrameMask(frameData, targetAt(watermarkTarget, timeInSeconds)), payload });
+                return processReady(false);
+            },
+            flush: () => processReady(true)
+        };
+    }
+
+    // Frames per second of the source video, read from the MP4/MOV header where possible (the video element
+    // doesn't expose it). Resolves to FALLBACK_FRAME_RATE for other files.
+    async getFrameRate(sourceFile) {
+        if (isMp4File(sourceFile)) {
+            try {
+                const track = await new Mp4Demuxer(sourceFile).open();
+                if (track && isFinite(track.frameRate) && track.frameRate > 0) return track.frameRate;
+            } catch (error) {
+                console.warn("Could not read the frame rate of the video:", error);
             }
         }
+        return FALLBACK_FRAME_RATE;
     }
 
-    // Blur the watermark region on a single frame
-    blurWatermark(frameData, watermarkRegion) {
-        const { x, y, width, height } = watermarkRegion;
-        const imageWidth = frameData.width;
-        const imageHeight = frameData.height;
+    // Decode the whole audio track of the source file. Resolves to an AudioBuffer, or null when the
+    // source has no audio (or the browser can't decode it). The whole file and all of its decoded sound
+    // are in memory meanwhile, see audioDecodeBytes.
+    async decodeAudioTrack(sourceFile) {
+        if (typeof AudioContext === "undefined") return null;
 
-        if (x < 0 || y < 0 || x + width > imageWidth || y + height > imageHeight || width <= 0 || height <=0) {
-            console.error("Invalid watermark region for blurring:", watermarkRegion, "Frame dimensions:", imageWidth, imageHeight);
-            // Return original frame if region is invalid to avoid errors
-            return frameData;
+        const audioContext = new AudioContext();
+        try {
+            const encoded = await sourceFile.arrayBuffer();
+            return await audioContext.decodeAudioData(encoded);
+        } catch (error) {
+            console.warn("No audio track could be decoded from the video:", error);
+            return null;
+        } finally {
+            audioContext.close();
         }
+    }
+
+    // Process a video, applying the removal strategy named by options.strategy to the watermark target
+    // (an {x, y, width, height} region or a per-pixel mask; for a watermark that moves, a function returning
+    // the target for a frame time in seconds, where null leaves that frame untouched). Resolves to the
+    // processed video Blob, in the format of runOptions.exportSettings (see videoExport.js; WebM/VP9 at the
+    // source size by default).
+    // MP4/MOV sources are decoded and encoded with WebCodecs where the browser supports it, keeping every
+    // source frame and its exact timestamp. Otherwise (or if that fails) frames are sampled by seeking the
+    // video element and encoded with WebCodecs, or recorded with MediaRecorder as a last resort.
+    // Progress (0-100) covers the whole run, including encoding.
+    // runOptions.sourceFile is the video's File (fetched from the element's source when omitted);
+    // runOptions.onNotice(message) is told about anything missing from the result, such as audio.
+    // runOptions.range ({ start, end, mode } in seconds) limits the work to part of the video: with mode "clip"
+    // the result is only that part (sound included), with mode "limit" removal is only applied there and every
+    // other frame passes through untouched.
+    // runOptions.control (a ProcessingControl) pauses, resumes and cancels the run between frames. Cancelling
+    // rejects with error.cancelled set, or with control.keepFinished resolves to the part finished so far.
+    async processVideo(videoElement, watermarkTarget, updateProgressCallback, options = {}, runOptions = {}) {
+        const sourceFile = runOptions.sourceFile || await (await fetch(videoElement.currentSrc || videoElement.src)).blob();
+        const exportSettings = runOptions.exportSettings || DEFAULT_EXPORT_SETTINGS;
+        const control = runOptions.control || null;
+        const notify = (message) => {
+            if (runOptions.onNotice) runOptions.onNotice(message);
+        };
+
+        const range = resolveRange(runOptions.range, videoElement.duration);
+        const clip = range && range.mode === "clip" ? range : null;
+        const target = range && !clip
+            ? (timeInSeconds) => (timeInSeconds >= range.start && timeInSeconds < range.end ? targetAt(watermarkTarget, timeInSeconds) : null)
+            : watermarkTarget;
 
-        const originalPixels = frameData.data;
-        const processedPixels = new Uint8ClampedArray(originalPixels);
-        const blurRadius = this.calculateBlurRadius(width, height);
+        let audioBuffer = null;
+        if (audioDecodeBytes(sourceFile, videoElement.duration) > MAX_AUDIO_DECODE_BYTES) {
+            notify("The video is too long for its sound to be decoded in the browser, so the processed video has no sound.");
+        } else {
+            audioBuffer = await this.decodeAudioTrack(sourceFile);
+            if (!audioBuffer) {
+                notify("The source video has no audio track (or it could not be read), so the processed video has no sound.");
+            } else if (clip) {
+                audioBuffer = sliceAudioBuffer(audioBuffer, clip.start, clip.end);
+            }
+        }
+        if (control) await control.checkpoint();
 
-        this.applyBlurEffect(processedPixels, originalPixels, watermarkRegion, blurRadius, imageWidth, imageHeight);
-        return new ImageData(processedPixels, imageWidth, imageHeight);
+        try {
+            const blob = await this.processVideoWithWebCodecs(videoElement, sourceFile, target, updateProgressCallback, options, exportSettings, audioBuffer, notify, clip, control);
+            if (blob) return blob;
+        } catch (error) {
+            if (error.cancelled) throw error;
+            console.error("WebCodecs processing failed, falling back to seeking the video:", error);
+            if (updateProgressCallback) updateProgressCallback(0);
+        }
+        return this.processVideoBySeeking(videoElement, sourceFile, target, updateProgressCallback, options, exportSettings, audioBuffer, notify, clip, control);
+    }
+
+    // Frame-accurate path: demux the MP4, decode every sample with VideoDecoder, process it and re-encode it
+    // with its original timestamp. Resolves to null when this browser or file can't take this path.
+    // With a clip ({ start, end } in seconds), only the frames in it are processed, their timestamps shifted
+    // to start the result at its start.
+    async processVideoWithWebCodecs(videoElement, sourceFile, watermarkTarget, updateProgressCallback, options, exportSettings, audioBuffer, notify, clip = null, control = null) {
+        if (typeof VideoDecoder === "undefined" || !isMp4File(sourceFile)) return null;
+
+        const demuxer = new Mp4Demuxer(sourceFile);
+        const track = await demuxer.open();
+        // The watermark target is in the video element's pixels, so the decoded frames must match them
+        if (!track || track.width !== videoElement.videoWidth || track.height !== videoElement.videoHeight) return null;
+        if (!(await VideoDecoder.isConfigSupported(track.decoderConfig)).supported) return null;
+
+        const outputSize = getOutputSize(exportSettings, track.width, track.height);
+        const encoder = await WebCodecsEncoder.create(exportSettings, outputSize.width, outputSize.height, track.frameRate, { audioBuffer });
+        if (!encoder) return null;
+        if (audioBuffer && !encoder.hasAudio) {
+            notify(NO_AUDIO_ENCODER_NOTICE);
+        }
+
+        const decodedFrames = [];
+        let decodeError = null;
+        const decoder = new VideoDecoder({
+            output: (frame) => decodedFrames.push(frame),
+            error: (error) => { decodeError = error; }
+        });
+        decoder.configure(track.decoderConfig);
+        if (clip) demuxer.seekToKeyFrame(clip.start);
+
+        const frameQueue = this.createFrameQueue(watermarkTarget, options);
+        const frameCount = clip ? Math.max(1, Math.round((clip.end - clip.start) * track.frameRate)) : track.frameCount;
+        const timeOffset = clip ? clip.start * 1e6 : 0;
+        let processedCount = 0;
+        let encodedUntil = 0; // End of the last encoded frame (microseconds)
+        const encodeFrames = async (ready) => {
+            for (const { frame, payload } of ready) {
+                await encoder.addFrame(frame, payload.timestamp, payload.duration);
+                encodedUntil = payload.timestamp + payload.duration;
+
+                processedCount++;
+                if (updateProgressCallback) {
+                    // Hold back the last percent for flushing the encoder
+                    updateProgressCallback(Math.min(99, Math.floor((processedCount / frameCount) * 100)));
+                }
+            }
+        };
+        const processDecodedFrames = async () => {
+            while (decodedFrames.length > 0) {
+                if (control) await control.checkpoint();
+                const frame = decodedFrames.shift();
+                const { timestamp } = frame;
+                // Frames around the clip, from the key frame before it to the one after it, are decoded (frames
+                // in the clip may depend on them) but not kept
+                if (clip && (timestamp < clip.start * 1e6 || timestamp >= clip.end * 1e6)) {
+                    frame.close();
+                    continue;
+                }
+                const duration = frame.duration ?? 1e6 / track.frameRate;
+                const frameData = this.videoFrameToImageData(frame, track.width, track.height);
+                await encodeFrames(await frameQueue.push(frameData, timestamp / 1e6, { timestamp: timestamp - timeOffset, duration }));
+            }
+        };
+
+        try {
+            for (let chunk = await demuxer.nextChunk(); chunk; chunk = await demuxer.nextChunk()) {
+                if (decodeError) throw decodeError;
+                if (control) await control.checkpoint();
+                // A key frame after the clip starts a group of frames that all come after it
+                if (clip && chunk.type === "key" && chunk.timestamp >= clip.end * 1e6) break;
+                decoder.decode(chunk);
+                await processDecodedFrames();
+                // Don't read further ahead than the decoder can keep up with
+                while (decoder.decodeQueueSize > MAX_DECODE_QUEUE && !decodeError) {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                    await processDecodedFrames();
+                }
+            }
+            await decoder.flush();
+            await processDecodedFrames();
+            if (decodeError) throw decodeError;
+            decoder.close();
+            await encodeFrames(await frameQueue.flush());
+
+            const blob = await encoder.finish();
+            if (updateProgressCallback) updateProgressCallback(100);
+            return blob;
+        } catch (error) {
+            decodedFrames.forEach((frame) => frame.close());
+            if (decoder.state !== "closed") decoder.close();
+            if (error.cancelled && control.keepFinished && encoder.frameCount > 0) {
+                return this.finishStoppedRun(encoder, encodedUntil, notify);
+            }
+            encoder.abort();
+            throw error;
+        }
     }
 
-    // Process multiple frames from a video, applying blur to the watermarkRegion
-    async processVideo(videoElement, watermarkRegion, updateProgressCallback) {
-        const processedFrames = [];
+    // Draw a decoded VideoFrame at the given size and read it back as ImageData. Closes the frame.
+    videoFrameToImageData(frame, width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.drawImage(frame, 0, 0, width, height);
+        frame.close();
+        return this.ctx.getImageData(0, 0, width, height);
+    }
+
+    // Fallback path: sample frames at the frame rate of the source (see getFrameRate) by seeking the video element
+    // and encode them (see createEncoder).
+    // Decoding, processing and encoding are streamed: each frame is encoded as soon as it is processed, with the
+    // next frame prepared meanwhile, so memory use stays at a couple of frames whatever the length of the video.
+    // With a clip ({ start, end } in seconds), only the frames in it are sampled.
+    async processVideoBySeeking(videoElement, sourceFile, watermarkTarget, updateProgressCallback, options, exportSettings, audioBuffer, notify, clip = null, control = null) {
         const duration = videoElement.duration;
-        // Use a practical frame rate for processing; actual video FPS might vary.
+        // The video element doesn't expose the frame rate, so it is read from the file where possible.
         // This determines how many frames we sample and process.
-        const processingFrameRate = Math.min(30, videoElement.captureFrameRate || 30); 
-        const totalFramesToProcess = Math.floor(duration * processingFrameRate);
+        const processingFrameRate = await this.getFrameRate(sourceFile);
+        const firstFrame = clip ? Math.ceil(clip.start * processingFrameRate) : 0;
+        const endFrame = Math.min(Math.floor(duration * processingFrameRate), clip ? Math.ceil(clip.end * processingFrameRate) : Infinity);
+        const totalFramesToProcess = endFrame - firstFrame;
 
         if (totalFramesToProcess <= 0 || !isFinite(totalFramesToProcess)) {
             throw new Error("Invalid video duration or frame rate, cannot process.");
@@ -159,87 +441,111 @@ class VideoProcessor {
             }
         }
 
+        const encoder = await this.createEncoder(exportSettings, this.canvas.width, this.canvas.height, processingFrameRate, audioBuffer, notify);
 
-        for (let i = 0; i < totalFramesToProcess; i++) {
-            const timeInSeconds = i / processingFrameRate;
+        // Decode one frame and pass it through the frame queue, resolving to the frames ready to encode
+        // (payload: their index in the result). Failed frames are logged and skipped.
+        const frameQueue = this.createFrameQueue(watermarkTarget, options);
+        const readProcessedFrames = async (i) => {
+            const timeInSeconds = (firstFrame + i) / processingFrameRate;
             try {
                 const frameData = await this.extractFrame(videoElement, timeInSeconds);
-                const processedFrame = this.blurWatermark(frameData, watermarkRegion);
-                processedFrames.push(processedFrame);
+                return await frameQueue.push(frameData, timeInSeconds, i);
+            } catch (error) {
+                console.error(`Error processing frame at ${timeInSeconds.toFixed(2)}s:`, error);
+                return [];
+            }
+        };
+        let encodedUntil = 0; // End of the last encoded frame (microseconds)
+        const encodeFrames = async (ready) => {
+            for (const { frame, payload: index } of ready) {
+                await encoder.addFrame(frame, (index / processingFrameRate) * 1e6, 1e6 / processingFrameRate);
+                encodedUntil = ((index + 1) / processingFrameRate) * 1e6;
+            }
+        };
+
+        let nextFrames = null; // The following frame, prepared while the current ones are encoded
+        try {
+            for (let i = 0; i < totalFramesToProcess; i++) {
+                if (control) await control.checkpoint();
+                const processedFrames = await (nextFrames || readProcessedFrames(i));
+                nextFrames = null;
+                // Not while paused or cancelled: the frame would be decoded past the checkpoint
+                if (i + 1 < totalFramesToProcess && (!control || control.isRunning())) {
+                    nextFrames = readProcessedFrames(i + 1);
+                }
+
+                await encodeFrames(processedFrames);
 
                 if (updateProgressCallback) {
                     updateProgressCallback(Math.floor(((i + 1) / totalFramesToProcess) * 100));
                 }
-            } catch (error) {
-                console.error(`Error processing frame at ${timeInSeconds.toFixed(2)}s:`, error);
-                // Optionally, re-throw or handle to stop processing
-                // For now, we'll try to continue, but this might lead to a bad video
             }
-        }
+            await encodeFrames(await frameQueue.flush());
 
-        if (processedFrames.length === 0) {
-            throw new Error("No frames were processed. Video processing failed.");
+            if (encoder.frameCount === 0) {
+                throw new Error("No frames were processed. Video processing failed.");
+            }
+            return await encoder.finish();
+        } catch (error) {
+            // A frame still being prepared uses the video element and the frame queue; let it finish first
+            // (it never rejects, failed frames are skipped)
+            if (nextFrames) await nextFrames;
+            if (error.cancelled && control.keepFinished && encoder.frameCount > 0) {
+                return this.finishStoppedRun(encoder, encodedUntil, notify);
+            }
+            encoder.abort();
+            throw error;
         }
-        return this.assembleVideo(processedFrames, processingFrameRate);
     }
 
-    // Assemble processed frames back into a video
-    async assembleVideo(frames, frameRate) {
-        if (!frames || frames.length === 0) {
-            return Promise.reject(new Error("No frames to assemble."));
-        }
-        // Ensure canvas is set to the dimensions of the first frame
-        this.canvas.width = frames[0].width;
-        this.canvas.height = frames[0].height;
-
-        const stream = this.canvas.captureStream(frameRate);
-        const mediaRecorder = new MediaRecorder(stream, {
-            mimeType: "video/webm;codecs=vp9", // VP9 is good for quality and compatibility
-            videoBitsPerSecond: 2500000 // Example bitrate, adjust as needed
-        });
+    // Turn the frames encoded before a run was cancelled (ending at endTimestamp, in microseconds) into the
+    // result, with the sound cut to match
+    async finishStoppedRun(encoder, endTimestamp, notify) {
+        const blob = await encoder.finish(endTimestamp);
+        notify(`Processing was stopped early, so the processed video ends after ${(endTimestamp / 1e6).toFixed(2)}s.`);
+        return blob;
+    }
 
-        return new Promise((resolve, reject) => {
-            const chunks = [];
+    // Encoder for frames of the given source size in the export format: WebCodecs where the browser can
+    // encode it, otherwise MediaRecorder. Throws when neither can.
+    async createEncoder(exportSettings, sourceWidth, sourceHeight, frameRate, audioBuffer, notify) {
+        const { width, height } = getOutputSize(exportSettings, sourceWidth, sourceHeight);
+        const webCodecsEncoder = await WebCodecsEncoder.create(exportSettings, width, height, frameRate, { audioBuffer });
+        if (webCodecsEncoder) {
+            if (audioBuffer && !webCodecsEncoder.hasAudio) notify(NO_AUDIO_ENCODER_NOTICE);
+            return webCodecsEncoder;
+        }
 
-            mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    chunks.push(event.data);
-                }
-            };
+        const mimeType = getRecorderMimeType(exportSettings, Boolean(audioBuffer));
+        if (!mimeType) {
+            throw new Error(`This browser can't export ${describeExportFormat(exportSettings)} video. Please choose another format.`);
+        }
+        // getRecorderMimeType only lists an audio codec (after the comma) when one can be recorded
+        const withAudio = Boolean(audioBuffer) && mimeType.includes(",");
+        if (audioBuffer && !withAudio) notify(NO_AUDIO_ENCODER_NOTICE);
+        return new MediaRecorderEncoder(width, height, frameRate, {
+            mimeType,
+            videoBitsPerSecond: exportSettings.bitrate,
+            audioBuffer: withAudio ? audioBuffer : null
+        });
+    }
+}
 
-            mediaRecorder.onstop = () => {
-                if (chunks.length === 0) {
-                    reject(new Error("MediaRecorder produced no data. Video assembly failed."));
-                    return;
-                }
-                const blob = new Blob(chunks, { type: "video/webm" });
-                resolve(blob);
-            };
+// The watermark target for the frame at this time
+function targetAt(watermarkTarget, timeInSeconds) {
+    return typeof watermarkTarget === "function" ? watermarkTarget(timeInSeconds) : watermarkTarget;
+}
 
-            mediaRecorder.onerror = (event) => {
-                console.error("MediaRecorder error:", event.error || event);
-                reject(new Error("MediaRecorder error during video assembly: " + (event.error?.name || "Unknown error")));
-            };
-            
-            mediaRecorder.start();
-
-            let frameIndex = 0;
-            const drawNextFrame = () => {
-                if (frameIndex < frames.length) {
-                    this.ctx.putImageData(frames[frameIndex], 0, 0);
-                    frameIndex++;
-                    // Request next frame draw, aligned with desired frame rate.
-                    // Using setTimeout is a simplification; requestAnimationFrame is better for rendering loops
-                    // but for encoding, setTimeout with a delay is okay.
-                    setTimeout(drawNextFrame, 1000 / frameRate); 
-                } else {
-                    mediaRecorder.stop();
-                }
-            };
+// Memory decoding the audio track takes: the file, and its sound as 32-bit stereo samples at 48 kHz
+// (the usual AudioContext rate, which decodeAudioData resamples to)
+function audioDecodeBytes(sourceFile, duration) {
+    return sourceFile.size + (isFinite(duration) ? duration : 0) * 48000 * 2 * 4;
+}
 
-            drawNextFrame();
-        });
-    }
+// Whether the file is in a container Mp4Demuxer can read
+function isMp4File(file) {
+    return /^video\/(mp4|quicktime|x-m4v)$/.test(file.type) || /\.(mp4|m4v|mov)$/i.test(file.name || "");
 }
 
 export default VideoProcessor;
@@ -0,0 +1,27 @@
+// Processing part of a video (see VideoProcessor.processVideo): the range to work on, and the sound to
+// go with a clip of it.
+
+// The part of the video a range selects, as { start, end, mode } within the video, or null when it
+// selects all of it (or nothing valid)
+export function resolveRange(range, duration) {
+    if (!range) return null;
+    const start = Math.max(0, range.start ?? 0);
+    const end = Math.min(duration, range.end ?? duration);
+    if (!(end > start) || (start === 0 && end === duration)) return null;
+    return { start, end, mode: range.mode === "limit" ? "limit" : "clip" };
+}
+
+// The part of an AudioBuffer between two times (seconds), as a new AudioBuffer
+export function sliceAudioBuffer(audioBuffer, start, end) {
+    const from = Math.min(audioBuffer.length, Math.round(start * audioBuffer.sampleRate));
+    const to = Math.min(audioBuffer.length, Math.round(end * audioBuffer.sampleRate));
+    const slice = new AudioBuffer({
+        length: Math.max(1, to - from),
+        numberOfChannels: audioBuffer.numberOfChannels,
+        sampleRate: audioBuffer.sampleRate
+    });
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        slice.copyToChannel(audioBuffer.getChannelData(channel).subarray(from, to), channel);
+    }
+    return slice;
+}
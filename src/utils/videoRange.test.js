@@ -0,0 +1,71 @@
+import { resolveRange, sliceAudioBuffer } from "./videoRange";
+
+// Just enough of the Web Audio AudioBuffer for sliceAudioBuffer
+class FakeAudioBuffer {
+    constructor({ length, numberOfChannels, sampleRate }) {
+        this.length = length;
+        this.numberOfChannels = numberOfChannels;
+        this.sampleRate = sampleRate;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+
+    copyToChannel(source, channel) {
+        this.channels[channel].set(source);
+    }
+}
+
+describe("resolveRange", () => {
+    test("is null without a range, or for one that selects the whole video", () => {
+        expect(resolveRange(null, 10)).toBeNull();
+        expect(resolveRange({ start: null, end: null, mode: "clip" }, 10)).toBeNull();
+        expect(resolveRange({ start: 0, end: 10, mode: "clip" }, 10)).toBeNull();
+    });
+
+    test("fills in open ends and clamps to the video", () => {
+        expect(resolveRange({ start: 2, end: null, mode: "clip" }, 10)).toEqual({ start: 2, end: 10, mode: "clip" });
+        expect(resolveRange({ start: -1, end: 4, mode: "limit" }, 10)).toEqual({ start: 0, end: 4, mode: "limit" });
+        expect(resolveRange({ start: 3, end: 20 }, 10)).toEqual({ start: 3, end: 10, mode: "clip" });
+    });
+
+    test("is null for an empty or reversed range", () => {
+        expect(resolveRange({ start: 5, end: 5, mode: "clip" }, 10)).toBeNull();
+        expect(resolveRange({ start: 6, end: 4, mode: "clip" }, 10)).toBeNull();
+    });
+});
+
+describe("sliceAudioBuffer", () => {
+    const originalAudioBuffer = global.AudioBuffer;
+    beforeAll(() => { global.AudioBuffer = FakeAudioBuffer; });
+    afterAll(() => { global.AudioBuffer = originalAudioBuffer; });
+
+    const makeBuffer = () => {
+        const buffer = new FakeAudioBuffer({ length: 100, numberOfChannels: 2, sampleRate: 10 });
+        for (let i = 0; i < 100; i++) {
+            buffer.channels[0][i] = i;
+            buffer.channels[1][i] = -i;
+        }
+        return buffer;
+    };
+
+    test("copies the samples between the two times from every channel", () => {
+        const slice = sliceAudioBuffer(makeBuffer(), 2, 3.5);
+        expect(slice.length).toBe(15);
+        expect(slice.sampleRate).toBe(10);
+        expect(Array.from(slice.getChannelData(0))).toEqual(Array.from({ length: 15 }, (_, i) => 20 + i));
+        expect(Array.from(slice.getChannelData(1))).toEqual(Array.from({ length: 15 }, (_, i) => -(20 + i)));
+    });
+
+    test("stops at the end of the sound", () => {
+        const slice = sliceAudioBuffer(makeBuffer(), 9, 12);
+        expect(slice.length).toBe(10);
+        expect(slice.getChannelData(0)[9]).toBe(99);
+    });
+
+    test("is never empty", () => {
+        expect(sliceAudioBuffer(makeBuffer(), 20, 30).length).toBe(1);
+    });
+});
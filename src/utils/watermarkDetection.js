@@ -0,0 +1,219 @@
+import { createMask, getMaskBounds, labelMaskComponents } from "./mask";
+
+const MAX_WORKING_SIZE = 400; // Longest side of the downscaled copies the detection runs on
+export const MIN_DETECTION_IMAGES = 3;
+const MAX_DETECTION_IMAGES = 50; // Further images add little and cost memory
+const MIN_EDGE_STRENGTH = 24; // Median gradient magnitude (Sobel on 0-255 grey) that can count as an edge
+const RELATIVE_EDGE_THRESHOLD = 0.25; // ... and relative to the strongest consistent edges
+const EDGE_DILATION = 3; // Pixels (at working size) edges are grown by, joining the strokes of a logo
+
+// Finds a watermark stamped in the same place on a set of images, after the multi-image watermark
+// estimation literature (e.g. Dekel et al., "On the Effectiveness of Visible Watermarks"): the image
+// content differs from one image to the next, so the per-pixel median of the image gradients cancels it
+// out, while the watermark's edges are the same in every image and survive.
+// Images are resampled to one common working size, so the watermark is expected at the same position
+// relative to each image's size (as with regionTemplate.js).
+class WatermarkDetector {
+    // referenceWidth/Height: size of the image the result is meant for, which sets the working aspect ratio
+    constructor(referenceWidth, referenceHeight) {
+        const scale = Math.min(1, MAX_WORKING_SIZE / Math.max(referenceWidth, referenceHeight));
+        this.width = Math.max(1, Math.round(referenceWidth * scale));
+        this.height = Math.max(1, Math.round(referenceHeight * scale));
+        this.gradientsX = [];
+        this.gradientsY = [];
+    }
+
+    get imageCount() {
+        return this.gradientsX.length;
+    }
+
+    // Add an image (ImageData of any size). Returns false once enough images have been collected.
+    addImage(imageData) {
+        if (this.imageCount >= MAX_DETECTION_IMAGES) return false;
+        const grey = resampleGrey(imageData, this.width, this.height);
+        const { gx, gy } = sobel(grey, this.width, this.height);
+        this.gradientsX.push(gx);
+        this.gradientsY.push(gy);
+        return true;
+    }
+
+    // Resolves the proposal: { mask (at working size), bounds (relative to the image size, see
+    // regionTemplate.js), confidence (0-1, the share of all consistent edges the watermark accounts for) },
+    // or null when nothing consistent was found.
+    detect() {
+        if (this.imageCount < MIN_DETECTION_IMAGES) {
+            throw new Error(`Auto-detection needs at least ${MIN_DETECTION_IMAGES} images with the same watermark, counting the one being edited.`);
+        }
+        const { width, height } = this;
+        const medianX = medianOf(this.gradientsX, width * height);
+        const medianY = medianOf(this.gradientsY, width * height);
+        const magnitude = new Float32Array(width * height);
+        for (let i = 0; i < magnitude.length; i++) {
+            magnitude[i] = Math.hypot(medianX[i], medianY[i]);
+        }
+
+        const threshold = Math.max(MIN_EDGE_STRENGTH, percentile(magnitude, 0.999) * RELATIVE_EDGE_THRESHOLD);
+        const edges = createMask(width, height);
+        for (let i = 0; i < magnitude.length; i++) {
+            if (magnitude[i] > threshold) edges.data[i] = 1;
+        }
+
+        // Group nearby edges and keep the group with the most edge strength
+        const grown = dilate(edges, EDGE_DILATION);
+        const { labels, count } = labelMaskComponents(grown);
+        if (count === 0) return null;
+        const strength = new Float64Array(count);
+        let totalStrength = 0;
+        for (let i = 0; i < labels.length; i++) {
+            if (edges.data[i]) {
+                strength[labels[i]] += magnitude[i];
+                totalStrength += magnitude[i];
+            }
+        }
+        let best = 0;
+        for (let label = 1; label < count; label++) {
+            if (strength[label] > strength[best]) best = label;
+        }
+
+        const mask = createMask(width, height);
+        for (let i = 0; i < labels.length; i++) {
+            if (labels[i] === best) mask.data[i] = 1;
+        }
+        fillHoles(mask);
+        const box = getMaskBounds(mask);
+        return {
+            mask,
+            bounds: { x: box.x / width, y: box.y / height, width: box.width / width, height: box.height / height },
+            confidence: totalStrength > 0 ? strength[best] / totalStrength : 0
+        };
+    }
+}
+
+// Detect the watermark shared by referenceImage (the ImageData being edited, whose size the result is for)
+// and the given files. The files are loaded one at a time and only their downscaled gradients are kept;
+// files that fail to load are skipped. onProgress(done, total) follows the loading.
+export async function detectWatermarkInFiles(imageProcessor, referenceImage, files, onProgress) {
+    const detector = new WatermarkDetector(referenceImage.width, referenceImage.height);
+    detector.addImage(referenceImage);
+    for (let i = 0; i < files.length; i++) {
+        try {
+            const { imageData } = await imageProcessor.loadImage(files[i]);
+            if (!detector.addImage(imageData)) break;
+        } catch (error) {
+            console.warn(`Skipping ${files[i].name} for watermark detection:`, error);
+        }
+        if (onProgress) onProgress(i + 1, files.length);
+    }
+    return detector.detect();
+}
+
+// Greyscale copy of the image at the given size, averaging the source pixels that fall in each target pixel
+function resampleGrey(imageData, width, height) {
+    const { data, width: sourceWidth, height: sourceHeight } = imageData;
+    const sums = new Float32Array(width * height);
+    const counts = new Uint32Array(width * height);
+    for (let y = 0; y < sourceHeight; y++) {
+        const targetRow = Math.min(height - 1, Math.floor((y * height) / sourceHeight)) * width;
+        for (let x = 0; x < sourceWidth; x++) {
+            const i = (y * sourceWidth + x) * 4;
+            const target = targetRow + Math.min(width - 1, Math.floor((x * width) / sourceWidth));
+            sums[target] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            counts[target]++;
+        }
+    }
+    for (let i = 0; i < sums.length; i++) {
+        if (counts[i] > 0) sums[i] /= counts[i];
+    }
+    return sums;
+}
+
+// Horizontal and vertical Sobel gradients (zero on the outermost pixels)
+function sobel(grey, width, height) {
+    const gx = new Float32Array(width * height);
+    const gy = new Float32Array(width * height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const topLeft = grey[i - width - 1], top = grey[i - width], topRight = grey[i - width + 1];
+            const left = grey[i - 1], right = grey[i + 1];
+            const bottomLeft = grey[i + width - 1], bottom = grey[i + width], bottomRight = grey[i + width + 1];
+            gx[i] = (topRight + 2 * right + bottomRight) - (topLeft + 2 * left + bottomLeft);
+            gy[i] = (bottomLeft + 2 * bottom + bottomRight) - (topLeft + 2 * top + topRight);
+        }
+    }
+    return { gx, gy };
+}
+
+// Per-pixel median of several same-sized arrays
+function medianOf(arrays, length) {
+    const result = new Float32Array(length);
+    const values = new Float32Array(arrays.length);
+    const middle = arrays.length >> 1;
+    for (let i = 0; i < length; i++) {
+        for (let k = 0; k < arrays.length; k++) values[k] = arrays[k][i];
+        values.sort();
+        result[i] = arrays.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+    }
+    return result;
+}
+
+function percentile(values, fraction) {
+    const sorted = Float32Array.from(values).sort();
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+// Grow the selected pixels by radius in every direction (square neighbourhood)
+function dilate(mask, radius) {
+    const { width, height, data } = mask;
+    const rows = createMask(width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!data[y * width + x]) continue;
+            rows.data.fill(1, y * width + Math.max(0, x - radius), y * width + Math.min(width, x + radius + 1));
+        }
+    }
+    const result = createMask(width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!rows.data[y * width + x]) continue;
+            for (let yy = Math.max(0, y - radius); yy <= Math.min(height - 1, y + radius); yy++) {
+                result.data[yy * width + x] = 1;
+            }
+        }
+    }
+    return result;
+}
+
+// Select the unselected pixels the selection fully encloses (e.g. the inside of a letter "O"), in place
+function fillHoles(mask) {
+    const { width, height, data } = mask;
+    const outside = new Uint8Array(width * height);
+    const stack = [];
+    const visit = (i) => {
+        if (!data[i] && !outside[i]) {
+            outside[i] = 1;
+            stack.push(i);
+        }
+    };
+    for (let x = 0; x < width; x++) {
+        visit(x);
+        visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(y * width);
+        visit(y * width + width - 1);
+    }
+    while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width;
+        if (x > 0) visit(i - 1);
+        if (x < width - 1) visit(i + 1);
+        if (i >= width) visit(i - width);
+        if (i < (height - 1) * width) visit(i + width);
+    }
+    for (let i = 0; i < data.length; i++) {
+        if (!outside[i]) data[i] = 1;
+    }
+}
+
+export default WatermarkDetector;
@@ -0,0 +1,181 @@
+import { Muxer as WebMMuxer, ArrayBufferTarget as WebMTarget } from "webm-muxer";
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4Target } from "mp4-muxer";
+import { getContainer, getVideoCodec, getVideoEncoderConfig } from "./videoExport";
+import FrameScaler from "./frameScaler";
+
+const AUDIO_BITRATE = 128000;
+const MAX_ENCODE_QUEUE = 8; // Frames waiting in the encoder before addFrame holds back
+const KEYFRAME_INTERVAL = 2; // Seconds between key frames
+const AUDIO_CHUNK_FRAMES = 48000; // Audio samples per channel handed to the encoder at a time
+
+// Encodes frames with WebCodecs (VideoEncoder / AudioEncoder) and muxes them into an MP4 or WebM file,
+// as chosen by the export settings (see videoExport.js). Every frame keeps the timestamp and duration it
+// is given, so the output has exactly the source's frames and timing. Frames of another size than the
+// output are scaled to it. Use WebCodecsEncoder.create(), which resolves to null when the browser can't
+// encode the settings, so the caller can fall back to MediaRecorderEncoder.
+class WebCodecsEncoder {
+    static async create(settings, width, height, frameRate, { audioBuffer = null } = {}) {
+        if (typeof VideoEncoder === "undefined") return null;
+
+        const muxerCodec = getVideoCodec(settings.codec).muxerCodecs[settings.container];
+        if (!muxerCodec) return null;
+        const config = getVideoEncoderConfig(settings, width, height, frameRate);
+        try {
+            if (!(await VideoEncoder.isConfigSupported(config)).supported) return null;
+        } catch (error) {
+            return null;
+        }
+        const audio = audioBuffer ? await getAudioConfig(getContainer(settings.container), audioBuffer) : null;
+        return new WebCodecsEncoder(settings.container, config, muxerCodec, audio, audioBuffer);
+    }
+
+    constructor(container, videoConfig, muxerCodec, audio, audioBuffer) {
+        this.videoConfig = videoConfig;
+        this.mimeType = getContainer(container).mimeType;
+        this.error = null;
+        this.frameCount = 0;
+        this.hasAudio = Boolean(audio);
+        this.scaler = new FrameScaler(videoConfig.width, videoConfig.height);
+
+        const video = { codec: muxerCodec, width: videoConfig.width, height: videoConfig.height, frameRate: videoConfig.framerate };
+        const audioTrack = audio
+            ? { codec: audio.muxerCodec, numberOfChannels: audio.config.numberOfChannels, sampleRate: audio.config.sampleRate }
+            : undefined;
+        if (container === "mp4") {
+            this.target = new Mp4Target();
+            this.muxer = new Mp4Muxer({
+                target: this.target,
+                video,
+                audio: audioTrack,
+                fastStart: "in-memory", // Index at the start of the file, so it plays before fully downloaded
+                // Frames keep the source's timestamps, which need not start at exactly 0; shifting all
+                // tracks by the same amount keeps the audio in sync
+                firstTimestampBehavior: "cross-track-offset"
+            });
+        } else {
+            this.target = new WebMTarget();
+            this.muxer = new WebMMuxer({
+                target: this.target,
+                video,
+                audio: audioTrack,
+                // Frames keep the source's timestamps, which need not start at exactly 0
+                firstTimestampBehavior: "permissive"
+            });
+        }
+
+        const onError = (error) => {
+            console.error("WebCodecs encoding error:", error);
+            this.error = error;
+        };
+        this.videoEncoder = new VideoEncoder({
+            output: (chunk, meta) => this.muxer.addVideoChunk(chunk, meta),
+            error: onError
+        });
+        this.videoEncoder.configure(videoConfig);
+
+        if (audio) {
+            this.audioEncoder = new AudioEncoder({
+                output: (chunk, meta) => this.muxer.addAudioChunk(chunk, meta),
+                error: onError
+            });
+            this.audioEncoder.configure(audio.config);
+            this.audioBuffer = audioBuffer; // Encoded by finish(), up to where the video ends
+            this.audioChannels = audio.config.numberOfChannels;
+        }
+        this.nextKeyFrameTime = 0;
+    }
+
+    // Encode one frame (ImageData). timestamp and duration are in microseconds.
+    // Resolves once the encoder has room for more, so at most a few frames are ever in flight.
+    async addFrame(frameData, timestamp, duration) {
+        if (this.error) throw this.error;
+
+        const frame = this.scaler.needsScaling(frameData)
+            ? new VideoFrame(this.scaler.draw(frameData), { timestamp, duration })
+            : new VideoFrame(frameData.data, {
+                format: "RGBA",
+                codedWidth: frameData.width,
+                codedHeight: frameData.height,
+                timestamp,
+                duration
+            });
+        const keyFrame = timestamp >= this.nextKeyFrameTime;
+        if (keyFrame) this.nextKeyFrameTime = timestamp + KEYFRAME_INTERVAL * 1e6;
+        this.videoEncoder.encode(frame, { keyFrame });
+        frame.close();
+        this.frameCount++;
+
+        while (this.videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE && !this.error) {
+            await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+    }
+
+    // Flush the encoders and resolve with the finished video Blob. The sound is encoded up to endTimestamp
+    // (microseconds; all of it by default), e.g. the end of the last frame of a run stopped early.
+    async finish(endTimestamp = Infinity) {
+        if (this.frameCount === 0) {
+            throw new Error("No frames to assemble.");
+        }
+        if (this.audioEncoder) encodeAudioBuffer(this.audioEncoder, this.audioBuffer, this.audioChannels, endTimestamp);
+        await this.videoEncoder.flush();
+        if (this.audioEncoder) await this.audioEncoder.flush();
+        if (this.error) throw this.error;
+
+        this.muxer.finalize();
+        this.close();
+        return new Blob([this.target.buffer], { type: this.mimeType });
+    }
+
+    abort() {
+        this.close();
+    }
+
+    close() {
+        if (this.videoEncoder.state !== "closed") this.videoEncoder.close();
+        if (this.audioEncoder && this.audioEncoder.state !== "closed") this.audioEncoder.close();
+    }
+}
+
+// AudioEncoder configuration (and the muxer's codec name) for the first of the container's audio codecs
+// the browser can encode, or null when it can't encode any of them
+async function getAudioConfig(container, audioBuffer) {
+    if (typeof AudioEncoder === "undefined") return null;
+    for (const { codec, muxerCodec } of container.audioCodecs) {
+        const config = {
+            codec,
+            sampleRate: audioBuffer.sampleRate,
+            numberOfChannels: Math.min(2, audioBuffer.numberOfChannels),
+            bitrate: AUDIO_BITRATE
+        };
+        try {
+            if ((await AudioEncoder.isConfigSupported(config)).supported) return { config, muxerCodec };
+        } catch (error) {
+            // Not understood by this browser; try the next codec
+        }
+    }
+    return null;
+}
+
+// Queue the decoded audio track up to endTimestamp (microseconds) for encoding, AUDIO_CHUNK_FRAMES samples at a time
+function encodeAudioBuffer(audioEncoder, audioBuffer, numberOfChannels, endTimestamp) {
+    const length = Math.min(audioBuffer.length, Math.round((endTimestamp / 1e6) * audioBuffer.sampleRate));
+    for (let start = 0; start < length; start += AUDIO_CHUNK_FRAMES) {
+        const numberOfFrames = Math.min(AUDIO_CHUNK_FRAMES, length - start);
+        const planes = new Float32Array(numberOfFrames * numberOfChannels);
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            planes.set(audioBuffer.getChannelData(channel).subarray(start, start + numberOfFrames), channel * numberOfFrames);
+        }
+        const audioData = new AudioData({
+            format: "f32-planar",
+            sampleRate: audioBuffer.sampleRate,
+            numberOfFrames,
+            numberOfChannels,
+            timestamp: (start / audioBuffer.sampleRate) * 1e6,
+            data: planes
+        });
+        audioEncoder.encode(audioData);
+        audioData.close();
+    }
+}
+
+export default WebCodecsEncoder;
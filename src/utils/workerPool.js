@@ -0,0 +1,199 @@
+import { getMaskBounds } from "./mask";
+import { getStrategy, applyStrategy } from "./strategies";
+import { planTiles, cropPixels, cropMask, pasteTile } from "./tiling";
+
+const MAX_POOL_SIZE = 4;
+
+// Runs removal strategies in Web Workers so the page stays responsive.
+// Pixel buffers are transferred (not copied) to and from the workers. Strategies that declare a
+// tiling plan are split into horizontal bands, one per worker, each with enough surrounding pixels
+// (the halo) to give exactly the same result as a single pass. Everything else runs as one job.
+// When workers are unavailable, or one fails, the strategy runs on the main thread instead. Errors
+// the strategy itself throws in a worker are passed on to the caller.
+class WorkerPool {
+    constructor({ size } = {}) {
+        const cores = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+        this.size = size ?? Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+        this.workers = null; // Created on first use
+        this.unavailable = typeof Worker === "undefined";
+        this.queue = [];
+        this.nextJobId = 1;
+    }
+
+    // Remove the masked area of pixels ({ data, width, height }) with a registered strategy.
+    // Resolves to a new Uint8ClampedArray; pixels and mask are left untouched.
+    // onProgress receives the overall progress (0 to 1). Queued jobs of an earlier call on the same
+    // channel are dropped (their promise rejects with error.superseded set), so a stream of live
+    // previews never builds up a backlog.
+    async applyStrategy(pixels, mask, strategyId, options = {}, { onProgress, channel } = {}) {
+        const strategy = getStrategy(strategyId);
+        if (!strategy) {
+            throw new Error(`Unknown removal strategy "${strategyId}".`);
+        }
+        if (channel) this.dropQueued(channel);
+
+        const bounds = getMaskBounds(mask);
+        if (!bounds) return new Uint8ClampedArray(pixels.data);
+
+        if (!this.ensureWorkers()) {
+            return applyStrategy(strategy.id, pixels, mask, { ...options, onProgress });
+        }
+
+        const tiles = planTiles(strategy, pixels, mask, bounds, options, this.size);
+        const tileProgress = new Array(tiles.length).fill(0);
+        const totalRows = tiles.reduce((sum, tile) => sum + tile.coreHeight, 0);
+        const reportProgress = () => {
+            if (!onProgress) return;
+            onProgress(tiles.reduce((sum, tile, i) => sum + tileProgress[i] * tile.coreHeight, 0) / totalRows);
+        };
+
+        try {
+            const results = await Promise.all(tiles.map((tile, i) => {
+                const tilePixels = cropPixels(pixels.data, pixels.width, tile.crop);
+                const tileMask = cropMask(mask.data, mask.width, tile.crop);
+                const message = {
+                    strategy: strategy.id,
+                    options: tile.options,
+                    width: tile.crop.width,
+                    height: tile.crop.height,
+                    pixels: tilePixels,
+                    mask: tileMask
+                };
+                return this.runJob(message, [tilePixels.buffer, tileMask.buffer], channel, (progress) => {
+                    tileProgress[i] = progress;
+                    reportProgress();
+                });
+            }));
+
+            const processedPixels = new Uint8ClampedArray(pixels.data);
+            tiles.forEach((tile, i) => pasteTile(processedPixels, pixels.width, results[i], tile));
+            return processedPixels;
+        } catch (error) {
+            if (!error.workerFailed) throw error;
+            console.error("Worker processing failed, falling back to the main thread:", error);
+            return applyStrategy(strategy.id, pixels, mask, { ...options, onProgress });
+        }
+    }
+
+    // Start the workers if possible. Returns false when processing has to stay on the main thread.
+    ensureWorkers() {
+        if (this.unavailable) return false;
+        if (this.workers) return true;
+        try {
+            this.workers = [];
+            for (let i = 0; i < this.size; i++) {
+                this.workers.push(this.createWorker());
+            }
+            return true;
+        } catch (error) {
+            console.warn("Web Workers are unavailable, processing on the main thread:", error);
+            this.terminate();
+            this.unavailable = true;
+            return false;
+        }
+    }
+
+    createWorker() {
+        const worker = new Worker(new URL("./strategyWorker.js", import.meta.url));
+        const slot = { worker, job: null };
+        worker.onmessage = (event) => this.handleMessage(slot, event.data);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this.failSlot(slot, workerFailure(new Error(event.message || "Worker crashed.")));
+        };
+        return slot;
+    }
+
+    runJob(message, transfer, channel, onProgress) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextJobId++, message, transfer, channel, onProgress, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    // Hand queued jobs to idle workers. A job that can't be posted (e.g. its buffers were already
+    // transferred, or the message can't be cloned) is rejected and the worker takes the next one.
+    dispatch() {
+        if (!this.workers) return;
+        this.workers.forEach((slot) => {
+            while (!slot.job && this.queue.length > 0) {
+                const job = this.queue.shift();
+                slot.job = job;
+                try {
+                    slot.worker.postMessage({ ...job.message, jobId: job.id }, job.transfer);
+                } catch (error) {
+                    slot.job = null;
+                    job.reject(workerFailure(error));
+                }
+            }
+        });
+    }
+
+    handleMessage(slot, data) {
+        const job = slot.job;
+        if (!job || data.jobId !== job.id) return;
+
+        if (data.type === "progress") {
+            job.onProgress(data.progress);
+            return;
+        }
+
+        slot.job = null;
+        if (data.type === "done") {
+            job.onProgress(1);
+            job.resolve(data.pixels);
+        } else {
+            job.reject(new Error(data.message));
+        }
+        this.dispatch();
+    }
+
+    // A worker died: fail its job and retire it. The remaining workers carry on, and once none
+    // are left the pool falls back to the main thread for good.
+    failSlot(slot, error) {
+        const job = slot.job;
+        slot.worker.terminate();
+        this.workers = this.workers.filter((other) => other !== slot);
+        if (job) job.reject(error);
+        if (this.workers.length === 0) {
+            this.terminate();
+            this.unavailable = true;
+            return;
+        }
+        this.dispatch();
+    }
+
+    dropQueued(channel) {
+        this.queue = this.queue.filter((job) => {
+            if (job.channel !== channel) return true;
+            const error = new Error("Superseded by a newer request.");
+            error.superseded = true;
+            job.reject(error);
+            return false;
+        });
+    }
+
+    terminate() {
+        (this.workers || []).forEach((slot) => slot.worker.terminate());
+        this.workers = null;
+        this.queue.forEach((job) => job.reject(workerFailure(new Error("Worker pool was terminated."))));
+        this.queue = [];
+    }
+}
+
+// Marks an error as a failure of the workers rather than of the strategy, so the job can be run on
+// the main thread instead
+function workerFailure(error) {
+    error.workerFailed = true;
+    return error;
+}
+
+let sharedPool = null;
+
+// The pool shared by ImageProcessor and VideoProcessor
+export function getSharedWorkerPool() {
+    if (!sharedPool) sharedPool = new WorkerPool();
+    return sharedPool;
+}
+
+export default WorkerPool;